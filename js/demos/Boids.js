@@ -3,16 +3,8 @@
  * Flocking behavior with force vectors
  */
 
-class SeededRandom {
-    constructor(seed) {
-        this.seed = seed;
-    }
-
-    random() {
-        this.seed = (this.seed * 9301 + 49297) % 233280;
-        return this.seed / 233280;
-    }
-}
+import { withAlpha } from '../framework/Palette.js';
+import { Random, randomSource } from '../framework/random.js';
 
 export class Boids {
     constructor(framework) {
@@ -22,28 +14,43 @@ export class Boids {
         this.boids = [];
         this.numBoids = 50;
 
+        this.framework.attach(this);
         this.init();
     }
 
     init() {
+        // Boids move every frame, so keep a snapshot every other frame
+        this.framework.enableTimeline(this, { interval: 2, limit: 900 });
+
         // Controls
-        this.framework.addSlider('numBoids', 'Number of Boids', 10, 200, 50, 10);
-        this.framework.addSlider('alignment', 'Alignment Force', 0, 2, 1, 0.1);
-        this.framework.addSlider('cohesion', 'Cohesion Force', 0, 2, 1, 0.1);
-        this.framework.addSlider('separation', 'Separation Force', 0, 2, 1.5, 0.1);
-        this.framework.addSlider('perceptionRadius', 'Perception Radius', 10, 200, 50, 5);
-        this.framework.addSlider('maxSpeed', 'Max Speed', 1, 10, 3, 0.5);
-        this.framework.addSlider('maxForce', 'Max Force', 0.1, 2, 0.5, 0.1);
-        this.framework.addToggle('showPerception', 'Show Perception Cones', false);
-        this.framework.addToggle('showForces', 'Show Force Vectors', false);
+        this.framework.defineParams({
+            numBoids: { type: 'slider', label: 'Number of Boids', min: 10, max: 200, default: 50, step: 10, group: 'Flock', regenerate: true },
+            alignment: { type: 'slider', label: 'Alignment Force', min: 0, max: 2, default: 1, step: 0.1, group: 'Forces', description: 'Steer toward the average heading of neighbors' },
+            cohesion: { type: 'slider', label: 'Cohesion Force', min: 0, max: 2, default: 1, step: 0.1, group: 'Forces', description: 'Steer toward the average position of neighbors' },
+            separation: { type: 'slider', label: 'Separation Force', min: 0, max: 2, default: 1.5, step: 0.1, group: 'Forces', description: 'Steer away from crowded neighbors' },
+            perceptionRadius: { type: 'slider', label: 'Perception Radius', min: 10, max: 200, default: 50, step: 5, group: 'Flock' },
+            maxSpeed: { type: 'slider', label: 'Max Speed', min: 1, max: 10, default: 3, step: 0.5, group: 'Flock' },
+            maxForce: { type: 'slider', label: 'Max Force', min: 0.1, max: 2, default: 0.5, step: 0.1, group: 'Forces' },
+            showPerception: { type: 'toggle', label: 'Show Perception Cones', default: false, group: 'Display' },
+            showForces: { type: 'toggle', label: 'Show Force Vectors', default: false, group: 'Display' }
+        });
+
+        this.framework.addPresets({
+            'Tight flock': { params: { alignment: 1.5, cohesion: 2, separation: 0.8, perceptionRadius: 80 } },
+            'Loose swarm': { params: { alignment: 0.2, cohesion: 0.3, separation: 2, perceptionRadius: 30 } }
+        });
 
         this.framework.on('onSeedChange', (seed) => this.regenerate(seed));
-        this.framework.on('onParamChange', (name) => {
-            if (name === 'numBoids') {
-                this.regenerate(this.framework.getSeed());
+        this.framework.on('onRegenerate', () => this.regenerate(this.framework.getSeed()));
+        this.framework.on('onReset', () => this.regenerate(this.framework.getSeed()));
+        this.framework.on('onResize', () => {
+            // Keep the flock where it is, pulling stragglers back inside the new bounds
+            for (const boid of this.boids) {
+                boid.x = Math.min(boid.x, this.framework.width);
+                boid.y = Math.min(boid.y, this.framework.height);
             }
+            this.render();
         });
-        this.framework.on('onReset', () => this.regenerate(this.framework.getSeed()));
         this.framework.on('onShowCode', () => {
             const code = this.generateCode();
             this.framework.showCodeView(code);
@@ -52,30 +59,40 @@ export class Boids {
         this.regenerate(this.framework.getSeed());
         this.render();
 
-        // Animation loop
-        this.framework.startAnimation(() => {
-            if (!this.framework.isPaused) {
-                this.update();
-                this.render();
-            }
+        // One flocking update per 1/60 s of simulated time
+        this.framework.addLoop({
+            step: 1 / 60,
+            frameSkip: 2,
+            update: () => this.update(),
+            render: () => this.render()
         });
     }
 
     regenerate(seed) {
-        const random = new SeededRandom(seed);
+        const random = new Random(seed);
         const params = this.framework.getParams();
-        this.numBoids = Math.floor(params.numBoids || 50);
+        this.numBoids = Math.floor(params.numBoids);
 
         this.boids = [];
         for (let i = 0; i < this.numBoids; i++) {
             this.boids.push({
-                x: random.random() * this.canvas.width,
-                y: random.random() * this.canvas.height,
-                vx: (random.random() - 0.5) * 2,
-                vy: (random.random() - 0.5) * 2,
-                angle: random.random() * Math.PI * 2
+                x: random.range(0, this.framework.width),
+                y: random.range(0, this.framework.height),
+                vx: random.range(-1, 1),
+                vy: random.range(-1, 1),
+                angle: random.range(0, Math.PI * 2)
             });
         }
+        this.framework.resetTimeline();
+    }
+
+    serializeState() {
+        return { boids: this.boids.map(boid => ({ ...boid })) };
+    }
+
+    restoreState(state) {
+        this.boids = state.boids.map(boid => ({ ...boid }));
+        this.numBoids = this.boids.length;
     }
 
     distance(b1, b2) {
@@ -86,7 +103,7 @@ export class Boids {
 
     getNeighbors(boid) {
         const params = this.framework.getParams();
-        const radius = params.perceptionRadius || 50;
+        const radius = params.perceptionRadius;
         const neighbors = [];
 
         for (const other of this.boids) {
@@ -113,8 +130,8 @@ export class Boids {
 
         const mag = Math.sqrt(avgVx * avgVx + avgVy * avgVy);
         if (mag > 0) {
-            avgVx = (avgVx / mag) * (this.framework.getParams().maxSpeed || 3);
-            avgVy = (avgVy / mag) * (this.framework.getParams().maxSpeed || 3);
+            avgVx = (avgVx / mag) * this.framework.getParams().maxSpeed;
+            avgVy = (avgVy / mag) * this.framework.getParams().maxSpeed;
         }
 
         return {
@@ -139,7 +156,7 @@ export class Boids {
         const mag = Math.sqrt(dx * dx + dy * dy);
         
         if (mag > 0) {
-            const maxSpeed = this.framework.getParams().maxSpeed || 3;
+            const maxSpeed = this.framework.getParams().maxSpeed;
             return {
                 x: (dx / mag) * maxSpeed - boid.vx,
                 y: (dy / mag) * maxSpeed - boid.vy
@@ -165,7 +182,7 @@ export class Boids {
 
         const mag = Math.sqrt(steerX * steerX + steerY * steerY);
         if (mag > 0) {
-            const maxSpeed = this.framework.getParams().maxSpeed || 3;
+            const maxSpeed = this.framework.getParams().maxSpeed;
             steerX = (steerX / mag) * maxSpeed;
             steerY = (steerY / mag) * maxSpeed;
             return {
@@ -190,8 +207,8 @@ export class Boids {
 
     update() {
         const params = this.framework.getParams();
-        const maxForce = params.maxForce || 0.5;
-        const maxSpeed = params.maxSpeed || 3;
+        const maxForce = params.maxForce;
+        const maxSpeed = params.maxSpeed;
 
         for (const boid of this.boids) {
             const neighbors = this.getNeighbors(boid);
@@ -201,12 +218,12 @@ export class Boids {
             const separationForce = this.separation(boid, neighbors);
 
             // Apply forces with weights
-            let accelX = alignForce.x * (params.alignment || 1) +
-                        cohesionForce.x * (params.cohesion || 1) +
-                        separationForce.x * (params.separation || 1.5);
-            let accelY = alignForce.y * (params.alignment || 1) +
-                        cohesionForce.y * (params.cohesion || 1) +
-                        separationForce.y * (params.separation || 1.5);
+            let accelX = alignForce.x * params.alignment +
+                        cohesionForce.x * params.cohesion +
+                        separationForce.x * params.separation;
+            let accelY = alignForce.y * params.alignment +
+                        cohesionForce.y * params.cohesion +
+                        separationForce.y * params.separation;
 
             const accel = this.limit({ x: accelX, y: accelY }, maxForce);
             boid.vx += accel.x;
@@ -220,34 +237,59 @@ export class Boids {
             boid.y += boid.vy;
 
             // Wrap around edges
-            if (boid.x < 0) boid.x = this.canvas.width;
-            if (boid.x > this.canvas.width) boid.x = 0;
-            if (boid.y < 0) boid.y = this.canvas.height;
-            if (boid.y > this.canvas.height) boid.y = 0;
+            if (boid.x < 0) boid.x = this.framework.width;
+            if (boid.x > this.framework.width) boid.x = 0;
+            if (boid.y < 0) boid.y = this.framework.height;
+            if (boid.y > this.framework.height) boid.y = 0;
 
             boid.angle = Math.atan2(boid.vy, boid.vx);
         }
+        this.framework.recordFrame();
+    }
+
+    // Text summary of the canvas for screen readers
+    describe() {
+        const n = this.boids.length;
+        if (n === 0) return 'No boids.';
+        let speed = 0;
+        let vx = 0;
+        let vy = 0;
+        for (const boid of this.boids) {
+            speed += Math.sqrt(boid.vx * boid.vx + boid.vy * boid.vy);
+            vx += boid.vx;
+            vy += boid.vy;
+        }
+        // 1 when every boid heads the same way, near 0 for random headings
+        const alignment = Math.sqrt(vx * vx + vy * vy) / (speed || 1);
+        return `${n} boids, average speed ${(speed / n).toFixed(1)}, heading alignment ${Math.round(alignment * 100)}%.`;
+    }
+
+    // Counters for the performance overlay; neighbor search is O(n²) per update
+    getMetrics() {
+        const n = this.boids.length;
+        return { 'Boids': n, 'Neighbor checks': n * (n - 1) };
     }
 
     render() {
         const ctx = this.ctx;
         const params = this.framework.getParams();
-        const showPerception = params.showPerception || false;
-        const showForces = params.showForces || false;
+        const showPerception = params.showPerception;
+        const showForces = params.showForces;
+        const palette = this.framework.getPalette();
 
-        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        ctx.fillStyle = '#0a0a0a';
-        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.clearRect(0, 0, this.framework.width, this.framework.height);
+        ctx.fillStyle = palette.background;
+        ctx.fillRect(0, 0, this.framework.width, this.framework.height);
 
         for (const boid of this.boids) {
             const neighbors = this.getNeighbors(boid);
 
             // Draw perception radius
             if (showPerception) {
-                ctx.strokeStyle = 'rgba(74, 158, 255, 0.2)';
+                ctx.strokeStyle = withAlpha(palette.accent, 0.2);
                 ctx.lineWidth = 1;
                 ctx.beginPath();
-                ctx.arc(boid.x, boid.y, params.perceptionRadius || 50, 0, Math.PI * 2);
+                ctx.arc(boid.x, boid.y, params.perceptionRadius, 0, Math.PI * 2);
                 ctx.stroke();
             }
 
@@ -257,20 +299,20 @@ export class Boids {
                 const cohesionForce = this.cohesion(boid, neighbors);
                 const separationForce = this.separation(boid, neighbors);
 
-                ctx.strokeStyle = '#4ade80';
+                ctx.strokeStyle = palette.positive;
                 ctx.lineWidth = 2;
                 ctx.beginPath();
                 ctx.moveTo(boid.x, boid.y);
                 ctx.lineTo(boid.x + alignForce.x * 10, boid.y + alignForce.y * 10);
                 ctx.stroke();
 
-                ctx.strokeStyle = '#4a9eff';
+                ctx.strokeStyle = palette.accent;
                 ctx.beginPath();
                 ctx.moveTo(boid.x, boid.y);
                 ctx.lineTo(boid.x + cohesionForce.x * 10, boid.y + cohesionForce.y * 10);
                 ctx.stroke();
 
-                ctx.strokeStyle = '#f87171';
+                ctx.strokeStyle = palette.negative;
                 ctx.beginPath();
                 ctx.moveTo(boid.x, boid.y);
                 ctx.lineTo(boid.x + separationForce.x * 10, boid.y + separationForce.y * 10);
@@ -282,7 +324,7 @@ export class Boids {
             ctx.translate(boid.x, boid.y);
             ctx.rotate(boid.angle);
 
-            ctx.fillStyle = '#4ade80';
+            ctx.fillStyle = palette.positive;
             ctx.beginPath();
             ctx.moveTo(8, 0);
             ctx.lineTo(-6, -4);
@@ -290,7 +332,7 @@ export class Boids {
             ctx.closePath();
             ctx.fill();
 
-            ctx.strokeStyle = '#4a9eff';
+            ctx.strokeStyle = palette.accent;
             ctx.lineWidth = 1;
             ctx.stroke();
 
@@ -301,7 +343,7 @@ export class Boids {
     generateCode() {
         const params = this.framework.getParams();
         const seed = this.framework.getSeed();
-        const numBoids = Math.floor(params.numBoids || 50);
+        const numBoids = Math.floor(params.numBoids);
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -320,75 +362,72 @@ export class Boids {
 </head>
 <body>
     <h1>Boids - Flocking Simulation</h1>
-    <canvas id="canvas" width="800" height="600"></canvas>
+    <canvas id="canvas" width="${this.framework.width}" height="${this.framework.height}"></canvas>
     <div class="controls">
         <div class="control-group">
-            <label>Random Seed: <input type="number" id="seed" value="\${seed}"></label>
+            <label>Random Seed: <input type="number" id="seed" value="${seed}"></label>
             <button onclick="regenerate()">Regenerate</button>
         </div>
         <div class="control-group">
-            <label>Number of Boids: <span id="numBoidsValue">\${numBoids}</span></label>
-            <input type="range" id="numBoids" min="10" max="200" step="10" value="\${numBoids}" oninput="updateNumBoids(this.value)">
+            <label>Number of Boids: <span id="numBoidsValue">${numBoids}</span></label>
+            <input type="range" id="numBoids" min="10" max="200" step="10" value="${numBoids}" oninput="updateNumBoids(this.value)">
         </div>
         <div class="control-group">
-            <label>Alignment Force: <span id="alignmentValue">\${params.alignment || 1}</span></label>
-            <input type="range" id="alignment" min="0" max="2" step="0.1" value="\${params.alignment || 1}" oninput="updateAlignment(this.value)">
+            <label>Alignment Force: <span id="alignmentValue">${params.alignment}</span></label>
+            <input type="range" id="alignment" min="0" max="2" step="0.1" value="${params.alignment}" oninput="updateAlignment(this.value)">
         </div>
         <div class="control-group">
-            <label>Cohesion Force: <span id="cohesionValue">\${params.cohesion || 1}</span></label>
-            <input type="range" id="cohesion" min="0" max="2" step="0.1" value="\${params.cohesion || 1}" oninput="updateCohesion(this.value)">
+            <label>Cohesion Force: <span id="cohesionValue">${params.cohesion}</span></label>
+            <input type="range" id="cohesion" min="0" max="2" step="0.1" value="${params.cohesion}" oninput="updateCohesion(this.value)">
         </div>
         <div class="control-group">
-            <label>Separation Force: <span id="separationValue">\${params.separation || 1.5}</span></label>
-            <input type="range" id="separation" min="0" max="2" step="0.1" value="\${params.separation || 1.5}" oninput="updateSeparation(this.value)">
+            <label>Separation Force: <span id="separationValue">${params.separation}</span></label>
+            <input type="range" id="separation" min="0" max="2" step="0.1" value="${params.separation}" oninput="updateSeparation(this.value)">
         </div>
         <div class="control-group">
-            <label>Perception Radius: <span id="perceptionRadiusValue">\${params.perceptionRadius || 50}</span></label>
-            <input type="range" id="perceptionRadius" min="10" max="200" step="5" value="\${params.perceptionRadius || 50}" oninput="updatePerceptionRadius(this.value)">
+            <label>Perception Radius: <span id="perceptionRadiusValue">${params.perceptionRadius}</span></label>
+            <input type="range" id="perceptionRadius" min="10" max="200" step="5" value="${params.perceptionRadius}" oninput="updatePerceptionRadius(this.value)">
         </div>
         <div class="control-group">
-            <label>Max Speed: <span id="maxSpeedValue">\${params.maxSpeed || 3}</span></label>
-            <input type="range" id="maxSpeed" min="1" max="10" step="0.5" value="\${params.maxSpeed || 3}" oninput="updateMaxSpeed(this.value)">
+            <label>Max Speed: <span id="maxSpeedValue">${params.maxSpeed}</span></label>
+            <input type="range" id="maxSpeed" min="1" max="10" step="0.5" value="${params.maxSpeed}" oninput="updateMaxSpeed(this.value)">
         </div>
         <div class="control-group">
-            <label><input type="checkbox" id="showPerception" \${params.showPerception ? 'checked' : ''} onchange="updateShowPerception(this.checked)"> Show Perception Cones</label>
+            <label><input type="checkbox" id="showPerception" ${params.showPerception ? 'checked' : ''} onchange="updateShowPerception(this.checked)"> Show Perception Cones</label>
         </div>
         <div class="control-group">
-            <label><input type="checkbox" id="showForces" \${params.showForces ? 'checked' : ''} onchange="updateShowForces(this.checked)"> Show Force Vectors</label>
+            <label><input type="checkbox" id="showForces" ${params.showForces ? 'checked' : ''} onchange="updateShowForces(this.checked)"> Show Force Vectors</label>
         </div>
     </div>
 
     <script>
-        class SeededRandom {
-            constructor(seed) { this.seed = seed; }
-            random() { this.seed = (this.seed * 9301 + 49297) % 233280; return this.seed / 233280; }
-        }
+        ${randomSource('        ')}
 
         const canvas = document.getElementById('canvas');
         const ctx = canvas.getContext('2d');
         let boids = [];
         let params = {
-            numBoids: \${numBoids},
-            alignment: \${params.alignment || 1},
-            cohesion: \${params.cohesion || 1},
-            separation: \${params.separation || 1.5},
-            perceptionRadius: \${params.perceptionRadius || 50},
-            maxSpeed: \${params.maxSpeed || 3},
-            maxForce: \${params.maxForce || 0.5},
-            showPerception: \${params.showPerception || false},
-            showForces: \${params.showForces || false}
+            numBoids: ${numBoids},
+            alignment: ${params.alignment},
+            cohesion: ${params.cohesion},
+            separation: ${params.separation},
+            perceptionRadius: ${params.perceptionRadius},
+            maxSpeed: ${params.maxSpeed},
+            maxForce: ${params.maxForce},
+            showPerception: ${params.showPerception},
+            showForces: ${params.showForces}
         };
 
         function regenerate() {
-            const random = new SeededRandom(parseInt(document.getElementById('seed').value) || ${seed});
+            const random = new Random(parseInt(document.getElementById('seed').value) || ${seed});
             boids = [];
             for (let i = 0; i < params.numBoids; i++) {
                 boids.push({
-                    x: random.random() * canvas.width,
-                    y: random.random() * canvas.height,
-                    vx: (random.random() - 0.5) * 2,
-                    vy: (random.random() - 0.5) * 2,
-                    angle: random.random() * Math.PI * 2
+                    x: random.range(0, canvas.width),
+                    y: random.range(0, canvas.height),
+                    vx: random.range(-1, 1),
+                    vy: random.range(-1, 1),
+                    angle: random.range(0, Math.PI * 2)
                 });
             }
         }
@@ -3,16 +3,7 @@
  * Interactive rule-based grid simulation
  */
 
-class SeededRandom {
-    constructor(seed) {
-        this.seed = seed;
-    }
-
-    random() {
-        this.seed = (this.seed * 9301 + 49297) % 233280;
-        return this.seed / 233280;
-    }
-}
+import { Random, randomSource } from '../framework/random.js';
 
 export class CellularAutomata {
     constructor(framework) {
@@ -27,37 +18,51 @@ export class CellularAutomata {
         this.generation = 0;
         this.generationDisplay = null;
 
+        this.framework.attach(this);
         this.init();
     }
 
     init() {
-        this.cols = Math.floor(this.canvas.width / this.cellSize);
-        this.rows = Math.floor(this.canvas.height / this.cellSize);
+        this.cols = Math.floor(this.framework.width / this.cellSize);
+        this.rows = Math.floor(this.framework.height / this.cellSize);
+
+        this.framework.enableTimeline(this);
 
         // Controls
-        this.framework.addSlider('density', 'Initial Density', 0, 100, 30, 1);
-        this.framework.addSlider('birthMin', 'Birth Min Neighbors', 0, 8, 3, 1);
-        this.framework.addSlider('birthMax', 'Birth Max Neighbors', 0, 8, 3, 1);
-        this.framework.addSlider('surviveMin', 'Survive Min Neighbors', 0, 8, 2, 1);
-        this.framework.addSlider('surviveMax', 'Survive Max Neighbors', 0, 8, 3, 1);
-        this.framework.addToggle('wrapEdges', 'Wrap Edges', true);
-        this.framework.addSlider('speed', 'Update Speed', 1, 60, 10, 1);
+        this.framework.defineParams({
+            density: { type: 'slider', label: 'Initial Density', min: 0, max: 100, default: 30, step: 1, group: 'Grid', regenerate: true, description: 'Percentage of cells alive at generation 0' },
+            birth: { type: 'range', label: 'Birth Neighbors', min: 0, max: 8, default: { min: 3, max: 3 }, step: 1, group: 'Rules', description: 'A dead cell comes alive with this many live neighbors' },
+            survive: { type: 'range', label: 'Survive Neighbors', min: 0, max: 8, default: { min: 2, max: 3 }, step: 1, group: 'Rules', description: 'A live cell stays alive with this many live neighbors' },
+            wrapEdges: { type: 'toggle', label: 'Wrap Edges', default: true, group: 'Grid' },
+            speed: { type: 'slider', label: 'Update Speed', min: 1, max: 60, default: 10, step: 1, group: 'Grid' }
+        });
+
+        this.framework.addPresets({
+            'Game of Life': { params: { density: 30, birth: { min: 3, max: 3 }, survive: { min: 2, max: 3 } } },
+            'Maze': { params: { density: 10, birth: { min: 3, max: 3 }, survive: { min: 1, max: 5 } } },
+            'Caves': { params: { density: 45, birth: { min: 6, max: 8 }, survive: { min: 3, max: 8 }, wrapEdges: false } }
+        });
 
         this.framework.on('onSeedChange', (seed) => {
             this.regenerate(seed);
             this.render();
         });
-        this.framework.on('onParamChange', (name) => {
-            if (name === 'density') {
-                this.regenerate(this.framework.getSeed());
-                this.render();
-            }
-            // Other parameters don't require regeneration, just continue with current grid
+        // Other parameters don't require regeneration, just continue with current grid
+        this.framework.on('onRegenerate', () => {
+            this.regenerate(this.framework.getSeed());
+            this.render();
         });
         this.framework.on('onReset', () => {
             this.regenerate(this.framework.getSeed());
             this.render();
         });
+        this.framework.on('onResize', () => {
+            // The grid is sized to the canvas, so a new size needs a new grid
+            this.cols = Math.floor(this.framework.width / this.cellSize);
+            this.rows = Math.floor(this.framework.height / this.cellSize);
+            this.regenerate(this.framework.getSeed());
+            this.render();
+        });
         this.framework.on('onStep', () => {
             this.update();
             this.render();
@@ -73,32 +78,19 @@ export class CellularAutomata {
         this.regenerate(this.framework.getSeed());
         this.render();
 
-        // Animation loop
-        let lastTime = performance.now();
-        const animate = () => {
-            const currentTime = performance.now();
-            const params = this.framework.getParams();
-            const speed = params.speed || 10;
-            const interval = 1000 / speed;
-
-            if (currentTime - lastTime >= interval) {
-                if (!this.framework.isPaused) {
-                    this.update();
-                    this.render();
-                }
-                lastTime = currentTime;
-            }
-            
-            requestAnimationFrame(animate);
-        };
-        
-        requestAnimationFrame(animate);
+        // One generation every 1/speed seconds
+        this.framework.addLoop({
+            step: () => 1 / this.framework.getParams().speed,
+            frameSkip: 2,
+            update: () => this.update(),
+            render: () => this.render()
+        });
     }
 
     regenerate(seed) {
-        const random = new SeededRandom(seed);
+        const random = new Random(seed);
         const params = this.framework.getParams();
-        const density = params.density || 30;
+        const density = params.density;
 
         this.grid = [];
         this.nextGrid = [];
@@ -108,15 +100,16 @@ export class CellularAutomata {
             this.grid[y] = [];
             this.nextGrid[y] = [];
             for (let x = 0; x < this.cols; x++) {
-                this.grid[y][x] = random.random() * 100 < density ? 1 : 0;
+                this.grid[y][x] = random.chance(density / 100) ? 1 : 0;
                 this.nextGrid[y][x] = 0;
             }
         }
+        this.framework.resetTimeline();
     }
 
     countNeighbors(x, y) {
         const params = this.framework.getParams();
-        const wrap = params.wrapEdges !== false;
+        const wrap = params.wrapEdges;
         let count = 0;
 
         for (let dy = -1; dy <= 1; dy++) {
@@ -142,10 +135,12 @@ export class CellularAutomata {
 
     update() {
         const params = this.framework.getParams();
-        const birthMin = Math.floor(params.birthMin || 3);
-        const birthMax = Math.floor(params.birthMax || 3);
-        const surviveMin = Math.floor(params.surviveMin || 2);
-        const surviveMax = Math.floor(params.surviveMax || 3);
+        const birth = params.birth;
+        const survive = params.survive;
+        const birthMin = Math.floor(birth.min);
+        const birthMax = Math.floor(birth.max);
+        const surviveMin = Math.floor(survive.min);
+        const surviveMax = Math.floor(survive.max);
 
         for (let y = 0; y < this.rows; y++) {
             for (let x = 0; x < this.cols; x++) {
@@ -167,16 +162,75 @@ export class CellularAutomata {
         this.grid = this.nextGrid;
         this.nextGrid = temp;
         this.generation++;
+        this.framework.recordFrame();
+    }
+
+    serializeState() {
+        const cells = new Uint8Array(this.rows * this.cols);
+        for (let y = 0; y < this.rows; y++) {
+            cells.set(this.grid[y], y * this.cols);
+        }
+        return { cells, generation: this.generation };
+    }
+
+    restoreState(state) {
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.cols; x++) {
+                this.grid[y][x] = state.cells[y * this.cols + x];
+            }
+        }
+        this.generation = state.generation;
+    }
+
+    // Fields for the inspector tooltip
+    inspectAt(x, y) {
+        const col = Math.floor(x / this.cellSize);
+        const row = Math.floor(y / this.cellSize);
+        if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) return null;
+
+        const params = this.framework.getParams();
+        const birth = params.birth;
+        const survive = params.survive;
+        const alive = this.grid[row][col] === 1;
+        const neighbors = this.countNeighbors(col, row);
+        const rule = alive ? survive : birth;
+        const next = neighbors >= Math.floor(rule.min) && neighbors <= Math.floor(rule.max);
+        return {
+            'Cell': `${col}, ${row}`,
+            'Alive': alive,
+            'Neighbors': neighbors,
+            'Next generation': next ? 'alive' : 'dead'
+        };
+    }
+
+    // Text summary of the canvas for screen readers
+    describe() {
+        const { 'Generation': generation, 'Live cells': live } = this.getMetrics();
+        const total = this.rows * this.cols;
+        const percent = total > 0 ? (live / total * 100).toFixed(1) : 0;
+        return `Generation ${generation}: ${live} of ${total} cells alive (${percent}%).`;
+    }
+
+    // Counters for the performance overlay
+    getMetrics() {
+        let live = 0;
+        for (const row of this.grid) {
+            for (const cell of row) {
+                live += cell;
+            }
+        }
+        return { 'Generation': this.generation, 'Live cells': live };
     }
 
     render() {
         const ctx = this.ctx;
-        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        ctx.fillStyle = '#0a0a0a';
-        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        const palette = this.framework.getPalette();
+        ctx.clearRect(0, 0, this.framework.width, this.framework.height);
+        ctx.fillStyle = palette.background;
+        ctx.fillRect(0, 0, this.framework.width, this.framework.height);
 
         // Draw grid
-        ctx.fillStyle = '#4ade80';
+        ctx.fillStyle = palette.positive;
         for (let y = 0; y < this.rows; y++) {
             for (let x = 0; x < this.cols; x++) {
                 if (this.grid[y][x]) {
@@ -216,6 +270,8 @@ export class CellularAutomata {
     generateCode() {
         const params = this.framework.getParams();
         const seed = this.framework.getSeed();
+        const birth = params.birth;
+        const survive = params.survive;
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -243,31 +299,31 @@ export class CellularAutomata {
             <button onclick="togglePause()" id="pauseBtn">Pause</button>
         </div>
         <div class="control-group">
-            <label>Initial Density: <span id="densityValue">${params.density || 30}</span>%</label>
-            <input type="range" id="density" min="0" max="100" step="1" value="${params.density || 30}" oninput="updateDensity(this.value)">
+            <label>Initial Density: <span id="densityValue">${params.density}</span>%</label>
+            <input type="range" id="density" min="0" max="100" step="1" value="${params.density}" oninput="updateDensity(this.value)">
         </div>
         <div class="control-group">
-            <label>Birth Min Neighbors: <span id="birthMinValue">${params.birthMin || 3}</span></label>
-            <input type="range" id="birthMin" min="0" max="8" step="1" value="${params.birthMin || 3}" oninput="updateBirthMin(this.value)">
+            <label>Birth Min Neighbors: <span id="birthMinValue">${birth.min}</span></label>
+            <input type="range" id="birthMin" min="0" max="8" step="1" value="${birth.min}" oninput="updateBirthMin(this.value)">
         </div>
         <div class="control-group">
-            <label>Birth Max Neighbors: <span id="birthMaxValue">${params.birthMax || 3}</span></label>
-            <input type="range" id="birthMax" min="0" max="8" step="1" value="${params.birthMax || 3}" oninput="updateBirthMax(this.value)">
+            <label>Birth Max Neighbors: <span id="birthMaxValue">${birth.max}</span></label>
+            <input type="range" id="birthMax" min="0" max="8" step="1" value="${birth.max}" oninput="updateBirthMax(this.value)">
         </div>
         <div class="control-group">
-            <label>Survive Min Neighbors: <span id="surviveMinValue">${params.surviveMin || 2}</span></label>
-            <input type="range" id="surviveMin" min="0" max="8" step="1" value="${params.surviveMin || 2}" oninput="updateSurviveMin(this.value)">
+            <label>Survive Min Neighbors: <span id="surviveMinValue">${survive.min}</span></label>
+            <input type="range" id="surviveMin" min="0" max="8" step="1" value="${survive.min}" oninput="updateSurviveMin(this.value)">
         </div>
         <div class="control-group">
-            <label>Survive Max Neighbors: <span id="surviveMaxValue">${params.surviveMax || 3}</span></label>
-            <input type="range" id="surviveMax" min="0" max="8" step="1" value="${params.surviveMax || 3}" oninput="updateSurviveMax(this.value)">
+            <label>Survive Max Neighbors: <span id="surviveMaxValue">${survive.max}</span></label>
+            <input type="range" id="surviveMax" min="0" max="8" step="1" value="${survive.max}" oninput="updateSurviveMax(this.value)">
         </div>
         <div class="control-group">
-            <label><input type="checkbox" id="wrapEdges" ${params.wrapEdges !== false ? 'checked' : ''} onchange="updateWrapEdges(this.checked)"> Wrap Edges</label>
+            <label><input type="checkbox" id="wrapEdges" ${params.wrapEdges ? 'checked' : ''} onchange="updateWrapEdges(this.checked)"> Wrap Edges</label>
         </div>
         <div class="control-group">
-            <label>Update Speed: <span id="speedValue">${params.speed || 10}</span></label>
-            <input type="range" id="speed" min="1" max="60" step="1" value="${params.speed || 10}" oninput="updateSpeed(this.value)">
+            <label>Update Speed: <span id="speedValue">${params.speed}</span></label>
+            <input type="range" id="speed" min="1" max="60" step="1" value="${params.speed}" oninput="updateSpeed(this.value)">
         </div>
         <div class="control-group">
             <label>Generation: <span id="generation">0</span></label>
@@ -275,10 +331,7 @@ export class CellularAutomata {
     </div>
 
     <script>
-        class SeededRandom {
-            constructor(seed) { this.seed = seed; }
-            random() { this.seed = (this.seed * 9301 + 49297) % 233280; return this.seed / 233280; }
-        }
+        ${randomSource('        ')}
 
         const canvas = document.getElementById('canvas');
         const ctx = canvas.getContext('2d');
@@ -290,17 +343,17 @@ export class CellularAutomata {
         let generation = 0;
         let paused = false;
         let params = {
-            density: ${params.density || 30},
-            birthMin: ${params.birthMin || 3},
-            birthMax: ${params.birthMax || 3},
-            surviveMin: ${params.surviveMin || 2},
-            surviveMax: ${params.surviveMax || 3},
-            wrapEdges: ${params.wrapEdges !== false},
-            speed: ${params.speed || 10}
+            density: ${params.density},
+            birthMin: ${birth.min},
+            birthMax: ${birth.max},
+            surviveMin: ${survive.min},
+            surviveMax: ${survive.max},
+            wrapEdges: ${params.wrapEdges},
+            speed: ${params.speed}
         };
 
         function regenerate() {
-            const random = new SeededRandom(parseInt(document.getElementById('seed').value) || ${seed});
+            const random = new Random(parseInt(document.getElementById('seed').value) || ${seed});
             grid = [];
             nextGrid = [];
             generation = 0;
@@ -308,7 +361,7 @@ export class CellularAutomata {
                 grid[y] = [];
                 nextGrid[y] = [];
                 for (let x = 0; x < cols; x++) {
-                    grid[y][x] = random.random() * 100 < params.density ? 1 : 0;
+                    grid[y][x] = random.chance(params.density / 100) ? 1 : 0;
                     nextGrid[y][x] = 0;
                 }
             }
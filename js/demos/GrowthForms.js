@@ -3,16 +3,7 @@
  * L-systems with step-based growth and phyllotaxis patterns
  */
 
-class SeededRandom {
-    constructor(seed) {
-        this.seed = seed;
-    }
-
-    random() {
-        this.seed = (this.seed * 9301 + 49297) % 233280;
-        return this.seed / 233280;
-    }
-}
+import { withAlpha } from '../framework/Palette.js';
 
 export class GrowthForms {
     constructor(framework) {
@@ -32,29 +23,53 @@ export class GrowthForms {
         this.animationTime = 0;
         this.animationSpeed = 0.5; // seconds per iteration
         this.isAnimating = false;
-        this.animationId = null;
+        this.stopLoop = null;
         this.currentIteration = 0;
         this.targetIteration = 0;
 
+        this.framework.attach(this);
         this.init();
     }
 
     init() {
-        // Mode selection
-        this.framework.addToggle('showPhyllotaxis', 'Show Phyllotaxis', false);
-        this.framework.addToggle('autoGrow', 'Auto Grow Animation', false);
-        this.framework.addSlider('growthSpeed', 'Growth Speed', 0.1, 2, 0.5, 0.1);
-        
-        // L-system parameters
-        this.framework.addSlider('iterations', 'L-system Iterations', 0, 5, 2, 1);
-        this.framework.addSlider('angle', 'Branch Angle', 0, 90, 25, 1);
-        this.framework.addSlider('length', 'Branch Length', 10, 100, 50, 1);
-        this.framework.addSlider('thickness', 'Branch Thickness', 1, 10, 3, 1);
-        
-        // Phyllotaxis parameters
-        this.framework.addSlider('phylloCount', 'Phyllotaxis Points', 50, 500, 200, 10);
-        this.framework.addSlider('phylloAngle', 'Phyllotaxis Angle', 0, 360, 137.5, 0.1);
-        this.framework.addSlider('phylloScale', 'Phyllotaxis Scale', 5, 50, 20, 0.5);
+        this.framework.defineParams({
+            mode: {
+                type: 'select',
+                label: 'Growth Mode',
+                options: [
+                    { value: 'lsystem', label: 'L-system' },
+                    { value: 'phyllotaxis', label: 'Phyllotaxis' }
+                ],
+                default: 'lsystem',
+                group: 'Mode'
+            },
+            autoGrow: { type: 'toggle', label: 'Auto Grow Animation', default: false, group: 'Mode' },
+            growthSpeed: { type: 'slider', label: 'Growth Speed', min: 0.1, max: 2, default: 0.5, step: 0.1, group: 'Mode' },
+
+            // L-system parameters
+            iterations: { type: 'slider', label: 'L-system Iterations', min: 0, max: 5, default: 2, step: 1, group: 'L-system', description: 'Number of rewrite passes applied to the axiom' },
+            angle: { type: 'slider', label: 'Branch Angle', min: 0, max: 90, default: 25, step: 1, group: 'L-system' },
+            length: { type: 'slider', label: 'Branch Length', min: 10, max: 100, default: 50, step: 1, group: 'L-system' },
+            thickness: { type: 'slider', label: 'Branch Thickness', min: 1, max: 10, default: 3, step: 1, group: 'L-system' },
+
+            // Phyllotaxis parameters
+            phylloCount: { type: 'slider', label: 'Phyllotaxis Points', min: 50, max: 500, default: 200, step: 10, group: 'Phyllotaxis' },
+            phylloAngle: { type: 'slider', label: 'Phyllotaxis Angle', min: 0, max: 360, default: 137.5, step: 0.1, group: 'Phyllotaxis', description: 'Divergence angle between successive points; 137.5 is the golden angle' },
+            phylloScale: { type: 'slider', label: 'Phyllotaxis Scale', min: 5, max: 50, default: 20, step: 0.5, group: 'Phyllotaxis' }
+        });
+
+        this.framework.addShortcut(['ArrowUp', ']'], 'More L-system iterations', () => {
+            this.framework.setParam('iterations', this.framework.getParams().iterations + 1);
+        });
+        this.framework.addShortcut(['ArrowDown', '['], 'Fewer L-system iterations', () => {
+            this.framework.setParam('iterations', this.framework.getParams().iterations - 1);
+        });
+        this.framework.addShortcut('m', 'Switch L-system / phyllotaxis', () => {
+            this.framework.setParam('mode', this.framework.getParams().mode === 'lsystem' ? 'phyllotaxis' : 'lsystem');
+        });
+        this.framework.addShortcut('g', 'Toggle auto grow', () => {
+            this.framework.setParam('autoGrow', !this.framework.getParams().autoGrow);
+        });
 
         this.framework.on('onParamChange', (name) => {
             if (name === 'autoGrow') {
@@ -68,18 +83,19 @@ export class GrowthForms {
                 this.animationSpeed = 2 - this.framework.getParams().growthSpeed; // Invert so higher = faster
             } else if (name === 'iterations') {
                 const params = this.framework.getParams();
-                this.targetIteration = Math.floor(params.iterations || 0);
+                this.targetIteration = Math.floor(params.iterations);
                 if (!this.isAnimating) {
                     this.currentIteration = this.targetIteration;
                 }
             }
-            this.render();
         });
+        this.framework.on('onRender', () => this.render());
+        this.framework.on('onResize', () => this.render());
         this.framework.on('onReset', () => {
             this.stopAnimation();
             this.currentIteration = 0;
             this.targetIteration = 0;
-            this.framework.params.iterations = 0;
+            this.framework.setParam('iterations', 0, false);
             this.render();
         });
         this.framework.on('onPause', (isPaused) => {
@@ -91,7 +107,7 @@ export class GrowthForms {
             if (this.currentIteration < maxIterations) {
                 this.currentIteration++;
                 this.targetIteration = this.currentIteration;
-                this.framework.params.iterations = this.currentIteration;
+                this.framework.setParam('iterations', this.currentIteration, false);
                 this.render();
             }
         });
@@ -107,7 +123,7 @@ export class GrowthForms {
 
         // Initialize
         const params = this.framework.getParams();
-        this.currentIteration = Math.floor(params.iterations || 0);
+        this.currentIteration = Math.floor(params.iterations);
         this.targetIteration = this.currentIteration;
         
         this.render();
@@ -124,55 +140,46 @@ export class GrowthForms {
         this.isAnimating = true;
         this.animationTime = 0;
         const params = this.framework.getParams();
-        this.animationSpeed = 2 - (params.growthSpeed || 0.5);
-        this.targetIteration = Math.floor(params.iterations || 0);
+        this.animationSpeed = 2 - params.growthSpeed;
+        this.targetIteration = Math.floor(params.iterations);
         
-        const animate = () => {
-            if (!this.isAnimating) return;
-            
-            if (this.framework.isPaused) {
-                this.animationId = requestAnimationFrame(animate);
-                return;
-            }
-            
-            const params = this.framework.getParams();
-            if (!params.autoGrow) {
-                this.stopAnimation();
-                return;
-            }
-            
-            // Update animation time
-            this.animationTime += 0.016; // ~60fps
-            
-            // Calculate current iteration based on time
-            const newIteration = Math.min(
-                Math.floor(this.animationTime / this.animationSpeed),
-                this.targetIteration
-            );
-            
-            if (newIteration !== this.currentIteration) {
-                this.currentIteration = newIteration;
-                this.framework.params.iterations = this.currentIteration;
-                this.render();
-            }
-            
-            // Loop: reset when reaching target
-            if (this.currentIteration >= this.targetIteration && this.animationTime >= this.targetIteration * this.animationSpeed) {
-                this.animationTime = 0;
-                this.currentIteration = 0;
+        // Runs on simulated time, so it follows pause and the global speed
+        this.stopLoop = this.framework.addLoop({
+            update: (dt) => {
+                const params = this.framework.getParams();
+                if (!params.autoGrow) {
+                    this.stopAnimation();
+                    return;
+                }
+
+                this.animationTime += dt;
+
+                // Calculate current iteration based on time
+                const newIteration = Math.min(
+                    Math.floor(this.animationTime / this.animationSpeed),
+                    this.targetIteration
+                );
+
+                if (newIteration !== this.currentIteration) {
+                    this.currentIteration = newIteration;
+                    this.framework.setParam('iterations', this.currentIteration, false);
+                    this.render();
+                }
+
+                // Loop: reset when reaching target
+                if (this.currentIteration >= this.targetIteration && this.animationTime >= this.targetIteration * this.animationSpeed) {
+                    this.animationTime = 0;
+                    this.currentIteration = 0;
+                }
             }
-            
-            this.animationId = requestAnimationFrame(animate);
-        };
-        
-        this.animationId = requestAnimationFrame(animate);
+        });
     }
     
     stopAnimation() {
         this.isAnimating = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
+        if (this.stopLoop) {
+            this.stopLoop();
+            this.stopLoop = null;
         }
     }
 
@@ -208,51 +215,46 @@ export class GrowthForms {
             <button onclick="regenerate()">Regenerate</button>
         </div>
         <div class="control-group">
-            <label><input type="checkbox" id="showPhyllotaxis" ${params.showPhyllotaxis ? 'checked' : ''} onchange="updateShowPhyllotaxis(this.checked)"> Show Phyllotaxis</label>
+            <label><input type="checkbox" id="showPhyllotaxis" ${params.mode === 'phyllotaxis' ? 'checked' : ''} onchange="updateShowPhyllotaxis(this.checked)"> Show Phyllotaxis</label>
         </div>
         <div class="control-group">
-            <label>L-system Iterations: <span id="iterationsValue">${params.iterations || 2}</span></label>
-            <input type="range" id="iterations" min="0" max="5" step="1" value="${params.iterations || 2}" oninput="updateIterations(this.value)">
+            <label>L-system Iterations: <span id="iterationsValue">${params.iterations}</span></label>
+            <input type="range" id="iterations" min="0" max="5" step="1" value="${params.iterations}" oninput="updateIterations(this.value)">
         </div>
         <div class="control-group">
-            <label>Branch Angle: <span id="angleValue">${params.angle || 25}</span></label>
-            <input type="range" id="angle" min="0" max="90" step="1" value="${params.angle || 25}" oninput="updateAngle(this.value)">
+            <label>Branch Angle: <span id="angleValue">${params.angle}</span></label>
+            <input type="range" id="angle" min="0" max="90" step="1" value="${params.angle}" oninput="updateAngle(this.value)">
         </div>
         <div class="control-group">
-            <label>Branch Length: <span id="lengthValue">${params.length || 50}</span></label>
-            <input type="range" id="length" min="10" max="100" step="1" value="${params.length || 50}" oninput="updateLength(this.value)">
+            <label>Branch Length: <span id="lengthValue">${params.length}</span></label>
+            <input type="range" id="length" min="10" max="100" step="1" value="${params.length}" oninput="updateLength(this.value)">
         </div>
         <div class="control-group">
-            <label>Phyllotaxis Points: <span id="phylloCountValue">${params.phylloCount || 200}</span></label>
-            <input type="range" id="phylloCount" min="50" max="500" step="10" value="${params.phylloCount || 200}" oninput="updatePhylloCount(this.value)">
+            <label>Phyllotaxis Points: <span id="phylloCountValue">${params.phylloCount}</span></label>
+            <input type="range" id="phylloCount" min="50" max="500" step="10" value="${params.phylloCount}" oninput="updatePhylloCount(this.value)">
         </div>
         <div class="control-group">
-            <label>Phyllotaxis Angle: <span id="phylloAngleValue">${params.phylloAngle || 137.5}</span></label>
-            <input type="range" id="phylloAngle" min="0" max="360" step="0.1" value="${params.phylloAngle || 137.5}" oninput="updatePhylloAngle(this.value)">
+            <label>Phyllotaxis Angle: <span id="phylloAngleValue">${params.phylloAngle}</span></label>
+            <input type="range" id="phylloAngle" min="0" max="360" step="0.1" value="${params.phylloAngle}" oninput="updatePhylloAngle(this.value)">
         </div>
         <div class="control-group">
-            <label>Phyllotaxis Scale: <span id="phylloScaleValue">${params.phylloScale || 20}</span></label>
-            <input type="range" id="phylloScale" min="5" max="50" step="0.5" value="${params.phylloScale || 20}" oninput="updatePhylloScale(this.value)">
+            <label>Phyllotaxis Scale: <span id="phylloScaleValue">${params.phylloScale}</span></label>
+            <input type="range" id="phylloScale" min="5" max="50" step="0.5" value="${params.phylloScale}" oninput="updatePhylloScale(this.value)">
         </div>
     </div>
 
     <script>
-        class SeededRandom {
-            constructor(seed) { this.seed = seed; }
-            random() { this.seed = (this.seed * 9301 + 49297) % 233280; return this.seed / 233280; }
-        }
-
         const canvas = document.getElementById('canvas');
         const ctx = canvas.getContext('2d');
         let params = {
-            showPhyllotaxis: ${params.showPhyllotaxis || false},
-            iterations: ${params.iterations || 2},
-            angle: ${params.angle || 25},
-            length: ${params.length || 50},
-            thickness: ${params.thickness || 3},
-            phylloCount: ${params.phylloCount || 200},
-            phylloAngle: ${params.phylloAngle || 137.5},
-            phylloScale: ${params.phylloScale || 20}
+            showPhyllotaxis: ${params.mode === 'phyllotaxis'},
+            iterations: ${params.iterations},
+            angle: ${params.angle},
+            length: ${params.length},
+            thickness: ${params.thickness},
+            phylloCount: ${params.phylloCount},
+            phylloAngle: ${params.phylloAngle},
+            phylloScale: ${params.phylloScale}
         };
 
         function generateLSystem() {
@@ -383,7 +385,7 @@ export class GrowthForms {
         const params = this.framework.getParams();
         let current = this.lsystem.axiom;
         // Use currentIteration for smooth animation, or params.iterations for manual control
-        const iterations = this.isAnimating ? this.currentIteration : Math.floor(params.iterations || 0);
+        const iterations = this.isAnimating ? this.currentIteration : Math.floor(params.iterations);
         const rules = this.lsystem.rules;
 
         for (let i = 0; i < iterations; i++) {
@@ -400,18 +402,19 @@ export class GrowthForms {
     drawLSystem() {
         const ctx = this.ctx;
         const params = this.framework.getParams();
-        const angle = (params.angle || 25) * Math.PI / 180;
-        const length = params.length || 50;
-        const thickness = params.thickness || 3;
+        const angle = params.angle * Math.PI / 180;
+        const length = params.length;
+        const thickness = params.thickness;
 
         const command = this.generateLSystem();
+        this.symbolCount = command.length;
         const stack = [];
-        let x = this.canvas.width / 2;
-        let y = this.canvas.height;
+        let x = this.framework.width / 2;
+        let y = this.framework.height;
         let currentAngle = -Math.PI / 2; // Point up
         let currentThickness = thickness;
 
-        ctx.strokeStyle = '#4ade80';
+        ctx.strokeStyle = this.framework.getPalette().positive;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
 
@@ -454,13 +457,13 @@ export class GrowthForms {
 
     generatePhyllotaxis() {
         const params = this.framework.getParams();
-        const count = Math.floor(params.phylloCount || 200);
-        const angle = (params.phylloAngle || 137.5) * Math.PI / 180;
-        const scale = params.phylloScale || 20;
+        const count = Math.floor(params.phylloCount);
+        const angle = params.phylloAngle * Math.PI / 180;
+        const scale = params.phylloScale;
 
         this.phyllotaxisPoints = [];
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2;
+        const centerX = this.framework.width / 2;
+        const centerY = this.framework.height / 2;
 
         for (let i = 0; i < count; i++) {
             const r = scale * Math.sqrt(i);
@@ -486,7 +489,8 @@ export class GrowthForms {
         }
 
         // Draw connections
-        ctx.strokeStyle = 'rgba(74, 158, 255, 0.3)';
+        const palette = this.framework.getPalette();
+        ctx.strokeStyle = withAlpha(palette.accent, 0.3);
         ctx.lineWidth = 1;
         for (let i = 1; i < pointsToShow; i++) {
             const p1 = this.phyllotaxisPoints[i - 1];
@@ -498,7 +502,7 @@ export class GrowthForms {
         }
 
         // Draw points
-        ctx.fillStyle = '#4ade80';
+        ctx.fillStyle = palette.positive;
         for (let i = 0; i < pointsToShow; i++) {
             const point = this.phyllotaxisPoints[i];
             const size = 3 + (point.index / this.phyllotaxisPoints.length) * 5;
@@ -508,14 +512,31 @@ export class GrowthForms {
         }
     }
 
+    // Text summary of the canvas for screen readers
+    describe() {
+        if (this.mode === 'phyllotaxis') {
+            const params = this.framework.getParams();
+            return `Phyllotaxis spiral of ${this.phyllotaxisPoints.length} points at a ${params.phylloAngle}° divergence angle.`;
+        }
+        return `L-system plant at iteration ${this.currentIteration}, ${this.symbolCount || 0} symbols.`;
+    }
+
+    // Counters for the performance overlay
+    getMetrics() {
+        if (this.mode === 'phyllotaxis') {
+            return { 'Points': this.phyllotaxisPoints.length };
+        }
+        return { 'Iteration': this.currentIteration, 'Symbols': this.symbolCount || 0 };
+    }
+
     render() {
         const ctx = this.ctx;
         const params = this.framework.getParams();
-        const showPhyllotaxis = params.showPhyllotaxis || false;
+        const showPhyllotaxis = params.mode === 'phyllotaxis';
 
-        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        ctx.fillStyle = '#0a0a0a';
-        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.clearRect(0, 0, this.framework.width, this.framework.height);
+        ctx.fillStyle = this.framework.getPalette().background;
+        ctx.fillRect(0, 0, this.framework.width, this.framework.height);
 
         if (showPhyllotaxis) {
             this.drawPhyllotaxis();
@@ -3,105 +3,9 @@
  * Demonstrates Perlin/Simplex noise with heightmap and 3D terrain visualization
  */
 
-// Simple seeded random number generator
-class SeededRandom {
-    constructor(seed) {
-        this.seed = seed;
-    }
-
-    random() {
-        this.seed = (this.seed * 9301 + 49297) % 233280;
-        return this.seed / 233280;
-    }
-}
-
-// Simplified Perlin noise implementation
-class PerlinNoise {
-    constructor(seed = 0) {
-        this.random = new SeededRandom(seed);
-        this.permutation = [];
-        this.p = [];
-        
-        // Generate permutation table
-        for (let i = 0; i < 256; i++) {
-            this.p[i] = i;
-        }
-        
-        // Shuffle
-        for (let i = 255; i > 0; i--) {
-            const j = Math.floor(this.random.random() * (i + 1));
-            [this.p[i], this.p[j]] = [this.p[j], this.p[i]];
-        }
-        
-        // Duplicate permutation
-        for (let i = 0; i < 512; i++) {
-            this.permutation[i] = this.p[i & 255];
-        }
-    }
-
-    fade(t) {
-        return t * t * t * (t * (t * 6 - 15) + 10);
-    }
-
-    lerp(a, b, t) {
-        return a + t * (b - a);
-    }
-
-    grad(hash, x, y) {
-        const h = hash & 15;
-        const u = h < 8 ? x : y;
-        const v = h < 4 ? y : (h === 12 || h === 14 ? x : 0);
-        return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
-    }
-
-    noise(x, y) {
-        const X = Math.floor(x) & 255;
-        const Y = Math.floor(y) & 255;
-        
-        x -= Math.floor(x);
-        y -= Math.floor(y);
-        
-        const u = this.fade(x);
-        const v = this.fade(y);
-        
-        const A = this.permutation[X] + Y;
-        const AA = this.permutation[A];
-        const AB = this.permutation[A + 1];
-        const B = this.permutation[X + 1] + Y;
-        const BA = this.permutation[B];
-        const BB = this.permutation[B + 1];
-        
-        return this.lerp(
-            this.lerp(
-                this.grad(this.permutation[AA], x, y),
-                this.grad(this.permutation[BA], x - 1, y),
-                u
-            ),
-            this.lerp(
-                this.grad(this.permutation[AB], x, y - 1),
-                this.grad(this.permutation[BB], x - 1, y - 1),
-                u
-            ),
-            v
-        );
-    }
-
-    octaveNoise(x, y, octaves = 4, persistence = 0.5, scale = 1) {
-        let value = 0;
-        let amplitude = 1;
-        let frequency = scale;
-        let maxValue = 0;
-
-        for (let i = 0; i < octaves; i++) {
-            value += this.noise(x * frequency, y * frequency) * amplitude;
-            maxValue += amplitude;
-            amplitude *= persistence;
-            frequency *= 2;
-        }
-
-        return value / maxValue;
-    }
-}
+import { toRGB, withAlpha } from '../framework/Palette.js';
+import { randomSource } from '../framework/random.js';
+import { Noise, noiseSource } from '../framework/noise.js';
 
 export class NoiseTerrain {
     constructor(framework) {
@@ -112,41 +16,49 @@ export class NoiseTerrain {
         this.heightmap = null;
         this.viewMode = 'heightmap'; // 'heightmap', '3d', 'flow'
         
+        this.framework.attach(this);
         this.init();
     }
 
     init() {
-        // Add view mode toggle
-        this.framework.addToggle('view3d', '3D View', false);
-        this.framework.addToggle('showFlow', 'Show Flow Field', false);
-        
-        // Noise parameters
-        this.framework.addSlider('scale', 'Noise Scale', 0.01, 0.5, 0.1, 0.01);
-        this.framework.addSlider('octaves', 'Octaves', 1, 8, 4, 1);
-        this.framework.addSlider('persistence', 'Persistence', 0.1, 1.0, 0.5, 0.1);
-        this.framework.addSlider('lacunarity', 'Lacunarity', 1.0, 4.0, 2.0, 0.1);
-        
-        // Terrain parameters
-        this.framework.addSlider('heightScale', 'Height Scale', 0, 200, 100, 1);
-        this.framework.addSlider('seaLevel', 'Sea Level', 0, 255, 128, 1);
-        
-        // Color parameters
-        this.framework.addToggle('useColor', 'Colored Terrain', true);
-        this.framework.addSlider('colorIntensity', 'Color Intensity', 0, 2, 1, 0.1);
+        this.framework.defineParams({
+            // View mode
+            view3d: { type: 'toggle', label: '3D View', default: false, group: 'View' },
+            showFlow: { type: 'toggle', label: 'Show Flow Field', default: false, group: 'View' },
+
+            // Noise parameters
+            scale: { type: 'slider', label: 'Noise Scale', min: 0.01, max: 0.5, default: 0.1, step: 0.01, group: 'Noise', regenerate: true, description: 'Base frequency of the noise; smaller values give broader features' },
+            octaves: { type: 'slider', label: 'Octaves', min: 1, max: 8, default: 4, step: 1, group: 'Noise', regenerate: true, description: 'Number of noise layers summed together' },
+            persistence: { type: 'slider', label: 'Persistence', min: 0.1, max: 1.0, default: 0.5, step: 0.1, group: 'Noise', regenerate: true, description: 'Amplitude multiplier between octaves' },
+            lacunarity: { type: 'slider', label: 'Lacunarity', min: 1.0, max: 4.0, default: 2.0, step: 0.1, group: 'Noise', regenerate: true, description: 'Frequency multiplier between octaves' },
+
+            // Terrain parameters
+            heightScale: { type: 'slider', label: 'Height Scale', min: 0, max: 200, default: 100, step: 1, group: 'Terrain' },
+            seaLevel: { type: 'slider', label: 'Sea Level', min: 0, max: 255, default: 128, step: 1, group: 'Terrain' },
+
+            // Color parameters
+            useColor: { type: 'toggle', label: 'Colored Terrain', default: true, group: 'Color' },
+            colorIntensity: { type: 'slider', label: 'Color Intensity', min: 0, max: 2, default: 1, step: 0.1, group: 'Color' }
+        });
 
         // Setup callbacks
         this.framework.on('onSeedChange', (seed) => {
             this.regenerate(seed);
             this.render();
         });
-        this.framework.on('onParamChange', () => {
+        this.framework.on('onRegenerate', () => {
             this.generateHeightmap();
             this.render();
         });
+        this.framework.on('onRender', () => this.render());
         this.framework.on('onReset', () => {
             this.regenerate(this.framework.getSeed());
             this.render();
         });
+        this.framework.on('onResize', () => {
+            this.generateHeightmap();
+            this.render();
+        });
         this.framework.on('onShowCode', () => {
             const code = this.generateCode();
             this.framework.showCodeView(code);
@@ -187,31 +99,31 @@ export class NoiseTerrain {
             <button onclick="regenerate()">Regenerate</button>
         </div>
         <div class="control-group">
-            <label>Noise Scale: <span id="scaleValue">${params.scale || 0.1}</span></label>
-            <input type="range" id="scale" min="0.01" max="0.5" step="0.01" value="${params.scale || 0.1}" oninput="updateScale(this.value)">
+            <label>Noise Scale: <span id="scaleValue">${params.scale}</span></label>
+            <input type="range" id="scale" min="0.01" max="0.5" step="0.01" value="${params.scale}" oninput="updateScale(this.value)">
         </div>
         <div class="control-group">
-            <label>Octaves: <span id="octavesValue">${params.octaves || 4}</span></label>
-            <input type="range" id="octaves" min="1" max="8" step="1" value="${params.octaves || 4}" oninput="updateOctaves(this.value)">
+            <label>Octaves: <span id="octavesValue">${params.octaves}</span></label>
+            <input type="range" id="octaves" min="1" max="8" step="1" value="${params.octaves}" oninput="updateOctaves(this.value)">
         </div>
         <div class="control-group">
-            <label>Persistence: <span id="persistenceValue">${params.persistence || 0.5}</span></label>
-            <input type="range" id="persistence" min="0.1" max="1.0" step="0.1" value="${params.persistence || 0.5}" oninput="updatePersistence(this.value)">
+            <label>Persistence: <span id="persistenceValue">${params.persistence}</span></label>
+            <input type="range" id="persistence" min="0.1" max="1.0" step="0.1" value="${params.persistence}" oninput="updatePersistence(this.value)">
         </div>
         <div class="control-group">
-            <label>Lacunarity: <span id="lacunarityValue">${params.lacunarity || 2.0}</span></label>
-            <input type="range" id="lacunarity" min="1.0" max="4.0" step="0.1" value="${params.lacunarity || 2.0}" oninput="updateLacunarity(this.value)">
+            <label>Lacunarity: <span id="lacunarityValue">${params.lacunarity}</span></label>
+            <input type="range" id="lacunarity" min="1.0" max="4.0" step="0.1" value="${params.lacunarity}" oninput="updateLacunarity(this.value)">
         </div>
         <div class="control-group">
-            <label>Height Scale: <span id="heightScaleValue">${params.heightScale || 100}</span></label>
-            <input type="range" id="heightScale" min="0" max="200" step="1" value="${params.heightScale || 100}" oninput="updateHeightScale(this.value)">
+            <label>Height Scale: <span id="heightScaleValue">${params.heightScale}</span></label>
+            <input type="range" id="heightScale" min="0" max="200" step="1" value="${params.heightScale}" oninput="updateHeightScale(this.value)">
         </div>
         <div class="control-group">
-            <label>Sea Level: <span id="seaLevelValue">${params.seaLevel || 128}</span></label>
-            <input type="range" id="seaLevel" min="0" max="255" step="1" value="${params.seaLevel || 128}" oninput="updateSeaLevel(this.value)">
+            <label>Sea Level: <span id="seaLevelValue">${params.seaLevel}</span></label>
+            <input type="range" id="seaLevel" min="0" max="255" step="1" value="${params.seaLevel}" oninput="updateSeaLevel(this.value)">
         </div>
         <div class="control-group">
-            <label><input type="checkbox" id="useColor" ${params.useColor !== false ? 'checked' : ''} onchange="updateUseColor(this.checked)"> Colored Terrain</label>
+            <label><input type="checkbox" id="useColor" ${params.useColor ? 'checked' : ''} onchange="updateUseColor(this.checked)"> Colored Terrain</label>
         </div>
         <div class="control-group">
             <label><input type="checkbox" id="view3d" ${params.view3d ? 'checked' : ''} onchange="updateView3d(this.checked)"> 3D View</label>
@@ -222,66 +134,24 @@ export class NoiseTerrain {
     </div>
 
     <script>
-        class SeededRandom {
-            constructor(seed) { this.seed = seed; }
-            random() { this.seed = (this.seed * 9301 + 49297) % 233280; return this.seed / 233280; }
-        }
+        ${randomSource('        ')}
 
-        class PerlinNoise {
-            constructor(seed = 0) {
-                this.random = new SeededRandom(seed);
-                this.permutation = [];
-                this.p = [];
-                for (let i = 0; i < 256; i++) this.p[i] = i;
-                for (let i = 255; i > 0; i--) {
-                    const j = Math.floor(this.random.random() * (i + 1));
-                    [this.p[i], this.p[j]] = [this.p[j], this.p[i]];
-                }
-                for (let i = 0; i < 512; i++) this.permutation[i] = this.p[i & 255];
-            }
-            fade(t) { return t * t * t * (t * (t * 6 - 15) + 10); }
-            lerp(a, b, t) { return a + t * (b - a); }
-            grad(hash, x, y) {
-                const h = hash & 15;
-                const u = h < 8 ? x : y;
-                const v = h < 4 ? y : (h === 12 || h === 14 ? x : 0);
-                return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
-            }
-            noise(x, y) {
-                const X = Math.floor(x) & 255;
-                const Y = Math.floor(y) & 255;
-                x -= Math.floor(x);
-                y -= Math.floor(y);
-                const u = this.fade(x);
-                const v = this.fade(y);
-                const A = this.permutation[X] + Y;
-                const AA = this.permutation[A];
-                const AB = this.permutation[A + 1];
-                const B = this.permutation[X + 1] + Y;
-                const BA = this.permutation[B];
-                const BB = this.permutation[B + 1];
-                return this.lerp(
-                    this.lerp(this.grad(this.permutation[AA], x, y), this.grad(this.permutation[BA], x - 1, y), u),
-                    this.lerp(this.grad(this.permutation[AB], x, y - 1), this.grad(this.permutation[BB], x - 1, y - 1), u),
-                    v
-                );
-            }
-        }
+        ${noiseSource('        ')}
 
         const canvas = document.getElementById('canvas');
         const ctx = canvas.getContext('2d');
-        let noise = new PerlinNoise(${seed});
+        let noise = new Noise(${seed});
         let heightmap = [];
         let params = {
-            scale: ${params.scale || 0.1},
-            octaves: ${params.octaves || 4},
-            persistence: ${params.persistence || 0.5},
-            lacunarity: ${params.lacunarity || 2.0},
-            heightScale: ${params.heightScale || 100},
-            seaLevel: ${params.seaLevel || 128},
-            useColor: ${params.useColor !== false},
-            view3d: ${params.view3d || false},
-            showFlow: ${params.showFlow || false}
+            scale: ${params.scale},
+            octaves: ${params.octaves},
+            persistence: ${params.persistence},
+            lacunarity: ${params.lacunarity},
+            heightScale: ${params.heightScale},
+            seaLevel: ${params.seaLevel},
+            useColor: ${params.useColor},
+            view3d: ${params.view3d},
+            showFlow: ${params.showFlow}
         };
 
         function generateHeightmap() {
@@ -289,14 +159,8 @@ export class NoiseTerrain {
             for (let y = 0; y < canvas.height; y++) {
                 heightmap[y] = [];
                 for (let x = 0; x < canvas.width; x++) {
-                    let value = 0, amplitude = 1, frequency = params.scale, maxValue = 0;
-                    for (let i = 0; i < params.octaves; i++) {
-                        value += noise.noise(x * frequency, y * frequency) * amplitude;
-                        maxValue += amplitude;
-                        amplitude *= params.persistence;
-                        frequency *= params.lacunarity;
-                    }
-                    heightmap[y][x] = Math.floor((value / maxValue + 1) * 127.5);
+                    const value = noise.fbm2D(x, y, params);
+                    heightmap[y][x] = Math.floor((value + 1) * 127.5);
                 }
             }
         }
@@ -383,7 +247,7 @@ export class NoiseTerrain {
 
         function regenerate() {
             const seed = parseInt(document.getElementById('seed').value) || 0;
-            noise = new PerlinNoise(seed);
+            noise = new Noise(seed);
             generateHeightmap();
             render();
         }
@@ -406,36 +270,26 @@ export class NoiseTerrain {
     }
 
     regenerate(seed) {
-        this.noise = new PerlinNoise(seed);
+        this.noise = new Noise(seed);
         this.generateHeightmap();
     }
 
     generateHeightmap() {
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const width = this.framework.width;
+        const height = this.framework.height;
         const params = this.framework.getParams();
-        
+        const fbm = {
+            octaves: Math.floor(params.octaves),
+            persistence: params.persistence,
+            lacunarity: params.lacunarity,
+            scale: params.scale
+        };
+
         this.heightmap = new Array(height);
         for (let y = 0; y < height; y++) {
             this.heightmap[y] = new Array(width);
             for (let x = 0; x < width; x++) {
-                const scale = params.scale || 0.1;
-                const octaves = Math.floor(params.octaves || 4);
-                const persistence = params.persistence || 0.5;
-                
-                let value = 0;
-                let amplitude = 1;
-                let frequency = scale;
-                let maxValue = 0;
-
-                for (let i = 0; i < octaves; i++) {
-                    value += this.noise.noise(x * frequency, y * frequency) * amplitude;
-                    maxValue += amplitude;
-                    amplitude *= persistence;
-                    frequency *= (params.lacunarity || 2.0);
-                }
-
-                value = value / maxValue;
+                const value = this.noise.fbm2D(x, y, fbm);
                 // Normalize to 0-255
                 this.heightmap[y][x] = Math.floor((value + 1) * 127.5);
             }
@@ -443,14 +297,57 @@ export class NoiseTerrain {
     }
 
 
+    // Fields for the inspector tooltip; only the flat views map pixels to samples
+    inspectAt(x, y) {
+        const params = this.framework.getParams();
+        if (!this.heightmap || params.view3d) return null;
+        const col = Math.floor(x);
+        const row = Math.floor(y);
+        if (row < 0 || row >= this.heightmap.length || col < 0 || col >= this.heightmap[row].length) return null;
+
+        const h = this.heightmap[row][col];
+        return {
+            'Position': `${col}, ${row}`,
+            'Height': h,
+            'Normalized': h / 255,
+            'Above sea level': h - params.seaLevel
+        };
+    }
+
+    // Text summary of the canvas for screen readers
+    describe() {
+        if (!this.heightmap) return '';
+        const params = this.framework.getParams();
+        let min = 255;
+        let max = 0;
+        let underwater = 0;
+        let samples = 0;
+        for (const row of this.heightmap) {
+            for (const h of row) {
+                min = Math.min(min, h);
+                max = Math.max(max, h);
+                if (h < params.seaLevel) underwater++;
+                samples++;
+            }
+        }
+        const view = params.view3d ? '3D view' : params.showFlow ? 'flow field' : 'heightmap';
+        return `Noise terrain ${view}: heights ${min} to ${max}, ${Math.round(underwater / samples * 100)}% below sea level ${params.seaLevel}.`;
+    }
+
+    // Counters for the performance overlay
+    getMetrics() {
+        const rows = this.heightmap ? this.heightmap.length : 0;
+        return { 'Heightmap samples': rows ? rows * this.heightmap[0].length : 0 };
+    }
+
     render() {
         const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const width = this.framework.width;
+        const height = this.framework.height;
         const params = this.framework.getParams();
-        const show3d = params.view3d || false;
-        const showFlow = params.showFlow || false;
-        const useColor = params.useColor !== false;
+        const show3d = params.view3d;
+        const showFlow = params.showFlow;
+        const useColor = params.useColor;
 
         ctx.clearRect(0, 0, width, height);
 
@@ -463,15 +360,29 @@ export class NoiseTerrain {
         }
     }
 
+    // Terrain coloring: deep water -> shallow water -> sand -> grass -> rock -> snow
+    terrainBand(h, seaLevel) {
+        if (h < seaLevel * 0.3) return 'deepWater';
+        if (h < seaLevel * 0.6) return 'shallowWater';
+        if (h < seaLevel * 0.8) return 'sand';
+        if (h < seaLevel * 1.2) return 'grass';
+        if (h < seaLevel * 1.5) return 'rock';
+        return 'snow';
+    }
+
     renderHeightmap(useColor) {
         const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const width = this.framework.width;
+        const height = this.framework.height;
         const params = this.framework.getParams();
-        const seaLevel = params.seaLevel || 128;
+        const seaLevel = params.seaLevel;
 
         const imageData = ctx.createImageData(width, height);
         const data = imageData.data;
+        const colors = {};
+        for (const [band, color] of Object.entries(this.framework.getPalette().terrain)) {
+            colors[band] = toRGB(color);
+        }
 
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
@@ -479,38 +390,10 @@ export class NoiseTerrain {
                 const h = this.heightmap[y][x];
 
                 if (useColor) {
-                    // Terrain coloring: deep water -> shallow water -> sand -> grass -> rock -> snow
-                    if (h < seaLevel * 0.3) {
-                        // Deep water
-                        data[idx] = 0;
-                        data[idx + 1] = 50;
-                        data[idx + 2] = 100;
-                    } else if (h < seaLevel * 0.6) {
-                        // Shallow water
-                        data[idx] = 0;
-                        data[idx + 1] = 100;
-                        data[idx + 2] = 150;
-                    } else if (h < seaLevel * 0.8) {
-                        // Sand
-                        data[idx] = 194;
-                        data[idx + 1] = 178;
-                        data[idx + 2] = 128;
-                    } else if (h < seaLevel * 1.2) {
-                        // Grass
-                        data[idx] = 34;
-                        data[idx + 1] = 139;
-                        data[idx + 2] = 34;
-                    } else if (h < seaLevel * 1.5) {
-                        // Rock
-                        data[idx] = 128;
-                        data[idx + 1] = 128;
-                        data[idx + 2] = 128;
-                    } else {
-                        // Snow
-                        data[idx] = 255;
-                        data[idx + 1] = 255;
-                        data[idx + 2] = 255;
-                    }
+                    const [r, g, b] = colors[this.terrainBand(h, seaLevel)];
+                    data[idx] = r;
+                    data[idx + 1] = g;
+                    data[idx + 2] = b;
                 } else {
                     // Grayscale
                     data[idx] = h;
@@ -521,18 +404,19 @@ export class NoiseTerrain {
             }
         }
 
-        ctx.putImageData(imageData, 0, 0);
+        this.framework.drawImageData(imageData);
     }
 
     render3D() {
         const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const width = this.framework.width;
+        const height = this.framework.height;
         const params = this.framework.getParams();
-        const heightScale = params.heightScale || 100;
-        const seaLevel = params.seaLevel || 128;
+        const heightScale = params.heightScale;
+        const seaLevel = params.seaLevel;
+        const palette = this.framework.getPalette();
 
-        ctx.fillStyle = '#0a0a0a';
+        ctx.fillStyle = palette.background;
         ctx.fillRect(0, 0, width, height);
 
         const cellSize = 4;
@@ -556,22 +440,7 @@ export class NoiseTerrain {
                 const py = (x + y) * sin - z + height / 2;
 
                 // Color based on height
-                let color;
-                if (h < seaLevel * 0.3) {
-                    color = '#003264';
-                } else if (h < seaLevel * 0.6) {
-                    color = '#0066cc';
-                } else if (h < seaLevel * 0.8) {
-                    color = '#c2b280';
-                } else if (h < seaLevel * 1.2) {
-                    color = '#228b22';
-                } else if (h < seaLevel * 1.5) {
-                    color = '#808080';
-                } else {
-                    color = '#ffffff';
-                }
-
-                ctx.fillStyle = color;
+                ctx.fillStyle = palette.terrain[this.terrainBand(h, seaLevel)];
                 ctx.fillRect(px - cellSize / 2, py - cellSize / 2, cellSize, cellSize);
             }
         }
@@ -579,14 +448,14 @@ export class NoiseTerrain {
 
     renderFlowField() {
         const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const width = this.framework.width;
+        const height = this.framework.height;
 
         // First render heightmap as background
         this.renderHeightmap(true);
 
         // Overlay flow vectors
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.strokeStyle = withAlpha(this.framework.getPalette().ink, 0.3);
         ctx.lineWidth = 1;
 
         const step = 20;
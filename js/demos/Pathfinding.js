@@ -3,16 +3,8 @@
  * A* pathfinding with step-by-step visualization
  */
 
-class SeededRandom {
-    constructor(seed) {
-        this.seed = seed;
-    }
-
-    random() {
-        this.seed = (this.seed * 9301 + 49297) % 233280;
-        return this.seed / 233280;
-    }
-}
+import { withAlpha } from '../framework/Palette.js';
+import { Random, randomSource } from '../framework/random.js';
 
 class Node {
     constructor(x, y) {
@@ -42,19 +34,34 @@ export class Pathfinding {
         this.closedSet = [];
         this.current = null;
         this.finished = false;
-        this.showStepByStep = false;
 
+        this.framework.attach(this, { update: 'pathfindingStep' });
         this.init();
     }
 
     init() {
-        this.cols = Math.floor(this.canvas.width / this.cellSize);
-        this.rows = Math.floor(this.canvas.height / this.cellSize);
+        this.cols = Math.floor(this.framework.width / this.cellSize);
+        this.rows = Math.floor(this.framework.height / this.cellSize);
+
+        this.framework.enableTimeline(this);
 
         // Controls
-        this.framework.addSlider('obstacleDensity', 'Obstacle Density', 0, 50, 20, 1);
-        this.framework.addToggle('showStepByStep', 'Step-by-Step Mode', true);
-        this.framework.addSlider('heuristicWeight', 'Heuristic Weight', 0, 2, 1, 0.1);
+        this.framework.defineParams({
+            obstacleDensity: { type: 'slider', label: 'Obstacle Density', min: 0, max: 50, default: 20, step: 1, group: 'Grid', regenerate: true, description: 'Percentage of cells filled with walls' },
+            showStepByStep: { type: 'toggle', label: 'Step-by-Step Mode', default: true, group: 'Search', description: 'Advance the search only when Step is pressed' },
+            heuristicWeight: { type: 'slider', label: 'Heuristic Weight', min: 0, max: 2, default: 1, step: 0.1, group: 'Search', description: '0 behaves like Dijkstra, 1 is A*, above 1 is greedy' }
+        });
+
+        // Heuristic weight 0 searches like Dijkstra, 1 is plain A*, 2 leans greedy
+        const algorithms = [0, 1, 2];
+        this.framework.addShortcut('a', 'Cycle Dijkstra / A* / greedy', () => {
+            const weight = this.framework.getParams().heuristicWeight;
+            const next = algorithms.find(w => w > weight);
+            this.framework.setParam('heuristicWeight', next === undefined ? algorithms[0] : next);
+        });
+        this.framework.addShortcut('m', 'Toggle step-by-step mode', () => {
+            this.framework.setParam('showStepByStep', !this.framework.getParams().showStepByStep);
+        });
 
         this.framework.on('onSeedChange', (seed) => {
             this.regenerate(seed);
@@ -64,8 +71,15 @@ export class Pathfinding {
             this.regenerate(this.framework.getSeed());
             this.render();
         });
+        this.framework.on('onResize', () => {
+            // The grid is sized to the canvas, so a new size needs a new grid
+            this.cols = Math.floor(this.framework.width / this.cellSize);
+            this.rows = Math.floor(this.framework.height / this.cellSize);
+            this.regenerate(this.framework.getSeed());
+            this.render();
+        });
         this.framework.on('onStep', () => {
-            if (this.showStepByStep && !this.finished) {
+            if (this.framework.getParams().showStepByStep && !this.finished) {
                 this.pathfindingStep();
                 this.render();
             }
@@ -74,58 +88,43 @@ export class Pathfinding {
             const code = this.generateCode();
             this.framework.showCodeView(code);
         });
+        this.framework.on('onRegenerate', () => {
+            // Regenerate grid with new density
+            this.regenerate(this.framework.getSeed());
+            this.render();
+        });
         this.framework.on('onParamChange', (name) => {
-            if (name === 'obstacleDensity') {
-                // Regenerate grid with new density
-                this.regenerate(this.framework.getSeed());
-                this.render();
-            } else if (name === 'heuristicWeight') {
+            if (name === 'heuristicWeight') {
                 // If pathfinding is in progress, recalculate heuristics
                 // Otherwise regenerate
                 if (this.openSet.length > 0 || this.closedSet.length > 0) {
                     this.recalculateHeuristics();
                     // Re-sort open set by f value
                     this.openSet.sort((a, b) => a.f - b.f);
-                    this.render();
                 } else {
                     // Restart pathfinding with new heuristic weight
                     this.regenerate(this.framework.getSeed());
-                    this.render();
                 }
-            } else if (name === 'showStepByStep') {
-                // Just update the display
-                this.render();
             }
         });
+        this.framework.on('onRender', () => this.render());
 
         this.regenerate(this.framework.getSeed());
         this.render();
 
-        // Auto pathfinding
-        let lastTime = performance.now();
-        const animate = () => {
-            const currentTime = performance.now();
-            const params = this.framework.getParams();
-            this.showStepByStep = params.showStepByStep !== false;
-
-            if (!this.framework.isPaused && !this.showStepByStep && !this.finished) {
-                if (currentTime - lastTime >= 50) {
-                    this.pathfindingStep();
-                    this.render();
-                    lastTime = currentTime;
-                }
-            }
-            
-            requestAnimationFrame(animate);
-        };
-        
-        requestAnimationFrame(animate);
+        // Auto pathfinding: one expansion every 50 ms unless in step-by-step mode
+        this.framework.addLoop({
+            step: 0.05,
+            active: () => !this.framework.getParams().showStepByStep && !this.finished,
+            update: () => this.pathfindingStep(),
+            render: () => this.render()
+        });
     }
 
     regenerate(seed) {
-        const random = new SeededRandom(seed);
+        const random = new Random(seed);
         const params = this.framework.getParams();
-        const density = params.obstacleDensity || 20;
+        const density = params.obstacleDensity;
 
         this.grid = [];
         this.path = [];
@@ -138,7 +137,7 @@ export class Pathfinding {
             this.grid[y] = [];
             for (let x = 0; x < this.cols; x++) {
                 const node = new Node(x, y);
-                node.walkable = random.random() * 100 > density;
+                node.walkable = !random.chance(density / 100);
                 this.grid[y][x] = node;
             }
         }
@@ -154,11 +153,63 @@ export class Pathfinding {
         this.start.h = this.heuristic(this.start, this.goal);
         this.start.f = this.start.h;
         this.openSet = [this.start];
+        this.framework.resetTimeline();
+    }
+
+    // Nodes are referenced by index (y * cols + x) so snapshots stay flat
+    serializeState() {
+        const size = this.rows * this.cols;
+        const g = new Float64Array(size);
+        const h = new Float64Array(size);
+        const parents = new Int32Array(size).fill(-1);
+        const indexOf = (node) => node.y * this.cols + node.x;
+
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.cols; x++) {
+                const node = this.grid[y][x];
+                const i = y * this.cols + x;
+                g[i] = node.g;
+                h[i] = node.h;
+                if (node.parent) {
+                    parents[i] = indexOf(node.parent);
+                }
+            }
+        }
+        return {
+            g,
+            h,
+            parents,
+            openSet: this.openSet.map(indexOf),
+            closedSet: this.closedSet.map(indexOf),
+            path: this.path.map(indexOf),
+            current: this.current ? indexOf(this.current) : -1,
+            finished: this.finished
+        };
+    }
+
+    restoreState(state) {
+        const nodeAt = (i) => this.grid[Math.floor(i / this.cols)][i % this.cols];
+
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.cols; x++) {
+                const node = this.grid[y][x];
+                const i = y * this.cols + x;
+                node.g = state.g[i];
+                node.h = state.h[i];
+                node.f = node.g + node.h;
+                node.parent = state.parents[i] >= 0 ? nodeAt(state.parents[i]) : null;
+            }
+        }
+        this.openSet = state.openSet.map(nodeAt);
+        this.closedSet = state.closedSet.map(nodeAt);
+        this.path = state.path.map(nodeAt);
+        this.current = state.current >= 0 ? nodeAt(state.current) : null;
+        this.finished = state.finished;
     }
 
     heuristic(a, b) {
         const params = this.framework.getParams();
-        const weight = params.heuristicWeight || 1;
+        const weight = params.heuristicWeight;
         const dx = Math.abs(a.x - b.x);
         const dy = Math.abs(a.y - b.y);
         return (dx + dy) * weight; // Manhattan distance
@@ -202,8 +253,11 @@ export class Pathfinding {
     }
 
     pathfindingStep() {
-        if (this.finished || this.openSet.length === 0) {
+        if (this.finished) return;
+        if (this.openSet.length === 0) {
+            // Goal unreachable
             this.finished = true;
+            this.framework.emit('onFinish', { found: false, pathLength: 0 });
             return;
         }
 
@@ -221,6 +275,8 @@ export class Pathfinding {
         if (this.current === this.goal) {
             this.finished = true;
             this.reconstructPath();
+            this.framework.recordFrame();
+            this.framework.emit('onFinish', { found: true, pathLength: this.path.length });
             return;
         }
 
@@ -249,6 +305,7 @@ export class Pathfinding {
                 }
             }
         }
+        this.framework.recordFrame();
     }
 
     reconstructPath() {
@@ -261,11 +318,54 @@ export class Pathfinding {
         this.path.reverse();
     }
 
+    // Fields for the inspector tooltip
+    inspectAt(x, y) {
+        const col = Math.floor(x / this.cellSize);
+        const row = Math.floor(y / this.cellSize);
+        if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) return null;
+
+        const node = this.grid[row][col];
+        let state = 'Unvisited';
+        if (node === this.start) state = 'Start';
+        else if (node === this.goal) state = 'Goal';
+        else if (!node.walkable) state = 'Wall';
+        else if (this.path.includes(node)) state = 'Path';
+        else if (this.openSet.includes(node)) state = 'Open';
+        else if (this.closedSet.includes(node)) state = 'Closed';
+
+        const fields = { 'Node': `${col}, ${row}`, 'State': state };
+        if (node === this.start || this.openSet.includes(node) || this.closedSet.includes(node)) {
+            fields['g'] = node.g;
+            fields['h'] = node.h;
+            fields['f'] = node.f;
+            fields['Parent'] = node.parent ? `${node.parent.x}, ${node.parent.y}` : null;
+        }
+        return fields;
+    }
+
+    // Text summary of the canvas for screen readers
+    describe() {
+        const walls = this.grid.reduce((sum, row) => sum + row.filter(node => !node.walkable).length, 0);
+        const grid = `${this.cols}×${this.rows} grid with ${walls} walls, start at ${this.start.x}, ${this.start.y}, goal at ${this.goal.x}, ${this.goal.y}.`;
+        if (this.finished) {
+            return this.path.length > 0
+                ? `${grid} Path found: ${this.path.length} cells after expanding ${this.closedSet.length} nodes.`
+                : `${grid} No path: the goal is unreachable.`;
+        }
+        return `${grid} Searching: ${this.openSet.length} open, ${this.closedSet.length} closed.`;
+    }
+
+    // Counters for the performance overlay
+    getMetrics() {
+        return { 'Open set': this.openSet.length, 'Closed set': this.closedSet.length, 'Path length': this.path.length };
+    }
+
     render() {
         const ctx = this.ctx;
-        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        ctx.fillStyle = '#0a0a0a';
-        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        const palette = this.framework.getPalette();
+        ctx.clearRect(0, 0, this.framework.width, this.framework.height);
+        ctx.fillStyle = palette.background;
+        ctx.fillRect(0, 0, this.framework.width, this.framework.height);
 
         // Draw grid
         for (let y = 0; y < this.rows; y++) {
@@ -276,37 +376,37 @@ export class Pathfinding {
 
                 // Obstacles
                 if (!node.walkable) {
-                    ctx.fillStyle = '#333';
+                    ctx.fillStyle = palette.grid;
                     ctx.fillRect(px, py, this.cellSize, this.cellSize);
                 }
 
                 // Closed set
                 if (this.closedSet.includes(node)) {
-                    ctx.fillStyle = 'rgba(248, 113, 113, 0.3)';
+                    ctx.fillStyle = withAlpha(palette.negative, 0.3);
                     ctx.fillRect(px, py, this.cellSize, this.cellSize);
                 }
 
                 // Open set
                 if (this.openSet.includes(node)) {
-                    ctx.fillStyle = 'rgba(74, 222, 128, 0.3)';
+                    ctx.fillStyle = withAlpha(palette.positive, 0.3);
                     ctx.fillRect(px, py, this.cellSize, this.cellSize);
                 }
 
                 // Current
                 if (node === this.current) {
-                    ctx.fillStyle = 'rgba(74, 158, 255, 0.5)';
+                    ctx.fillStyle = withAlpha(palette.accent, 0.5);
                     ctx.fillRect(px, py, this.cellSize, this.cellSize);
                 }
 
                 // Path
                 if (this.path.includes(node)) {
-                    ctx.fillStyle = '#4ade80';
+                    ctx.fillStyle = palette.positive;
                     ctx.fillRect(px + 2, py + 2, this.cellSize - 4, this.cellSize - 4);
                 }
 
                 // Start
                 if (node === this.start) {
-                    ctx.fillStyle = '#4ade80';
+                    ctx.fillStyle = palette.positive;
                     ctx.beginPath();
                     ctx.arc(px + this.cellSize / 2, py + this.cellSize / 2, this.cellSize / 3, 0, Math.PI * 2);
                     ctx.fill();
@@ -314,14 +414,14 @@ export class Pathfinding {
 
                 // Goal
                 if (node === this.goal) {
-                    ctx.fillStyle = '#f87171';
+                    ctx.fillStyle = palette.negative;
                     ctx.beginPath();
                     ctx.arc(px + this.cellSize / 2, py + this.cellSize / 2, this.cellSize / 3, 0, Math.PI * 2);
                     ctx.fill();
                 }
 
                 // Grid lines
-                ctx.strokeStyle = '#222';
+                ctx.strokeStyle = palette.gridFaint;
                 ctx.lineWidth = 1;
                 ctx.strokeRect(px, py, this.cellSize, this.cellSize);
             }
@@ -357,23 +457,20 @@ export class Pathfinding {
             <button onclick="step()">Step</button>
         </div>
         <div class="control-group">
-            <label>Obstacle Density: <span id="obstacleDensityValue">${params.obstacleDensity || 20}</span>%</label>
-            <input type="range" id="obstacleDensity" min="0" max="50" step="1" value="${params.obstacleDensity || 20}" oninput="updateObstacleDensity(this.value)">
+            <label>Obstacle Density: <span id="obstacleDensityValue">${params.obstacleDensity}</span>%</label>
+            <input type="range" id="obstacleDensity" min="0" max="50" step="1" value="${params.obstacleDensity}" oninput="updateObstacleDensity(this.value)">
         </div>
         <div class="control-group">
-            <label>Heuristic Weight: <span id="heuristicWeightValue">${params.heuristicWeight || 1}</span></label>
-            <input type="range" id="heuristicWeight" min="0" max="2" step="0.1" value="${params.heuristicWeight || 1}" oninput="updateHeuristicWeight(this.value)">
+            <label>Heuristic Weight: <span id="heuristicWeightValue">${params.heuristicWeight}</span></label>
+            <input type="range" id="heuristicWeight" min="0" max="2" step="0.1" value="${params.heuristicWeight}" oninput="updateHeuristicWeight(this.value)">
         </div>
         <div class="control-group">
-            <label><input type="checkbox" id="showStepByStep" ${params.showStepByStep !== false ? 'checked' : ''} onchange="updateShowStepByStep(this.checked)"> Step-by-Step Mode</label>
+            <label><input type="checkbox" id="showStepByStep" ${params.showStepByStep ? 'checked' : ''} onchange="updateShowStepByStep(this.checked)"> Step-by-Step Mode</label>
         </div>
     </div>
 
     <script>
-        class SeededRandom {
-            constructor(seed) { this.seed = seed; }
-            random() { this.seed = (this.seed * 9301 + 49297) % 233280; return this.seed / 233280; }
-        }
+        ${randomSource('        ')}
 
         const canvas = document.getElementById('canvas');
         const ctx = canvas.getContext('2d');
@@ -388,18 +485,18 @@ export class Pathfinding {
         let path = [];
         let finished = false;
         let params = {
-            obstacleDensity: ${params.obstacleDensity || 20},
-            heuristicWeight: ${params.heuristicWeight || 1},
-            showStepByStep: ${params.showStepByStep !== false}
+            obstacleDensity: ${params.obstacleDensity},
+            heuristicWeight: ${params.heuristicWeight},
+            showStepByStep: ${params.showStepByStep}
         };
 
         function regenerate() {
-            const random = new SeededRandom(parseInt(document.getElementById('seed').value) || ${seed});
+            const random = new Random(parseInt(document.getElementById('seed').value) || ${seed});
             grid = [];
             for (let y = 0; y < rows; y++) {
                 grid[y] = [];
                 for (let x = 0; x < cols; x++) {
-                    grid[y][x] = random.random() * 100 < params.obstacleDensity ? 1 : 0;
+                    grid[y][x] = random.chance(params.obstacleDensity / 100) ? 1 : 0;
                 }
             }
             start = { x: 0, y: 0 };
@@ -3,16 +3,8 @@
  * Weighted RNG, distribution graphs, and fairness visualization
  */
 
-class SeededRandom {
-    constructor(seed) {
-        this.seed = seed;
-    }
-
-    random() {
-        this.seed = (this.seed * 9301 + 49297) % 233280;
-        return this.seed / 233280;
-    }
-}
+import { withAlpha } from '../framework/Palette.js';
+import { Random, randomSource } from '../framework/random.js';
 
 export class ProbabilityRandomness {
     constructor(framework) {
@@ -22,24 +14,27 @@ export class ProbabilityRandomness {
         this.distribution = [];
         this.history = [];
         this.maxHistory = 1000;
-        this.bins = 20;
+        // Each option gets its own color from the palette's series
+        this.maxOptions = 8;
 
+        this.framework.attach(this);
         this.init();
     }
 
     init() {
         // Controls
-        this.framework.addSlider('weight1', 'Weight 1', 0, 100, 10, 1);
-        this.framework.addSlider('weight2', 'Weight 2', 0, 100, 20, 1);
-        this.framework.addSlider('weight3', 'Weight 3', 0, 100, 30, 1);
-        this.framework.addSlider('weight4', 'Weight 4', 0, 100, 40, 1);
-        this.framework.addToggle('usePoisson', 'Use Poisson Disk', false);
-        this.framework.addSlider('poissonRadius', 'Poisson Radius', 5, 50, 20, 1);
-        this.framework.addSlider('samples', 'Samples per Frame', 1, 100, 10, 1);
+        // Every change restarts sampling so the distribution stays comparable
+        this.framework.defineParams({
+            weights: { type: 'textarea', label: 'Option Weights (comma separated, up to 8)', default: '10, 20, 30, 40', rows: 2, group: 'Weighted Choice', regenerate: true },
+            usePoisson: { type: 'toggle', label: 'Use Poisson Disk', default: false, group: 'Sampling', regenerate: true, description: 'Reject points closer than the Poisson radius to an existing point' },
+            poissonRadius: { type: 'slider', label: 'Poisson Radius', min: 5, max: 50, default: 20, step: 1, group: 'Sampling', regenerate: true },
+            samples: { type: 'slider', label: 'Samples per Frame', min: 1, max: 100, default: 10, step: 1, group: 'Sampling', regenerate: true }
+        });
 
         this.framework.on('onSeedChange', (seed) => this.reset());
         this.framework.on('onReset', () => this.reset());
-        this.framework.on('onParamChange', () => this.reset());
+        this.framework.on('onResize', () => this.render());
+        this.framework.on('onRegenerate', () => this.reset());
         this.framework.on('onShowCode', () => {
             const code = this.generateCode();
             this.framework.showCodeView(code);
@@ -48,49 +43,52 @@ export class ProbabilityRandomness {
         this.reset();
         this.render();
 
-        // Animation loop
-        this.framework.startAnimation(() => {
-            if (!this.framework.isPaused) {
-                this.update();
-                this.render();
-            }
+        // One batch of samples per 1/60 s of simulated time
+        this.framework.addLoop({
+            step: 1 / 60,
+            update: () => this.update(),
+            render: () => this.render()
         });
     }
 
     reset() {
-        this.distribution = new Array(this.bins).fill(0);
+        this.distribution = new Array(this.getWeights().length).fill(0);
         this.history = [];
+        // Separate streams, so the sequence of choices doesn't depend on how
+        // many numbers the scatter positions and Poisson attempts use
+        const random = new Random(this.framework.getSeed());
+        this.choiceRandom = random.fork('choices');
+        this.scatterRandom = random.fork('scatter');
     }
 
-    weightedRandom() {
+    getWeights() {
         const params = this.framework.getParams();
-        const weights = [
-            params.weight1 || 10,
-            params.weight2 || 20,
-            params.weight3 || 30,
-            params.weight4 || 40
-        ];
-        const total = weights.reduce((a, b) => a + b, 0);
-        const random = new SeededRandom(this.framework.getSeed() + this.history.length);
-        let r = random.random() * total;
-
-        for (let i = 0; i < weights.length; i++) {
-            r -= weights[i];
-            if (r <= 0) return i;
+        const weights = String(params.weights)
+            .split(/[\s,]+/)
+            .map(parseFloat)
+            .filter(w => Number.isFinite(w) && w >= 0)
+            .slice(0, this.maxOptions);
+
+        if (weights.length === 0 || weights.every(w => w === 0)) {
+            return [10, 20, 30, 40];
         }
-        return weights.length - 1;
+        return weights;
+    }
+
+    weightedRandom() {
+        return this.choiceRandom.weightedIndex(this.getWeights());
     }
 
     poissonDiskSample() {
         const params = this.framework.getParams();
-        const radius = params.poissonRadius || 20;
-        const random = new SeededRandom(this.framework.getSeed() + this.history.length);
+        const radius = params.poissonRadius;
+        const random = this.scatterRandom;
         
         // Simple Poisson disk sampling
         const attempts = 30;
         for (let i = 0; i < attempts; i++) {
-            const x = random.random() * this.canvas.width;
-            const y = random.random() * this.canvas.height;
+            const x = random.range(0, this.framework.width);
+            const y = random.range(0, this.framework.height);
             
             let valid = true;
             for (const point of this.history) {
@@ -112,8 +110,8 @@ export class ProbabilityRandomness {
 
     update() {
         const params = this.framework.getParams();
-        const samples = Math.floor(params.samples || 10);
-        const usePoisson = params.usePoisson || false;
+        const samples = Math.floor(params.samples);
+        const usePoisson = params.usePoisson;
 
         if (usePoisson) {
             for (let i = 0; i < samples && this.history.length < this.maxHistory; i++) {
@@ -125,12 +123,11 @@ export class ProbabilityRandomness {
         } else {
             for (let i = 0; i < samples; i++) {
                 const value = this.weightedRandom();
-                const bin = Math.floor((value / 4) * this.bins);
-                this.distribution[Math.min(bin, this.bins - 1)]++;
+                this.distribution[value]++;
                 
                 this.history.push({
-                    x: Math.random() * this.canvas.width,
-                    y: Math.random() * this.canvas.height,
+                    x: this.scatterRandom.range(0, this.framework.width),
+                    y: this.scatterRandom.range(0, this.framework.height),
                     value: value
                 });
                 
@@ -141,18 +138,39 @@ export class ProbabilityRandomness {
         }
     }
 
+    // Text summary of the canvas for screen readers
+    describe() {
+        if (this.framework.getParams().usePoisson) {
+            return `Poisson disk sampling: ${this.history.length} points placed.`;
+        }
+        const total = this.distribution.reduce((a, b) => a + b, 0);
+        if (total === 0) return 'Weighted choice: no samples yet.';
+        const weights = this.getWeights();
+        const weightTotal = weights.reduce((a, b) => a + b, 0);
+        const options = this.distribution.map((count, i) =>
+            `option ${i + 1} ${(count / total * 100).toFixed(1)}% (expected ${(weights[i] / weightTotal * 100).toFixed(1)}%)`
+        );
+        return `Weighted choice after ${total} samples: ${options.join(', ')}.`;
+    }
+
+    // Counters for the performance overlay
+    getMetrics() {
+        return { 'Samples shown': this.history.length };
+    }
+
     render() {
         const ctx = this.ctx;
         const params = this.framework.getParams();
-        const usePoisson = params.usePoisson || false;
+        const usePoisson = params.usePoisson;
+        const palette = this.framework.getPalette();
 
-        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        ctx.fillStyle = '#0a0a0a';
-        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.clearRect(0, 0, this.framework.width, this.framework.height);
+        ctx.fillStyle = palette.background;
+        ctx.fillRect(0, 0, this.framework.width, this.framework.height);
 
         if (usePoisson) {
             // Draw Poisson disk points
-            ctx.fillStyle = '#4ade80';
+            ctx.fillStyle = palette.positive;
             for (const point of this.history) {
                 ctx.beginPath();
                 ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
@@ -160,48 +178,43 @@ export class ProbabilityRandomness {
             }
 
             // Draw radius circles
-            ctx.strokeStyle = 'rgba(74, 158, 255, 0.2)';
+            ctx.strokeStyle = withAlpha(palette.accent, 0.2);
             ctx.lineWidth = 1;
-            const radius = params.poissonRadius || 20;
+            const radius = params.poissonRadius;
             for (const point of this.history) {
                 ctx.beginPath();
                 ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
                 ctx.stroke();
             }
         } else {
-            // Draw distribution histogram
-            const maxCount = Math.max(...this.distribution, 1);
-            const barWidth = this.canvas.width / this.bins;
-            const colors = ['#4ade80', '#4a9eff', '#fbbf24', '#f87171'];
+            // Draw distribution histogram, one bar per option
+            const weights = this.getWeights();
+            const options = weights.length;
+            const total = weights.reduce((a, b) => a + b, 0);
+            const totalSamples = this.distribution.reduce((a, b) => a + b, 0);
+            // Bars and the expected line share one scale so they stay comparable
+            const maxCount = Math.max(...this.distribution, ...weights.map(w => (w / total) * totalSamples), 1);
+            const barWidth = this.framework.width / options;
 
-            for (let i = 0; i < this.bins; i++) {
-                const height = (this.distribution[i] / maxCount) * (this.canvas.height * 0.8);
+            for (let i = 0; i < options; i++) {
+                const height = ((this.distribution[i] || 0) / maxCount) * (this.framework.height * 0.8);
                 const x = i * barWidth;
-                const colorIndex = Math.floor((i / this.bins) * 4);
                 
-                ctx.fillStyle = colors[colorIndex] || '#ffffff';
-                ctx.fillRect(x, this.canvas.height - height, barWidth - 2, height);
+                ctx.fillStyle = palette.series[i];
+                ctx.fillRect(x, this.framework.height - height, barWidth - 2, height);
             }
 
             // Draw expected distribution
-            const weights = [
-                params.weight1 || 10,
-                params.weight2 || 20,
-                params.weight3 || 30,
-                params.weight4 || 40
-            ];
-            const total = weights.reduce((a, b) => a + b, 0);
-            
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.strokeStyle = withAlpha(palette.ink, 0.5);
             ctx.lineWidth = 2;
             ctx.setLineDash([5, 5]);
             ctx.beginPath();
             
-            for (let i = 0; i < 4; i++) {
-                const expected = (weights[i] / total) * maxCount;
-                const height = (expected / maxCount) * (this.canvas.height * 0.8);
-                const x = (i / 4) * this.canvas.width + barWidth / 2;
-                const y = this.canvas.height - height;
+            for (let i = 0; i < options; i++) {
+                const expected = (weights[i] / total) * totalSamples;
+                const height = (expected / maxCount) * (this.framework.height * 0.8);
+                const x = i * barWidth + barWidth / 2;
+                const y = this.framework.height - height;
                 
                 if (i === 0) {
                     ctx.moveTo(x, y);
@@ -213,23 +226,19 @@ export class ProbabilityRandomness {
             ctx.setLineDash([]);
 
             // Draw sample points
-            const pointColors = ['#4ade80', '#4a9eff', '#fbbf24', '#f87171'];
             for (const point of this.history.slice(-500)) {
-                ctx.fillStyle = pointColors[point.value] || '#ffffff';
+                ctx.fillStyle = palette.series[point.value];
                 ctx.fillRect(point.x - 1, point.y - 1, 2, 2);
             }
 
             // Draw statistics
-            ctx.fillStyle = '#ffffff';
+            ctx.fillStyle = palette.ink;
             ctx.font = '14px monospace';
             ctx.textAlign = 'left';
-            const totalSamples = this.distribution.reduce((a, b) => a + b, 0);
             ctx.fillText(`Samples: ${totalSamples}`, 10, 20);
             
-            for (let i = 0; i < 4; i++) {
-                const binStart = Math.floor((i / 4) * this.bins);
-                const binEnd = Math.floor(((i + 1) / 4) * this.bins);
-                const count = this.distribution.slice(binStart, binEnd).reduce((a, b) => a + b, 0);
+            for (let i = 0; i < options; i++) {
+                const count = this.distribution[i] || 0;
                 const expected = (weights[i] / total) * totalSamples;
                 const error = Math.abs(count - expected) / expected * 100;
                 ctx.fillText(`Option ${i + 1}: ${count} (expected: ${expected.toFixed(1)}, error: ${error.toFixed(1)}%)`, 10, 40 + i * 20);
@@ -240,6 +249,11 @@ export class ProbabilityRandomness {
     generateCode() {
         const params = this.framework.getParams();
         const seed = this.framework.getSeed();
+        const weights = this.getWeights();
+        const weightControls = weights.map((weight, i) => `<div class="control-group">
+            <label>Weight ${i + 1}: <span id="weight${i}Value">${weight}</span></label>
+            <input type="range" min="0" max="100" step="1" value="${weight}" oninput="updateWeight(${i}, this.value)">
+        </div>`).join('\n        ');
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -264,62 +278,33 @@ export class ProbabilityRandomness {
             <label>Random Seed: <input type="number" id="seed" value="${seed}"></label>
             <button onclick="reset()">Reset</button>
         </div>
+        ${weightControls}
         <div class="control-group">
-            <label>Weight 1: <span id="weight1Value">${params.weight1 || 10}</span></label>
-            <input type="range" id="weight1" min="0" max="100" step="1" value="${params.weight1 || 10}" oninput="updateWeight1(this.value)">
-        </div>
-        <div class="control-group">
-            <label>Weight 2: <span id="weight2Value">${params.weight2 || 20}</span></label>
-            <input type="range" id="weight2" min="0" max="100" step="1" value="${params.weight2 || 20}" oninput="updateWeight2(this.value)">
-        </div>
-        <div class="control-group">
-            <label>Weight 3: <span id="weight3Value">${params.weight3 || 30}</span></label>
-            <input type="range" id="weight3" min="0" max="100" step="1" value="${params.weight3 || 30}" oninput="updateWeight3(this.value)">
-        </div>
-        <div class="control-group">
-            <label>Weight 4: <span id="weight4Value">${params.weight4 || 40}</span></label>
-            <input type="range" id="weight4" min="0" max="100" step="1" value="${params.weight4 || 40}" oninput="updateWeight4(this.value)">
-        </div>
-        <div class="control-group">
-            <label>Samples per Frame: <span id="samplesValue">${params.samples || 10}</span></label>
-            <input type="range" id="samples" min="1" max="100" step="1" value="${params.samples || 10}" oninput="updateSamples(this.value)">
+            <label>Samples per Frame: <span id="samplesValue">${params.samples}</span></label>
+            <input type="range" id="samples" min="1" max="100" step="1" value="${params.samples}" oninput="updateSamples(this.value)">
         </div>
     </div>
 
     <script>
-        class SeededRandom {
-            constructor(seed) { this.seed = seed; }
-            random() { this.seed = (this.seed * 9301 + 49297) % 233280; return this.seed / 233280; }
-        }
+        ${randomSource('        ')}
 
         const canvas = document.getElementById('canvas');
         const ctx = canvas.getContext('2d');
-        const bins = 4;
+        const bins = ${weights.length};
         let distribution = new Array(bins).fill(0);
         let history = [];
-        let random = new SeededRandom(${seed});
+        let random = new Random(${seed});
         let params = {
-            weight1: ${params.weight1 || 10},
-            weight2: ${params.weight2 || 20},
-            weight3: ${params.weight3 || 30},
-            weight4: ${params.weight4 || 40},
-            samples: ${params.samples || 10}
+            weights: [${weights.join(', ')}],
+            samples: ${params.samples}
         };
 
         function weightedRandom() {
-            const weights = [params.weight1, params.weight2, params.weight3, params.weight4];
-            const total = weights.reduce((a, b) => a + b, 0);
-            if (total === 0) return 0;
-            let r = random.random() * total;
-            for (let i = 0; i < weights.length; i++) {
-                r -= weights[i];
-                if (r <= 0) return i;
-            }
-            return bins - 1;
+            return random.weightedIndex(params.weights);
         }
 
         function reset() {
-            random = new SeededRandom(parseInt(document.getElementById('seed').value) || ${seed});
+            random = new Random(parseInt(document.getElementById('seed').value) || ${seed});
             distribution = new Array(bins).fill(0);
             history = [];
         }
@@ -329,8 +314,8 @@ export class ProbabilityRandomness {
                 const value = weightedRandom();
                 distribution[value]++;
                 history.push({
-                    x: random.random() * canvas.width,
-                    y: random.random() * canvas.height,
+                    x: random.range(0, canvas.width),
+                    y: random.range(0, canvas.height),
                     value: value
                 });
                 if (history.length > 1000) history.shift();
@@ -344,7 +329,7 @@ export class ProbabilityRandomness {
 
             const maxDist = Math.max(...distribution, 1);
             const barWidth = canvas.width / bins;
-            const colors = ['#4ade80', '#4a9eff', '#fbbf24', '#f87171'];
+            const colors = ${JSON.stringify(this.framework.getPalette().series.slice(0, this.maxOptions))};
 
             for (let i = 0; i < bins; i++) {
                 const height = (distribution[i] / maxDist) * canvas.height * 0.8;
@@ -357,9 +342,8 @@ export class ProbabilityRandomness {
                 ctx.fillText(\`\${distribution[i]}\`, i * barWidth + barWidth / 2, canvas.height - height - 10);
             }
 
-            const pointColors = ['#4ade80', '#4a9eff', '#fbbf24', '#f87171'];
             for (const point of history.slice(-500)) {
-                ctx.fillStyle = pointColors[point.value] || '#ffffff';
+                ctx.fillStyle = colors[point.value] || '#ffffff';
                 ctx.fillRect(point.x - 1, point.y - 1, 2, 2);
             }
         }
@@ -370,10 +354,7 @@ export class ProbabilityRandomness {
             requestAnimationFrame(animate);
         }
 
-        function updateWeight1(val) { params.weight1 = parseInt(val); document.getElementById('weight1Value').textContent = val; reset(); }
-        function updateWeight2(val) { params.weight2 = parseInt(val); document.getElementById('weight2Value').textContent = val; reset(); }
-        function updateWeight3(val) { params.weight3 = parseInt(val); document.getElementById('weight3Value').textContent = val; reset(); }
-        function updateWeight4(val) { params.weight4 = parseInt(val); document.getElementById('weight4Value').textContent = val; reset(); }
+        function updateWeight(i, val) { params.weights[i] = parseInt(val); document.getElementById('weight' + i + 'Value').textContent = val; reset(); }
         function updateSamples(val) { params.samples = parseInt(val); document.getElementById('samplesValue').textContent = val; }
 
         reset();
@@ -3,16 +3,8 @@
  * Voronoi diagrams with interactive point placement and Lloyd relaxation
  */
 
-class SeededRandom {
-    constructor(seed) {
-        this.seed = seed;
-    }
-
-    random() {
-        this.seed = (this.seed * 9301 + 49297) % 233280;
-        return this.seed / 233280;
-    }
-}
+import { withAlpha } from '../framework/Palette.js';
+import { Random, randomSource } from '../framework/random.js';
 
 export class SpatialPartitioning {
     constructor(framework) {
@@ -30,50 +22,41 @@ export class SpatialPartitioning {
         this.isRelaxing = false;
         this.currentRelaxationStep = 0;
         this.targetRelaxationSteps = 0;
-        this.relaxationAnimationId = null;
+        this.stopRelaxationLoop = null;
         this.originalPoints = []; // Store original points for reverse
         this.relaxationHistory = []; // Store point positions at each step for reverse
         this.isReversing = false;
         this.loopMode = false;
 
+        this.framework.attach(this, { update: 'stepForward' });
         this.init();
     }
 
     init() {
         // Controls
-        this.framework.addSlider('numPoints', 'Number of Points', 5, 50, 20, 1);
-        // Store reference to numPoints slider for updating when points are added
-        // Find it after it's been added to the DOM
-        setTimeout(() => {
-            const groups = this.framework.controlsPanel.querySelectorAll('.control-group');
-            for (const group of groups) {
-                const h3 = group.querySelector('h3');
-                if (h3 && h3.textContent === 'Number of Points') {
-                    this.numPointsSlider = group.querySelector('input[type="range"]');
-                    this.numPointsLabel = group.querySelector('label');
-                    break;
-                }
-            }
-        }, 0);
-        this.framework.addToggle('showDelaunay', 'Show Delaunay Triangulation', false);
-        this.framework.addToggle('showBiomes', 'Show Biome Colors', true);
-        this.framework.addToggle('lloydRelaxation', 'Animate Lloyd Relaxation', false);
-        this.framework.addToggle('loopMode', 'Loop Mode (Forward/Backward)', false);
-        this.framework.addSlider('relaxationSteps', 'Relaxation Steps', 1, 20, 5, 1);
-        
+        this.framework.defineParams({
+            numPoints: { type: 'slider', label: 'Number of Points', min: 5, max: 50, default: 20, step: 1, group: 'Sites', regenerate: true, description: 'Click the canvas to add more points' },
+            showDelaunay: { type: 'toggle', label: 'Show Delaunay Triangulation', default: false, group: 'Display' },
+            showBiomes: { type: 'toggle', label: 'Show Biome Colors', default: true, group: 'Display' },
+            lloydRelaxation: { type: 'toggle', label: 'Animate Lloyd Relaxation', default: false, group: 'Relaxation', description: 'Repeatedly move each site to the centroid of its cell' },
+            loopMode: { type: 'toggle', label: 'Loop Mode (Forward/Backward)', default: false, group: 'Relaxation' },
+            relaxationSteps: { type: 'slider', label: 'Relaxation Steps', min: 1, max: 20, default: 5, step: 1, group: 'Relaxation' }
+        });
+
         // Setup callbacks
         this.framework.on('onSeedChange', (seed) => {
             this.regenerate(seed);
             this.render();
         });
+        this.framework.on('onRegenerate', () => {
+            // Always regenerate when number of points changes
+            this.stopRelaxation();
+            this.currentRelaxationStep = 0;
+            this.relaxationHistory = [];
+            this.regenerate(this.framework.getSeed());
+        });
         this.framework.on('onParamChange', (name, value) => {
-            if (name === 'numPoints') {
-                // Always regenerate when number of points changes
-                this.stopRelaxation();
-                this.currentRelaxationStep = 0;
-                this.relaxationHistory = [];
-                this.regenerate(this.framework.getSeed());
-            } else if (name === 'lloydRelaxation') {
+            if (name === 'lloydRelaxation') {
                 const params = this.framework.getParams();
                 if (params.lloydRelaxation) {
                     this.startRelaxation();
@@ -82,34 +65,18 @@ export class SpatialPartitioning {
                 }
             } else if (name === 'loopMode') {
                 const params = this.framework.getParams();
-                this.loopMode = params.loopMode || false;
+                this.loopMode = params.loopMode;
             } else if (name === 'relaxationSteps') {
                 const params = this.framework.getParams();
-                this.targetRelaxationSteps = Math.floor(params.relaxationSteps || 5);
+                this.targetRelaxationSteps = Math.floor(params.relaxationSteps);
                 if (this.isRelaxing) {
                     // Restart with new target
                     this.stopRelaxation();
                     this.startRelaxation();
                 }
-            } else {
-                this.render();
-            }
-        });
-        this.framework.on('onPause', (isPaused) => {
-            if (isPaused) {
-                // Pause relaxation
-                if (this.relaxationAnimationId) {
-                    clearTimeout(this.relaxationAnimationId);
-                    this.relaxationAnimationId = null;
-                }
-            } else {
-                // Resume relaxation if it was running
-                const params = this.framework.getParams();
-                if (params.lloydRelaxation && this.isRelaxing) {
-                    this.startRelaxation();
-                }
             }
         });
+        this.framework.on('onRender', () => this.render());
         this.framework.on('onStep', () => {
             // Single step of relaxation
             if (this.isReversing) {
@@ -126,6 +93,20 @@ export class SpatialPartitioning {
             this.regenerate(this.framework.getSeed());
             this.render();
         });
+        let size = this.framework.getSize();
+        this.framework.on('onResize', ({ width, height }) => {
+            // Scale sites with the canvas so hand-placed points survive a resize
+            for (const points of [this.points, this.originalPoints, ...this.relaxationHistory]) {
+                for (const point of points) {
+                    point.x *= width / size.width;
+                    point.y *= height / size.height;
+                }
+            }
+            size = { width, height };
+            this.computeVoronoi();
+            this.computeDelaunay();
+            this.render();
+        });
         this.framework.on('onShowCode', () => {
             const code = this.generateCode();
             this.framework.showCodeView(code);
@@ -142,16 +123,16 @@ export class SpatialPartitioning {
     }
 
     regenerate(seed) {
-        const random = new SeededRandom(seed);
+        const random = new Random(seed);
         const params = this.framework.getParams();
-        const numPoints = Math.floor(params.numPoints || 20);
+        const numPoints = Math.floor(params.numPoints);
         
         // Always regenerate all points from scratch
         this.points = [];
         for (let i = 0; i < numPoints; i++) {
             this.points.push({
-                x: random.random() * this.canvas.width,
-                y: random.random() * this.canvas.height
+                x: random.range(0, this.framework.width),
+                y: random.range(0, this.framework.height)
             });
         }
         
@@ -171,8 +152,8 @@ export class SpatialPartitioning {
     }
 
     computeVoronoi() {
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const width = this.framework.width;
+        const height = this.framework.height;
         this.voronoiCells = [];
 
         // Use adaptive resolution: coarse during dragging, fine otherwise
@@ -318,68 +299,59 @@ export class SpatialPartitioning {
     }
     
     startRelaxation() {
-        if (this.isRelaxing && !this.framework.isPaused) return;
+        if (this.isRelaxing) return;
         
         const params = this.framework.getParams();
         this.isRelaxing = true;
-        this.targetRelaxationSteps = Math.floor(params.relaxationSteps || 5);
+        this.targetRelaxationSteps = Math.floor(params.relaxationSteps);
         
         // Reset if starting fresh
         if (this.currentRelaxationStep === 0 && this.relaxationHistory.length <= 1) {
             this.relaxationHistory = [this.points.map(p => ({ x: p.x, y: p.y }))];
         }
         
-        const relaxStep = () => {
-            if (this.framework.isPaused) {
-                // Paused, don't continue
-                this.relaxationAnimationId = setTimeout(relaxStep, 100);
-                return;
-            }
-            
-            if (!this.isRelaxing) {
+        // One relaxation step every 200 ms of simulated time; pausing the
+        // framework pauses the loop
+        this.stopRelaxationLoop = this.framework.addLoop({
+            step: 0.2,
+            update: () => this.relaxStep()
+        });
+    }
+    
+    relaxStep() {
+        if (this.isReversing) {
+            // Going backward
+            if (this.currentRelaxationStep <= 0) {
+                // Reached start, switch to forward if looping (after one step's pause)
+                if (this.loopMode) {
+                    this.isReversing = false;
+                } else {
+                    this.stopRelaxation();
+                }
                 return;
             }
-            
-            if (this.isReversing) {
-                // Going backward
-                if (this.currentRelaxationStep <= 0) {
-                    // Reached start, switch to forward if looping
-                    if (this.loopMode) {
-                        this.isReversing = false;
-                        this.relaxationAnimationId = setTimeout(relaxStep, 200);
-                    } else {
-                        this.stopRelaxation();
-                    }
-                    return;
-                }
-                this.stepBackward();
-            } else {
-                // Going forward
-                if (this.currentRelaxationStep >= this.targetRelaxationSteps) {
-                    // Reached end, switch to backward if looping
-                    if (this.loopMode) {
-                        this.isReversing = true;
-                        this.relaxationAnimationId = setTimeout(relaxStep, 200);
-                    } else {
-                        this.stopRelaxation();
-                    }
-                    return;
+            this.stepBackward();
+        } else {
+            // Going forward
+            if (this.currentRelaxationStep >= this.targetRelaxationSteps) {
+                // Reached end, switch to backward if looping
+                if (this.loopMode) {
+                    this.isReversing = true;
+                } else {
+                    this.stopRelaxation();
                 }
-                this.stepForward();
+                return;
             }
-            
-            this.relaxationAnimationId = setTimeout(relaxStep, 200); // 200ms per step
-        };
-        
-        relaxStep();
+            this.stepForward();
+        }
     }
     
     stopRelaxation() {
         this.isRelaxing = false;
         this.isReversing = false;
-        if (this.relaxationAnimationId) {
-            clearTimeout(this.relaxationAnimationId);
-            this.relaxationAnimationId = null;
+        if (this.stopRelaxationLoop) {
+            this.stopRelaxationLoop();
+            this.stopRelaxationLoop = null;
         }
     }
     
@@ -394,41 +366,11 @@ export class SpatialPartitioning {
     }
 
     handleClick(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        
-        // Scale to canvas coordinates
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-        const canvasX = x * scaleX;
-        const canvasY = y * scaleY;
-        
-        this.points.push({ x: canvasX, y: canvasY });
+        const { x, y } = this.framework.toLogicalPoint(e);
+        this.points.push({ x, y });
         
         // Update numPoints slider and params to reflect actual number of points
-        const newNumPoints = this.points.length;
-        this.framework.params.numPoints = newNumPoints;
-        
-        // Find slider if not already found
-        if (!this.numPointsSlider) {
-            const groups = this.framework.controlsPanel.querySelectorAll('.control-group');
-            for (const group of groups) {
-                const h3 = group.querySelector('h3');
-                if (h3 && h3.textContent === 'Number of Points') {
-                    this.numPointsSlider = group.querySelector('input[type="range"]');
-                    this.numPointsLabel = group.querySelector('label');
-                    break;
-                }
-            }
-        }
-        
-        if (this.numPointsSlider) {
-            this.numPointsSlider.value = newNumPoints;
-            if (this.numPointsLabel) {
-                this.numPointsLabel.textContent = `Number of Points: ${newNumPoints}`;
-            }
-        }
+        this.framework.setParam('numPoints', this.points.length, false);
         
         this.computeVoronoi();
         this.computeDelaunay();
@@ -436,9 +378,7 @@ export class SpatialPartitioning {
     }
 
     handleMouseDown(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
-        const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+        const { x, y } = this.framework.toLogicalPoint(e);
         
         // Find closest point
         let minDist = Infinity;
@@ -458,17 +398,15 @@ export class SpatialPartitioning {
     handleMouseMove(e) {
         if (!this.isDragging || this.dragIndex < 0) return;
         
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
-        const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+        const { x, y } = this.framework.toLogicalPoint(e);
         
-        this.points[this.dragIndex].x = Math.max(0, Math.min(this.canvas.width, x));
-        this.points[this.dragIndex].y = Math.max(0, Math.min(this.canvas.height, y));
+        this.points[this.dragIndex].x = Math.max(0, Math.min(this.framework.width, x));
+        this.points[this.dragIndex].y = Math.max(0, Math.min(this.framework.height, y));
         
         // Throttle updates during dragging using requestAnimationFrame
         if (!this.updatePending) {
             this.updatePending = true;
-            requestAnimationFrame(() => {
+            this.framework.requestFrame(() => {
                 this.computeVoronoi();
                 this.computeDelaunay();
                 this.render();
@@ -487,23 +425,36 @@ export class SpatialPartitioning {
         this.render();
     }
 
+    // Text summary of the canvas for screen readers
+    describe() {
+        const { 'Points': points, 'Triangles': triangles, 'Relaxation step': step } = this.getMetrics();
+        return `Voronoi diagram of ${points} points with ${triangles} Delaunay triangles, relaxation step ${step}.`;
+    }
+
+    // Counters for the performance overlay; Delaunay is brute force, O(n⁴)
+    getMetrics() {
+        return {
+            'Points': this.points.length,
+            'Triangles': this.delaunayTriangles.length,
+            'Relaxation step': this.currentRelaxationStep
+        };
+    }
+
     render() {
         const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const width = this.framework.width;
+        const height = this.framework.height;
         const params = this.framework.getParams();
-        const showDelaunay = params.showDelaunay || false;
-        const showBiomes = params.showBiomes !== false;
+        const showDelaunay = params.showDelaunay;
+        const showBiomes = params.showBiomes;
+        const palette = this.framework.getPalette();
 
         ctx.clearRect(0, 0, width, height);
-        ctx.fillStyle = '#0a0a0a';
+        ctx.fillStyle = palette.background;
         ctx.fillRect(0, 0, width, height);
 
         // Draw Voronoi cells
-        const colors = [
-            '#4a9eff', '#4ade80', '#fbbf24', '#f87171', '#a78bfa',
-            '#fb7185', '#34d399', '#60a5fa', '#f472b6', '#818cf8'
-        ];
+        const colors = palette.series;
 
         for (let i = 0; i < this.voronoiCells.length; i++) {
             const cell = this.voronoiCells[i];
@@ -511,8 +462,8 @@ export class SpatialPartitioning {
             if (cell.vertices.length === 0) continue;
             
             ctx.beginPath();
-            ctx.fillStyle = showBiomes ? colors[i % colors.length] : '#2a2a2a';
-            ctx.strokeStyle = '#4a9eff';
+            ctx.fillStyle = showBiomes ? colors[i % colors.length] : palette.surface;
+            ctx.strokeStyle = palette.accent;
             ctx.lineWidth = 1;
             
             ctx.moveTo(cell.vertices[0].x, cell.vertices[0].y);
@@ -526,7 +477,7 @@ export class SpatialPartitioning {
 
         // Draw Delaunay triangulation
         if (showDelaunay) {
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+            ctx.strokeStyle = withAlpha(palette.ink, 0.3);
             ctx.lineWidth = 1;
             for (const triangle of this.delaunayTriangles) {
                 const p1 = this.points[triangle[0]];
@@ -543,13 +494,13 @@ export class SpatialPartitioning {
         }
 
         // Draw points
-        ctx.fillStyle = '#ffffff';
+        ctx.fillStyle = palette.ink;
         for (const point of this.points) {
             ctx.beginPath();
             ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
             ctx.fill();
             
-            ctx.strokeStyle = '#4a9eff';
+            ctx.strokeStyle = palette.accent;
             ctx.lineWidth = 2;
             ctx.stroke();
         }
@@ -558,7 +509,7 @@ export class SpatialPartitioning {
     generateCode() {
         const params = this.framework.getParams();
         const seed = this.framework.getSeed();
-        const numPoints = Math.floor(params.numPoints || 20);
+        const numPoints = Math.floor(params.numPoints);
         
         return `<!DOCTYPE html>
 <html lang="en">
@@ -592,16 +543,13 @@ export class SpatialPartitioning {
             <label><input type="checkbox" id="showDelaunay" ${params.showDelaunay ? 'checked' : ''} onchange="updateShowDelaunay(this.checked)"> Show Delaunay Triangulation</label>
         </div>
         <div class="control-group">
-            <label><input type="checkbox" id="showBiomes" ${params.showBiomes !== false ? 'checked' : ''} onchange="updateShowBiomes(this.checked)"> Show Biome Colors</label>
+            <label><input type="checkbox" id="showBiomes" ${params.showBiomes ? 'checked' : ''} onchange="updateShowBiomes(this.checked)"> Show Biome Colors</label>
         </div>
         <p style="color: #666; font-size: 12px;">Click canvas to add points, drag to move them</p>
     </div>
 
     <script>
-        class SeededRandom {
-            constructor(seed) { this.seed = seed; }
-            random() { this.seed = (this.seed * 9301 + 49297) % 233280; return this.seed / 233280; }
-        }
+        ${randomSource('        ')}
 
         const canvas = document.getElementById('canvas');
         const ctx = canvas.getContext('2d');
@@ -610,19 +558,19 @@ export class SpatialPartitioning {
         let delaunayTriangles = [];
         let params = {
             numPoints: ${numPoints},
-            showDelaunay: ${params.showDelaunay || false},
-            showBiomes: ${params.showBiomes !== false}
+            showDelaunay: ${params.showDelaunay},
+            showBiomes: ${params.showBiomes}
         };
 
         function regenerate() {
             const seedInput = document.getElementById('seed');
             const seedValue = seedInput ? parseInt(seedInput.value) : ${seed};
-            const random = new SeededRandom(seedValue || ${seed});
+            const random = new Random(seedValue || ${seed});
             points = [];
             for (let i = 0; i < params.numPoints; i++) {
                 points.push({
-                    x: random.random() * canvas.width,
-                    y: random.random() * canvas.height
+                    x: random.range(0, canvas.width),
+                    y: random.range(0, canvas.height)
                 });
             }
             computeVoronoi();
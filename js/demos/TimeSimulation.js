@@ -3,25 +3,18 @@
  * Fixed vs variable timestep comparison with complex physics simulation
  */
 
-class SeededRandom {
-    constructor(seed) {
-        this.seed = seed;
-    }
-
-    random() {
-        this.seed = (this.seed * 9301 + 49297) % 233280;
-        return this.seed / 233280;
-    }
-}
+import { withAlpha } from '../framework/Palette.js';
+import { Random, randomSource } from '../framework/random.js';
 
 class Particle {
-    constructor(x, y, vx, vy, radius, color) {
+    // colorIndex picks the particle's color from the palette's series
+    constructor(x, y, vx, vy, radius, colorIndex) {
         this.x = x;
         this.y = y;
         this.vx = vx;
         this.vy = vy;
         this.radius = radius;
-        this.color = color;
+        this.colorIndex = colorIndex;
         this.trail = [];
         this.maxTrailLength = 20;
     }
@@ -59,10 +52,12 @@ class Particle {
         }
     }
 
-    draw(ctx, showTrail = false) {
+    draw(ctx, palette, showTrail = false) {
+        const color = palette.series[this.colorIndex % palette.series.length];
+
         // Draw trail
         if (showTrail && this.trail.length > 1) {
-            ctx.strokeStyle = this.color;
+            ctx.strokeStyle = color;
             ctx.lineWidth = 2;
             ctx.globalAlpha = 0.3;
             ctx.beginPath();
@@ -75,12 +70,12 @@ class Particle {
         }
 
         // Draw particle
-        ctx.fillStyle = this.color;
+        ctx.fillStyle = color;
         ctx.beginPath();
         ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
         ctx.fill();
         
-        ctx.strokeStyle = '#ffffff';
+        ctx.strokeStyle = palette.ink;
         ctx.lineWidth = 2;
         ctx.stroke();
     }
@@ -93,25 +88,27 @@ export class TimeSimulation {
         this.canvas = framework.getCanvas();
         this.fixedParticles = [];
         this.variableParticles = [];
-        this.lastTime = 0;
         this.accumulator = 0;
         this.fixedTimestep = 1 / 60; // 60 FPS
         this.desyncTime = 0;
         this.frameCount = 0;
         this.fps = 60;
 
+        this.framework.attach(this);
         this.init();
     }
 
     init() {
         // Controls
-        this.framework.addToggle('useFixed', 'Use Fixed Timestep', true);
-        this.framework.addToggle('showTrails', 'Show Trails', true);
-        this.framework.addToggle('showDesync', 'Show Desync Visualization', true);
-        this.framework.addSlider('timestep', 'Fixed Timestep (ms)', 1, 100, 16.67, 0.1);
-        this.framework.addSlider('gravity', 'Gravity', 0, 1000, 500, 10);
-        this.framework.addSlider('bounce', 'Bounce Damping', 0, 1, 0.8, 0.1);
-        this.framework.addSlider('numParticles', 'Number of Particles', 5, 30, 15, 1);
+        this.framework.defineParams({
+            useFixed: { type: 'toggle', label: 'Use Fixed Timestep', default: true, group: 'Timestep', description: 'Advance physics in constant increments instead of the raw frame delta' },
+            timestep: { type: 'slider', label: 'Fixed Timestep (ms)', min: 1, max: 100, default: 16.67, step: 0.01, group: 'Timestep' },
+            showTrails: { type: 'toggle', label: 'Show Trails', default: true, group: 'Display' },
+            showDesync: { type: 'toggle', label: 'Show Desync Visualization', default: true, group: 'Display' },
+            gravity: { type: 'slider', label: 'Gravity', min: 0, max: 1000, default: 500, step: 10, group: 'Physics' },
+            bounce: { type: 'slider', label: 'Bounce Damping', min: 0, max: 1, default: 0.8, step: 0.1, group: 'Physics' },
+            numParticles: { type: 'slider', label: 'Number of Particles', min: 5, max: 30, default: 15, step: 1, group: 'Physics', regenerate: true }
+        });
 
         this.framework.on('onShowCode', () => {
             const code = this.generateCode();
@@ -119,81 +116,57 @@ export class TimeSimulation {
         });
         this.framework.on('onSeedChange', (seed) => this.regenerate(seed));
         this.framework.on('onReset', () => this.regenerate(this.framework.getSeed()));
-        this.framework.on('onParamChange', (name) => {
-            if (name === 'numParticles') {
-                this.regenerate(this.framework.getSeed());
-            }
-        });
+        this.framework.on('onResize', () => this.regenerate(this.framework.getSeed()));
+        this.framework.on('onRegenerate', () => this.regenerate(this.framework.getSeed()));
 
         this.regenerate(this.framework.getSeed());
         this.render();
 
-        // Animation loop
-        let lastTime = performance.now();
-        const animate = () => {
-            const currentTime = performance.now();
-            const deltaTime = (currentTime - lastTime) / 1000;
-            lastTime = currentTime;
-            
-            // Calculate FPS
-            this.frameCount++;
-            if (this.frameCount % 60 === 0) {
-                this.fps = Math.round(1 / deltaTime);
-            }
-
-            this.update(currentTime / 1000);
-            this.render();
-            requestAnimationFrame(animate);
-        };
-        
-        requestAnimationFrame(animate);
+        // Variable-dt loop on purpose: the demo does its own fixed stepping
+        // so it can compare it against the raw (speed-scaled) frame delta
+        this.framework.addLoop({
+            update: (dt) => {
+                // Sample the scheduler's smoothed FPS once a second
+                this.frameCount++;
+                if (this.frameCount % 60 === 0) {
+                    this.fps = Math.round(this.framework.scheduler.fps);
+                }
+                this.update(dt);
+            },
+            render: () => this.render()
+        });
     }
 
     regenerate(seed) {
-        const random = new SeededRandom(seed);
+        const random = new Random(seed);
         const params = this.framework.getParams();
-        const numParticles = Math.floor(params.numParticles || 15);
-        const halfWidth = this.canvas.width / 2;
+        const numParticles = Math.floor(params.numParticles);
+        const halfWidth = this.framework.width / 2;
 
         this.fixedParticles = [];
         this.variableParticles = [];
-        this.lastTime = performance.now() / 1000;
         this.accumulator = 0;
         this.desyncTime = 0;
 
-        const colors = [
-            '#4ade80', '#4a9eff', '#fbbf24', '#f87171', '#a78bfa',
-            '#fb7185', '#34d399', '#60a5fa', '#f472b6', '#818cf8'
-        ];
-
         for (let i = 0; i < numParticles; i++) {
             const x = 50 + (i % 5) * 60;
             const y = 50 + Math.floor(i / 5) * 80;
-            const vx = (random.random() - 0.5) * 200;
-            const vy = random.random() * 100;
-            const radius = 8 + random.random() * 7;
-            const color = colors[i % colors.length];
+            const vx = random.range(-100, 100);
+            const vy = random.range(0, 100);
+            const radius = random.range(8, 15);
 
-            this.fixedParticles.push(new Particle(x, y, vx, vy, radius, color));
-            this.variableParticles.push(new Particle(x, y, vx, vy, radius, color));
+            this.fixedParticles.push(new Particle(x, y, vx, vy, radius, i));
+            this.variableParticles.push(new Particle(x, y, vx, vy, radius, i));
         }
     }
 
-    update(currentTime) {
+    update(deltaTime) {
         const params = this.framework.getParams();
-        const useFixed = params.useFixed !== false;
-        const timestep = (params.timestep || 16.67) / 1000;
-        const gravity = (params.gravity || 500) / 1000;
-        const bounce = params.bounce || 0.8;
-        const halfWidth = this.canvas.width / 2;
-
-        if (this.lastTime === 0) {
-            this.lastTime = currentTime;
-            return;
-        }
-
-        const deltaTime = currentTime - this.lastTime;
-        this.lastTime = currentTime;
+        const useFixed = params.useFixed;
+        const timestep = params.timestep / 1000;
+        const gravity = params.gravity / 1000;
+        const bounce = params.bounce;
+        const halfWidth = this.framework.width / 2;
 
         if (useFixed) {
             // Fixed timestep with accumulator
@@ -202,14 +175,14 @@ export class TimeSimulation {
 
             while (this.accumulator >= fixedDt) {
                 for (const particle of this.fixedParticles) {
-                    particle.update(fixedDt, gravity, bounce, halfWidth, this.canvas.height);
+                    particle.update(fixedDt, gravity, bounce, halfWidth, this.framework.height);
                 }
                 this.accumulator -= fixedDt;
             }
 
             // Update variable timestep for comparison
             for (const particle of this.variableParticles) {
-                particle.update(deltaTime, gravity, bounce, halfWidth, this.canvas.height);
+                particle.update(deltaTime, gravity, bounce, halfWidth, this.framework.height);
             }
 
             // Calculate desync
@@ -225,59 +198,73 @@ export class TimeSimulation {
         } else {
             // Variable timestep only
             for (const particle of this.variableParticles) {
-                particle.update(deltaTime, gravity, bounce, this.canvas.width, this.canvas.height);
+                particle.update(deltaTime, gravity, bounce, this.framework.width, this.framework.height);
             }
         }
     }
 
+    // Text summary of the canvas for screen readers
+    describe() {
+        const params = this.framework.getParams();
+        const { 'Particles': particles, 'Desync (px)': desync } = this.getMetrics();
+        const timestep = params.useFixed ? `fixed ${params.timestep} ms timestep` : 'variable timestep';
+        return `${particles} bouncing particles on a ${timestep}; fixed and variable runs are ${desync} px apart.`;
+    }
+
+    // Counters for the performance overlay
+    getMetrics() {
+        return { 'Particles': this.fixedParticles.length, 'Desync (px)': Math.round(this.desyncTime * 10) / 10 };
+    }
+
     render() {
         const ctx = this.ctx;
         const params = this.framework.getParams();
-        const useFixed = params.useFixed !== false;
-        const showTrails = params.showTrails !== false;
-        const showDesync = params.showDesync !== false;
+        const useFixed = params.useFixed;
+        const showTrails = params.showTrails;
+        const showDesync = params.showDesync;
+        const palette = this.framework.getPalette();
 
-        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        ctx.fillStyle = '#0a0a0a';
-        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.clearRect(0, 0, this.framework.width, this.framework.height);
+        ctx.fillStyle = palette.background;
+        ctx.fillRect(0, 0, this.framework.width, this.framework.height);
 
         // Draw divider
-        ctx.strokeStyle = '#333';
+        ctx.strokeStyle = palette.grid;
         ctx.lineWidth = 2;
         ctx.beginPath();
-        ctx.moveTo(this.canvas.width / 2, 0);
-        ctx.lineTo(this.canvas.width / 2, this.canvas.height);
+        ctx.moveTo(this.framework.width / 2, 0);
+        ctx.lineTo(this.framework.width / 2, this.framework.height);
         ctx.stroke();
 
         // Draw labels
-        ctx.fillStyle = '#ffffff';
+        ctx.fillStyle = palette.ink;
         ctx.font = 'bold 18px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText(useFixed ? 'Fixed Timestep' : 'Variable Timestep', this.canvas.width / 4, 25);
-        ctx.fillText(useFixed ? 'Variable Timestep (comparison)' : 'Variable Timestep', this.canvas.width * 3 / 4, 25);
+        ctx.fillText(useFixed ? 'Fixed Timestep' : 'Variable Timestep', this.framework.width / 4, 25);
+        ctx.fillText(useFixed ? 'Variable Timestep (comparison)' : 'Variable Timestep', this.framework.width * 3 / 4, 25);
 
         // Draw FPS and info
         ctx.font = '14px monospace';
         ctx.textAlign = 'left';
-        ctx.fillText(`FPS: ${this.fps}`, 10, this.canvas.height - 60);
+        ctx.fillText(`FPS: ${this.fps}`, 10, this.framework.height - 60);
         
         if (useFixed) {
-            ctx.fillText(`Timestep: ${(params.timestep || 16.67).toFixed(2)}ms`, 10, this.canvas.height - 40);
-            ctx.fillText(`Accumulator: ${this.accumulator.toFixed(4)}s`, 10, this.canvas.height - 20);
+            ctx.fillText(`Timestep: ${params.timestep.toFixed(2)}ms`, 10, this.framework.height - 40);
+            ctx.fillText(`Accumulator: ${this.accumulator.toFixed(4)}s`, 10, this.framework.height - 20);
             
             if (showDesync) {
                 ctx.textAlign = 'right';
-                ctx.fillStyle = this.desyncTime > 5 ? '#f87171' : '#4ade80';
-                ctx.fillText(`Desync: ${this.desyncTime.toFixed(2)}px`, this.canvas.width - 10, this.canvas.height - 20);
+                ctx.fillStyle = this.desyncTime > 5 ? palette.negative : palette.positive;
+                ctx.fillText(`Desync: ${this.desyncTime.toFixed(2)}px`, this.framework.width - 10, this.framework.height - 20);
             }
         }
 
-        const halfWidth = this.canvas.width / 2;
+        const halfWidth = this.framework.width / 2;
 
         // Draw fixed timestep particles (left side)
         if (useFixed) {
             for (const particle of this.fixedParticles) {
-                particle.draw(ctx, showTrails);
+                particle.draw(ctx, palette, showTrails);
             }
 
             // Draw variable timestep particles (right side, offset)
@@ -294,7 +281,7 @@ export class TimeSimulation {
                     const dist = Math.sqrt(dx * dx + dy * dy);
                     
                     if (dist > 2) {
-                        ctx.strokeStyle = 'rgba(248, 113, 113, 0.5)';
+                        ctx.strokeStyle = withAlpha(palette.negative, 0.5);
                         ctx.lineWidth = 1;
                         ctx.setLineDash([2, 2]);
                         ctx.beginPath();
@@ -307,35 +294,35 @@ export class TimeSimulation {
                 
                 // Draw with slight transparency to show difference
                 ctx.globalAlpha = 0.7;
-                particle.draw(ctx, showTrails);
+                particle.draw(ctx, palette, showTrails);
                 ctx.globalAlpha = 1.0;
             }
             ctx.restore();
         } else {
             // Variable timestep only - draw on both sides
             for (const particle of this.variableParticles) {
-                particle.draw(ctx, showTrails);
+                particle.draw(ctx, palette, showTrails);
             }
             
             ctx.save();
             ctx.translate(halfWidth, 0);
             for (const particle of this.variableParticles) {
-                particle.draw(ctx, showTrails);
+                particle.draw(ctx, palette, showTrails);
             }
             ctx.restore();
         }
 
         // Draw desync heatmap overlay
         if (useFixed && showDesync && this.desyncTime > 0) {
-            ctx.fillStyle = `rgba(248, 113, 113, ${Math.min(0.3, this.desyncTime / 50)})`;
-            ctx.fillRect(halfWidth, 0, halfWidth, this.canvas.height);
+            ctx.fillStyle = withAlpha(palette.negative, Math.min(0.3, this.desyncTime / 50));
+            ctx.fillRect(halfWidth, 0, halfWidth, this.framework.height);
         }
     }
 
     generateCode() {
         const params = this.framework.getParams();
         const seed = this.framework.getSeed();
-        const numParticles = Math.floor(params.numParticles || 15);
+        const numParticles = Math.floor(params.numParticles);
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -365,22 +352,22 @@ export class TimeSimulation {
             <input type="range" id="numParticles" min="5" max="30" step="1" value="${numParticles}" oninput="updateNumParticles(this.value)">
         </div>
         <div class="control-group">
-            <label>Gravity: <span id="gravityValue">${params.gravity || 500}</span></label>
-            <input type="range" id="gravity" min="0" max="1000" step="10" value="${params.gravity || 500}" oninput="updateGravity(this.value)">
+            <label>Gravity: <span id="gravityValue">${params.gravity}</span></label>
+            <input type="range" id="gravity" min="0" max="1000" step="10" value="${params.gravity}" oninput="updateGravity(this.value)">
         </div>
         <div class="control-group">
-            <label>Bounce Damping: <span id="bounceValue">${params.bounce || 0.8}</span></label>
-            <input type="range" id="bounce" min="0" max="1" step="0.1" value="${params.bounce || 0.8}" oninput="updateBounce(this.value)">
+            <label>Bounce Damping: <span id="bounceValue">${params.bounce}</span></label>
+            <input type="range" id="bounce" min="0" max="1" step="0.1" value="${params.bounce}" oninput="updateBounce(this.value)">
         </div>
         <div class="control-group">
-            <label>Fixed Timestep (ms): <span id="timestepValue">${params.timestep || 16.67}</span></label>
-            <input type="range" id="timestep" min="1" max="100" step="0.1" value="${params.timestep || 16.67}" oninput="updateTimestep(this.value)">
+            <label>Fixed Timestep (ms): <span id="timestepValue">${params.timestep}</span></label>
+            <input type="range" id="timestep" min="1" max="100" step="0.1" value="${params.timestep}" oninput="updateTimestep(this.value)">
         </div>
         <div class="control-group">
-            <label><input type="checkbox" id="showTrails" ${params.showTrails !== false ? 'checked' : ''} onchange="updateShowTrails(this.checked)"> Show Trails</label>
+            <label><input type="checkbox" id="showTrails" ${params.showTrails ? 'checked' : ''} onchange="updateShowTrails(this.checked)"> Show Trails</label>
         </div>
         <div class="control-group">
-            <label><input type="checkbox" id="showDesync" ${params.showDesync !== false ? 'checked' : ''} onchange="updateShowDesync(this.checked)"> Show Desync Visualization</label>
+            <label><input type="checkbox" id="showDesync" ${params.showDesync ? 'checked' : ''} onchange="updateShowDesync(this.checked)"> Show Desync Visualization</label>
         </div>
         <div class="control-group">
             <label>FPS: <span id="fps">60</span></label>
@@ -388,10 +375,7 @@ export class TimeSimulation {
     </div>
 
     <script>
-        class SeededRandom {
-            constructor(seed) { this.seed = seed; }
-            random() { this.seed = (this.seed * 9301 + 49297) % 233280; return this.seed / 233280; }
-        }
+        ${randomSource('        ')}
 
         class Particle {
             constructor(x, y, vx, vy) {
@@ -435,22 +419,22 @@ export class TimeSimulation {
         let fps = 60;
         let params = {
             numParticles: ${numParticles},
-            gravity: ${params.gravity || 500},
-            bounce: ${params.bounce || 0.8},
-            timestep: ${params.timestep || 16.67},
-            showTrails: ${params.showTrails !== false},
-            showDesync: ${params.showDesync !== false}
+            gravity: ${params.gravity},
+            bounce: ${params.bounce},
+            timestep: ${params.timestep},
+            showTrails: ${params.showTrails},
+            showDesync: ${params.showDesync}
         };
 
         function regenerate() {
-            const random = new SeededRandom(parseInt(document.getElementById('seed').value) || ${seed});
+            const random = new Random(parseInt(document.getElementById('seed').value) || ${seed});
             fixedParticles = [];
             variableParticles = [];
             for (let i = 0; i < params.numParticles; i++) {
-                const x = random.random() * halfWidth;
-                const y = random.random() * canvas.height;
-                const vx = (random.random() - 0.5) * 200;
-                const vy = (random.random() - 0.5) * 200;
+                const x = random.range(0, halfWidth);
+                const y = random.range(0, canvas.height);
+                const vx = random.range(-100, 100);
+                const vy = random.range(-100, 100);
                 fixedParticles.push(new Particle(x, y, vx, vy));
                 variableParticles.push(new Particle(x + halfWidth, y, vx, vy));
             }
@@ -3,16 +3,8 @@
  * Entropy-based tile placement with constraint visualization
  */
 
-class SeededRandom {
-    constructor(seed) {
-        this.seed = seed;
-    }
-
-    random() {
-        this.seed = (this.seed * 9301 + 49297) % 233280;
-        return this.seed / 233280;
-    }
-}
+import { toRGB, withAlpha } from '../framework/Palette.js';
+import { Random } from '../framework/random.js';
 
 export class WaveFunctionCollapse {
     constructor(framework) {
@@ -24,36 +16,42 @@ export class WaveFunctionCollapse {
         this.cols = 0;
         this.rows = 0;
         this.tiles = [' ', '║', '═', '╔', '╗', '╚', '╝', '╠', '╣', '╦', '╩', '╬'];
+        // Palette color for each tile family: straights, corners, tees, cross
         this.tileColors = {
-            ' ': '#0a0a0a',
-            '║': '#4a9eff',
-            '═': '#4a9eff',
-            '╔': '#4ade80',
-            '╗': '#4ade80',
-            '╚': '#4ade80',
-            '╝': '#4ade80',
-            '╠': '#fbbf24',
-            '╣': '#fbbf24',
-            '╦': '#fbbf24',
-            '╩': '#fbbf24',
-            '╬': '#f87171'
+            ' ': 'background',
+            '║': 'accent',
+            '═': 'accent',
+            '╔': 'positive',
+            '╗': 'positive',
+            '╚': 'positive',
+            '╝': 'positive',
+            '╠': 'caution',
+            '╣': 'caution',
+            '╦': 'caution',
+            '╩': 'caution',
+            '╬': 'negative'
         };
         this.constraints = this.buildConstraints();
         this.entropy = [];
         this.collapsed = false;
         this.conflicts = []; // Track cells with constraint conflicts
 
+        this.framework.attach(this, { update: 'collapseStep' });
         this.init();
     }
 
     init() {
-        this.cols = Math.floor(this.canvas.width / this.cellSize);
-        this.rows = Math.floor(this.canvas.height / this.cellSize);
+        this.cols = Math.floor(this.framework.width / this.cellSize);
+        this.rows = Math.floor(this.framework.height / this.cellSize);
+
+        this.framework.enableTimeline(this, { limit: this.cols * this.rows + 1 });
 
         // Controls
-        this.framework.addSlider('speed', 'Collapse Speed', 1, 100, 10, 1);
-        this.framework.addToggle('showEntropy', 'Show Entropy Heatmap', true);
-        this.framework.addToggle('showConstraints', 'Show Constraint Conflicts', false);
+        this.framework.defineParams({
+            speed: { type: 'slider', label: 'Collapse Speed', min: 1, max: 100, default: 10, step: 1, group: 'Solver', description: 'Cells collapsed per second' },
+            showEntropy: { type: 'toggle', label: 'Show Entropy Heatmap', default: true, group: 'Display' },
+            showConstraints: { type: 'toggle', label: 'Show Constraint Conflicts', default: false, group: 'Display' }
+        });
 
         this.framework.on('onSeedChange', (seed) => {
             this.regenerate(seed);
@@ -63,17 +61,20 @@ export class WaveFunctionCollapse {
             this.regenerate(this.framework.getSeed());
             this.render();
         });
+        this.framework.on('onResize', () => {
+            // The grid is sized to the canvas, so a new size needs a new grid
+            this.cols = Math.floor(this.framework.width / this.cellSize);
+            this.rows = Math.floor(this.framework.height / this.cellSize);
+            this.regenerate(this.framework.getSeed());
+            this.render();
+        });
         this.framework.on('onStep', () => {
             if (!this.collapsed) {
                 this.collapseStep();
                 this.render();
             }
         });
-        this.framework.on('onParamChange', (name) => {
-            if (name === 'showEntropy' || name === 'showConstraints') {
-                this.render();
-            }
-        });
+        this.framework.on('onRender', () => this.render());
         this.framework.on('onShowCode', () => {
             const code = this.generateCode();
             this.framework.showCodeView(code);
@@ -82,28 +83,14 @@ export class WaveFunctionCollapse {
         this.regenerate(this.framework.getSeed());
         this.render();
 
-        // Auto-collapse
-        let lastTime = performance.now();
-        const animate = () => {
-            const currentTime = performance.now();
-            const params = this.framework.getParams();
-            const speed = params.speed || 10;
-            const interval = 1000 / speed;
-
-            if (currentTime - lastTime >= interval) {
-                if (!this.framework.isPaused && !this.collapsed) {
-                    this.collapseStep();
-                    this.render();
-                }
-                lastTime = currentTime;
-            }
-            
-            if (!this.collapsed || !this.framework.isPaused) {
-                requestAnimationFrame(animate);
-            }
-        };
-        
-        requestAnimationFrame(animate);
+        // Auto-collapse one cell every 1/speed seconds. The loop idles rather
+        // than stopping after a full collapse so rewinding can resume it
+        this.framework.addLoop({
+            step: () => 1 / this.framework.getParams().speed,
+            active: () => !this.collapsed,
+            update: () => this.collapseStep(),
+            render: () => this.render()
+        });
     }
 
     buildConstraints() {
@@ -136,6 +123,7 @@ export class WaveFunctionCollapse {
     }
 
     regenerate(seed) {
+        this.random = new Random(seed);
         this.grid = [];
         this.entropy = [];
         this.collapsed = false;
@@ -153,6 +141,47 @@ export class WaveFunctionCollapse {
                 this.entropy[y][x] = this.tiles.length;
             }
         }
+        // One snapshot per collapse plus the empty grid, for the current size
+        this.framework.timelineLimit = this.cols * this.rows + 1;
+        this.framework.resetTimeline();
+    }
+
+    // Cells are packed as tile bitmasks so a full collapse history stays small
+    serializeState() {
+        const size = this.rows * this.cols;
+        const possible = new Uint16Array(size);
+        const values = new Int8Array(size).fill(-1);
+        const entropy = new Uint8Array(size);
+
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.cols; x++) {
+                const i = y * this.cols + x;
+                const cell = this.grid[y][x];
+                for (const tile of cell.possible) {
+                    possible[i] |= 1 << this.tiles.indexOf(tile);
+                }
+                if (cell.collapsed) {
+                    values[i] = this.tiles.indexOf(cell.value);
+                }
+                entropy[i] = this.entropy[y][x];
+            }
+        }
+        return { possible, values, entropy, collapsed: this.collapsed, conflicts: [...this.conflicts] };
+    }
+
+    restoreState(state) {
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.cols; x++) {
+                const i = y * this.cols + x;
+                const cell = this.grid[y][x];
+                cell.possible = this.tiles.filter((tile, t) => state.possible[i] & (1 << t));
+                cell.collapsed = state.values[i] >= 0;
+                cell.value = cell.collapsed ? this.tiles[state.values[i]] : null;
+                this.entropy[y][x] = state.entropy[i];
+            }
+        }
+        this.collapsed = state.collapsed;
+        this.conflicts = [...state.conflicts];
     }
 
     getLowestEntropy() {
@@ -180,9 +209,8 @@ export class WaveFunctionCollapse {
 
         if (candidates.length === 0) return null;
         
-        // Use a deterministic random based on step count
-        const random = new SeededRandom(this.framework.getSeed() + this.getStepCount());
-        return candidates[Math.floor(random.random() * candidates.length)];
+        // A stream per step keeps choices reproducible when the timeline seeks
+        return this.random.fork('cell', this.getStepCount()).pick(candidates);
     }
     
     getStepCount() {
@@ -199,10 +227,8 @@ export class WaveFunctionCollapse {
         const cell = this.grid[y][x];
         if (cell.collapsed || cell.possible.length === 0) return false;
 
-        // Use deterministic random based on position and step count
-        const stepCount = this.getStepCount();
-        const random = new SeededRandom(this.framework.getSeed() + x * 1000 + y * 100 + stepCount);
-        const choice = cell.possible[Math.floor(random.random() * cell.possible.length)];
+        // Deterministic per position and step, like the cell choice
+        const choice = this.random.fork('tile', x, y, this.getStepCount()).pick(cell.possible);
         
         cell.value = choice;
         cell.possible = [choice];
@@ -272,34 +298,77 @@ export class WaveFunctionCollapse {
         const lowest = this.getLowestEntropy();
         if (!lowest) {
             this.collapsed = true;
+            this.framework.emit('onFinish', { conflicts: this.conflicts.length });
             return;
         }
 
+        const conflicts = this.conflicts.length;
         this.collapseCell(lowest.x, lowest.y);
         this.propagate(lowest.x, lowest.y);
+        this.framework.recordFrame();
+        if (this.conflicts.length > conflicts) {
+            this.framework.announce(`Contradiction: ${this.conflicts.length} cells have no valid tile.`);
+        }
+    }
+
+    // Fields for the inspector tooltip
+    inspectAt(x, y) {
+        const col = Math.floor(x / this.cellSize);
+        const row = Math.floor(y / this.cellSize);
+        if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) return null;
+
+        const cell = this.grid[row][col];
+        return {
+            'Cell': `${col}, ${row}`,
+            'Collapsed': cell.collapsed,
+            'Tile': cell.value,
+            'Possible': cell.possible.map(tile => tile === ' ' ? '␣' : tile),
+            'Entropy': this.entropy[row][col],
+            'Conflict': this.conflicts.includes(`${col},${row}`)
+        };
+    }
+
+    // Text summary of the canvas for screen readers
+    describe() {
+        const { 'Collapsed cells': collapsed, 'Total cells': total, 'Conflicts': conflicts } = this.getMetrics();
+        const status = this.collapsed ? 'Complete' : 'Collapsing';
+        return `${status}: ${collapsed} of ${total} cells collapsed, ${conflicts} contradictions.`;
+    }
+
+    // Counters for the performance overlay
+    getMetrics() {
+        let collapsed = 0;
+        for (const row of this.grid) {
+            for (const cell of row) {
+                if (cell.collapsed) collapsed++;
+            }
+        }
+        return { 'Collapsed cells': collapsed, 'Total cells': this.cols * this.rows, 'Conflicts': this.conflicts.length };
     }
 
     render() {
         const ctx = this.ctx;
         const params = this.framework.getParams();
-        const showEntropy = params.showEntropy !== false;
-        const showConstraints = params.showConstraints || false;
+        const showEntropy = params.showEntropy;
+        const showConstraints = params.showConstraints;
+        const palette = this.framework.getPalette();
 
-        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        ctx.fillStyle = '#0a0a0a';
-        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.clearRect(0, 0, this.framework.width, this.framework.height);
+        ctx.fillStyle = palette.background;
+        ctx.fillRect(0, 0, this.framework.width, this.framework.height);
 
         // Draw entropy heatmap
         if (showEntropy) {
+            // Low entropy shades toward accent, high toward negative
+            const low = toRGB(palette.accent);
+            const high = toRGB(palette.negative);
             for (let y = 0; y < this.rows; y++) {
                 for (let x = 0; x < this.cols; x++) {
                     const entropy = this.entropy[y][x];
                     const maxEntropy = this.tiles.length;
                     const intensity = entropy / maxEntropy;
                     
-                    const r = Math.floor(255 * intensity);
-                    const g = 0;
-                    const b = Math.floor(255 * (1 - intensity));
+                    const [r, g, b] = low.map((c, i) => Math.floor(c + (high[i] - c) * intensity));
                     
                     ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
                     ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
@@ -311,7 +380,7 @@ export class WaveFunctionCollapse {
         if (showConstraints) {
             for (const conflictKey of this.conflicts) {
                 const [x, y] = conflictKey.split(',').map(Number);
-                ctx.fillStyle = 'rgba(255, 0, 0, 0.5)';
+                ctx.fillStyle = withAlpha(palette.negative, 0.5);
                 ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
             }
             
@@ -323,7 +392,7 @@ export class WaveFunctionCollapse {
                     
                     // Show cells with 1-2 possibilities as potentially problematic
                     if (cell.possible.length > 0 && cell.possible.length <= 2) {
-                        ctx.strokeStyle = 'rgba(255, 165, 0, 0.6)';
+                        ctx.strokeStyle = withAlpha(palette.caution, 0.6);
                         ctx.lineWidth = 2;
                         ctx.strokeRect(x * this.cellSize + 1, y * this.cellSize + 1, this.cellSize - 2, this.cellSize - 2);
                     }
@@ -343,28 +412,28 @@ export class WaveFunctionCollapse {
                 const py = y * this.cellSize + this.cellSize / 2;
 
                 if (cell.collapsed && cell.value) {
-                    ctx.fillStyle = this.tileColors[cell.value] || '#ffffff';
+                    ctx.fillStyle = palette[this.tileColors[cell.value]] || palette.ink;
                     ctx.fillText(cell.value, px, py);
                 } else if (cell.possible.length === 1) {
-                    ctx.fillStyle = this.tileColors[cell.possible[0]] || '#ffffff';
+                    ctx.fillStyle = palette[this.tileColors[cell.possible[0]]] || palette.ink;
                     ctx.fillText(cell.possible[0], px, py);
                 }
             }
         }
 
         // Draw grid
-        ctx.strokeStyle = '#333';
+        ctx.strokeStyle = palette.grid;
         ctx.lineWidth = 1;
         for (let x = 0; x <= this.cols; x++) {
             ctx.beginPath();
             ctx.moveTo(x * this.cellSize, 0);
-            ctx.lineTo(x * this.cellSize, this.canvas.height);
+            ctx.lineTo(x * this.cellSize, this.framework.height);
             ctx.stroke();
         }
         for (let y = 0; y <= this.rows; y++) {
             ctx.beginPath();
             ctx.moveTo(0, y * this.cellSize);
-            ctx.lineTo(this.canvas.width, y * this.cellSize);
+            ctx.lineTo(this.framework.width, y * this.cellSize);
             ctx.stroke();
         }
     }
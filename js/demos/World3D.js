@@ -3,101 +3,8 @@
  * Interactive 3D terrain visualization with rotation and biome overlays
  */
 
-class SeededRandom {
-    constructor(seed) {
-        this.seed = seed;
-    }
-
-    random() {
-        this.seed = (this.seed * 9301 + 49297) % 233280;
-        return this.seed / 233280;
-    }
-}
-
-// Simple Perlin noise implementation
-class PerlinNoise {
-    constructor(seed = 0) {
-        this.random = new SeededRandom(seed);
-        this.permutation = [];
-        this.p = [];
-        
-        for (let i = 0; i < 256; i++) {
-            this.p[i] = i;
-        }
-        
-        for (let i = 255; i > 0; i--) {
-            const j = Math.floor(this.random.random() * (i + 1));
-            [this.p[i], this.p[j]] = [this.p[j], this.p[i]];
-        }
-        
-        for (let i = 0; i < 512; i++) {
-            this.permutation[i] = this.p[i & 255];
-        }
-    }
-
-    fade(t) {
-        return t * t * t * (t * (t * 6 - 15) + 10);
-    }
-
-    lerp(a, b, t) {
-        return a + t * (b - a);
-    }
-
-    grad(hash, x, y) {
-        const h = hash & 15;
-        const u = h < 8 ? x : y;
-        const v = h < 4 ? y : (h === 12 || h === 14 ? x : 0);
-        return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
-    }
-
-    noise(x, y) {
-        const X = Math.floor(x) & 255;
-        const Y = Math.floor(y) & 255;
-        
-        x -= Math.floor(x);
-        y -= Math.floor(y);
-        
-        const u = this.fade(x);
-        const v = this.fade(y);
-        
-        const A = this.permutation[X] + Y;
-        const AA = this.permutation[A];
-        const AB = this.permutation[A + 1];
-        const B = this.permutation[X + 1] + Y;
-        const BA = this.permutation[B];
-        const BB = this.permutation[B + 1];
-        
-        return this.lerp(
-            this.lerp(
-                this.grad(this.permutation[AA], x, y),
-                this.grad(this.permutation[BA], x - 1, y),
-                u
-            ),
-            this.lerp(
-                this.grad(this.permutation[AB], x, y - 1),
-                this.grad(this.permutation[BB], x - 1, y - 1),
-                u
-            ),
-            v
-        );
-    }
-
-    octaveNoise(x, y, octaves = 4, persistence = 0.5, scale = 1) {
-        let value = 0;
-        let amplitude = 1;
-        let frequency = scale;
-        let maxValue = 0;
-
-        for (let i = 0; i < octaves; i++) {
-            value += this.noise(x * frequency, y * frequency) * amplitude;
-            maxValue += amplitude;
-            amplitude *= persistence;
-            frequency *= 2;
-        }
-
-        return value / maxValue;
-    }
-}
+import { toRGB, withAlpha } from '../framework/Palette.js';
+import { Noise } from '../framework/noise.js';
 
 export class World3D {
     constructor(framework) {
@@ -116,44 +23,49 @@ export class World3D {
         this.cameraDistance = 400;
         this.lightAngle = 0;
 
+        this.framework.attach(this);
         this.init();
     }
 
     init() {
-        // Noise parameters
-        this.framework.addSlider('scale', 'Noise Scale', 0.01, 0.5, 0.1, 0.01);
-        this.framework.addSlider('octaves', 'Octaves', 1, 8, 4, 1);
-        this.framework.addSlider('persistence', 'Persistence', 0.1, 1.0, 0.5, 0.1);
-        this.framework.addSlider('heightScale', 'Height Scale', 0, 200, 100, 1);
-        this.framework.addSlider('seaLevel', 'Sea Level', 0, 255, 128, 1);
-        
-        // 3D view controls
-        this.framework.addToggle('autoRotate', 'Auto Rotate', false);
-        this.framework.addSlider('rotationSpeed', 'Rotation Speed', 0, 0.02, 0.005, 0.001);
-        this.framework.addSlider('cameraDistance', 'Camera Distance', 100, 1000, 400, 10);
-        this.framework.addToggle('showWireframe', 'Show Wireframe', false);
-        this.framework.addToggle('showBiomes', 'Show Biome Colors', true);
+        this.framework.defineParams({
+            // Noise parameters
+            scale: { type: 'slider', label: 'Noise Scale', min: 0.01, max: 0.5, default: 0.1, step: 0.01, group: 'Terrain', regenerate: true, description: 'Base frequency of the noise; smaller values give broader features' },
+            octaves: { type: 'slider', label: 'Octaves', min: 1, max: 8, default: 4, step: 1, group: 'Terrain', regenerate: true, description: 'Number of noise layers summed together' },
+            persistence: { type: 'slider', label: 'Persistence', min: 0.1, max: 1.0, default: 0.5, step: 0.1, group: 'Terrain', regenerate: true, description: 'Amplitude multiplier between octaves' },
+            heightScale: { type: 'slider', label: 'Height Scale', min: 0, max: 200, default: 100, step: 1, group: 'Terrain' },
+            seaLevel: { type: 'slider', label: 'Sea Level', min: 0, max: 255, default: 128, step: 1, group: 'Terrain' },
+
+            // 3D view controls
+            autoRotate: { type: 'toggle', label: 'Auto Rotate', default: false, group: 'Camera' },
+            rotationSpeed: { type: 'slider', label: 'Rotation Speed', min: 0, max: 0.02, default: 0.005, step: 0.001, group: 'Camera' },
+            cameraDistance: { type: 'slider', label: 'Camera Distance', min: 100, max: 1000, default: 400, step: 10, group: 'Camera', description: 'Also adjustable with the mouse wheel' },
+            showWireframe: { type: 'toggle', label: 'Show Wireframe', default: false, group: 'Display' },
+            showBiomes: { type: 'toggle', label: 'Show Biome Colors', default: true, group: 'Display' }
+        });
+        this.cameraDistance = this.framework.getParams().cameraDistance;
 
         // Setup callbacks
         this.framework.on('onSeedChange', (seed) => {
             this.regenerate(seed);
             this.render();
         });
-        this.framework.on('onParamChange', (name) => {
-            if (name === 'autoRotate' || name === 'rotationSpeed' || name === 'cameraDistance') {
-                const params = this.framework.getParams();
-                this.autoRotate = params.autoRotate || false;
-                this.rotationSpeed = params.rotationSpeed || 0.005;
-                this.cameraDistance = params.cameraDistance || 400;
-            } else {
-                this.generateHeightmap();
-                this.render();
-            }
+        this.framework.on('onRegenerate', () => {
+            this.generateHeightmap();
+            this.render();
+        });
+        this.framework.on('onRender', () => {
+            const params = this.framework.getParams();
+            this.autoRotate = params.autoRotate;
+            this.rotationSpeed = params.rotationSpeed;
+            this.cameraDistance = params.cameraDistance;
+            this.render();
         });
         this.framework.on('onReset', () => {
             this.regenerate(this.framework.getSeed());
             this.render();
         });
+        this.framework.on('onResize', () => this.render());
 
         // Mouse controls
         this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
@@ -164,26 +76,20 @@ export class World3D {
         this.regenerate(this.framework.getSeed());
         this.render();
 
-        // Animation loop
-        const animate = () => {
-            const params = this.framework.getParams();
-            this.autoRotate = params.autoRotate || false;
-            this.rotationSpeed = params.rotationSpeed || 0.005;
-            
-            if (this.autoRotate && !this.framework.isPaused) {
-                this.rotationY += this.rotationSpeed;
+        // Auto-rotate at rotationSpeed radians per 1/60 s
+        this.framework.addLoop({
+            step: 1 / 60,
+            active: () => this.framework.getParams().autoRotate,
+            update: () => {
+                this.rotationY += this.framework.getParams().rotationSpeed;
                 this.lightAngle += 0.01;
-            }
-            
-            this.render();
-            requestAnimationFrame(animate);
-        };
-        
-        requestAnimationFrame(animate);
+            },
+            render: () => this.render()
+        });
     }
 
     regenerate(seed) {
-        this.noise = new PerlinNoise(seed);
+        this.noise = new Noise(seed);
         this.generateHeightmap();
     }
 
@@ -191,28 +97,17 @@ export class World3D {
         const width = 64; // Reduced for performance
         const height = 64;
         const params = this.framework.getParams();
-        
+        const fbm = {
+            octaves: Math.floor(params.octaves),
+            persistence: params.persistence,
+            scale: params.scale
+        };
+
         this.heightmap = new Array(height);
         for (let y = 0; y < height; y++) {
             this.heightmap[y] = new Array(width);
             for (let x = 0; x < width; x++) {
-                const scale = params.scale || 0.1;
-                const octaves = Math.floor(params.octaves || 4);
-                const persistence = params.persistence || 0.5;
-                
-                let value = 0;
-                let amplitude = 1;
-                let frequency = scale;
-                let maxValue = 0;
-
-                for (let i = 0; i < octaves; i++) {
-                    value += this.noise.noise(x * frequency, y * frequency) * amplitude;
-                    maxValue += amplitude;
-                    amplitude *= persistence;
-                    frequency *= 2;
-                }
-
-                value = value / maxValue;
+                const value = this.noise.fbm2D(x, y, fbm);
                 this.heightmap[y][x] = Math.floor((value + 1) * 127.5);
             }
         }
@@ -220,7 +115,7 @@ export class World3D {
 
     project3D(x, y, z) {
         const params = this.framework.getParams();
-        const distance = params.cameraDistance || 400;
+        const distance = this.cameraDistance;
         
         // Rotate around Y axis
         const cosY = Math.cos(this.rotationY);
@@ -237,26 +132,38 @@ export class World3D {
         // Perspective projection
         const scale = distance / (distance + z2);
         return {
-            x: x1 * scale + this.canvas.width / 2,
-            y: y1 * scale + this.canvas.height / 2,
+            x: x1 * scale + this.framework.width / 2,
+            y: y1 * scale + this.framework.height / 2,
             z: z2,
             scale: scale
         };
     }
 
     getBiomeColor(h, seaLevel) {
+        // Parse the palette's terrain colors once per palette, not once per cell
+        const palette = this.framework.getPalette();
+        if (this.biomePalette !== palette) {
+            this.biomePalette = palette;
+            this.biomeColors = {};
+            for (const [band, color] of Object.entries(palette.terrain)) {
+                const [r, g, b] = toRGB(color);
+                this.biomeColors[band] = { r, g, b };
+            }
+        }
+
+        const colors = this.biomeColors;
         if (h < seaLevel * 0.3) {
-            return { r: 0, g: 50, b: 100 }; // Deep water
+            return colors.deepWater;
         } else if (h < seaLevel * 0.6) {
-            return { r: 0, g: 100, b: 150 }; // Shallow water
+            return colors.shallowWater;
         } else if (h < seaLevel * 0.8) {
-            return { r: 194, g: 178, b: 128 }; // Sand
+            return colors.sand;
         } else if (h < seaLevel * 1.2) {
-            return { r: 34, g: 139, b: 34 }; // Grass
+            return colors.grass;
         } else if (h < seaLevel * 1.5) {
-            return { r: 128, g: 128, b: 128 }; // Rock
+            return colors.rock;
         } else {
-            return { r: 255, g: 255, b: 255 }; // Snow
+            return colors.snow;
         }
     }
 
@@ -291,27 +198,54 @@ export class World3D {
 
     handleWheel(e) {
         e.preventDefault();
-        const params = this.framework.getParams();
         const delta = e.deltaY * 0.1;
-        this.cameraDistance = Math.max(100, Math.min(1000, params.cameraDistance - delta));
-        this.framework.params.cameraDistance = this.cameraDistance;
+        // Keep the unsnapped distance locally so small wheel deltas still zoom
+        this.cameraDistance = Math.max(100, Math.min(1000, this.cameraDistance - delta));
+        this.framework.setParam('cameraDistance', this.cameraDistance, false);
         this.render();
     }
 
+    // Text summary of the canvas for screen readers
+    describe() {
+        if (!this.heightmap) return '';
+        const params = this.framework.getParams();
+        let min = 255;
+        let max = 0;
+        let underwater = 0;
+        let samples = 0;
+        for (const row of this.heightmap) {
+            for (const h of row) {
+                min = Math.min(min, h);
+                max = Math.max(max, h);
+                if (h < params.seaLevel) underwater++;
+                samples++;
+            }
+        }
+        const rotation = params.autoRotate ? ', rotating' : '';
+        return `3D terrain${rotation}: heights ${min} to ${max}, ${Math.round(underwater / samples * 100)}% under water.`;
+    }
+
+    // Counters for the performance overlay
+    getMetrics() {
+        const rows = this.heightmap ? this.heightmap.length : 0;
+        return { 'Heightmap samples': rows ? rows * this.heightmap[0].length : 0 };
+    }
+
     render() {
         const ctx = this.ctx;
         const params = this.framework.getParams();
-        const heightScale = params.heightScale || 100;
-        const seaLevel = params.seaLevel || 128;
-        const showWireframe = params.showWireframe || false;
-        const showBiomes = params.showBiomes !== false;
+        const heightScale = params.heightScale;
+        const seaLevel = params.seaLevel;
+        const showWireframe = params.showWireframe;
+        const showBiomes = params.showBiomes;
         const width = this.heightmap[0].length;
         const height = this.heightmap.length;
         const cellSize = 8;
+        const palette = this.framework.getPalette();
 
-        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        ctx.fillStyle = '#0a0a0a';
-        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.clearRect(0, 0, this.framework.width, this.framework.height);
+        ctx.fillStyle = palette.background;
+        ctx.fillRect(0, 0, this.framework.width, this.framework.height);
 
         // Calculate lighting
         const lightX = Math.cos(this.lightAngle);
@@ -397,7 +331,7 @@ export class World3D {
             }
 
             if (cell.showWireframe || showWireframe) {
-                ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+                ctx.strokeStyle = withAlpha(palette.ink, 0.2);
                 ctx.lineWidth = 1;
                 ctx.beginPath();
                 ctx.moveTo(cell.p1.x, cell.p1.y);
@@ -438,16 +372,16 @@ export class World3D {
             <button onclick="regenerate()">Regenerate</button>
         </div>
         <div class="control-group">
-            <label>Noise Scale: <span id="scaleValue">${params.scale || 0.1}</span></label>
-            <input type="range" id="scale" min="0.01" max="0.5" step="0.01" value="${params.scale || 0.1}" oninput="updateScale(this.value)">
+            <label>Noise Scale: <span id="scaleValue">${params.scale}</span></label>
+            <input type="range" id="scale" min="0.01" max="0.5" step="0.01" value="${params.scale}" oninput="updateScale(this.value)">
         </div>
         <div class="control-group">
-            <label>Octaves: <span id="octavesValue">${params.octaves || 4}</span></label>
-            <input type="range" id="octaves" min="1" max="8" step="1" value="${params.octaves || 4}" oninput="updateOctaves(this.value)">
+            <label>Octaves: <span id="octavesValue">${params.octaves}</span></label>
+            <input type="range" id="octaves" min="1" max="8" step="1" value="${params.octaves}" oninput="updateOctaves(this.value)">
         </div>
         <div class="control-group">
-            <label>Camera Distance: <span id="cameraDistanceValue">${params.cameraDistance || 400}</span></label>
-            <input type="range" id="cameraDistance" min="100" max="1000" step="10" value="${params.cameraDistance || 400}" oninput="updateCameraDistance(this.value)">
+            <label>Camera Distance: <span id="cameraDistanceValue">${params.cameraDistance}</span></label>
+            <input type="range" id="cameraDistance" min="100" max="1000" step="10" value="${params.cameraDistance}" oninput="updateCameraDistance(this.value)">
         </div>
         <div class="control-group">
             <label><input type="checkbox" id="autoRotate" ${params.autoRotate ? 'checked' : ''} onchange="updateAutoRotate(this.checked)"> Auto Rotate</label>
@@ -456,7 +390,7 @@ export class World3D {
             <label><input type="checkbox" id="showWireframe" ${params.showWireframe ? 'checked' : ''} onchange="updateShowWireframe(this.checked)"> Show Wireframe</label>
         </div>
         <div class="control-group">
-            <label><input type="checkbox" id="showBiomes" ${params.showBiomes !== false ? 'checked' : ''} onchange="updateShowBiomes(this.checked)"> Show Biome Colors</label>
+            <label><input type="checkbox" id="showBiomes" ${params.showBiomes ? 'checked' : ''} onchange="updateShowBiomes(this.checked)"> Show Biome Colors</label>
         </div>
         <p style="color: #666; font-size: 12px;">Drag to rotate, scroll to zoom</p>
     </div>
@@ -466,14 +400,14 @@ export class World3D {
         // This code demonstrates the core concepts with a 2D projection.
         const canvas = document.getElementById('canvas');
         const ctx = canvas.getContext('2d');
-        let rotationX = 0, rotationY = 0, cameraDistance = ${params.cameraDistance || 400};
+        let rotationX = 0, rotationY = 0, cameraDistance = ${params.cameraDistance};
         let params = {
-            scale: ${params.scale || 0.1},
-            octaves: ${params.octaves || 4},
-            cameraDistance: ${params.cameraDistance || 400},
-            autoRotate: ${params.autoRotate || false},
-            showWireframe: ${params.showWireframe || false},
-            showBiomes: ${params.showBiomes !== false}
+            scale: ${params.scale},
+            octaves: ${params.octaves},
+            cameraDistance: ${params.cameraDistance},
+            autoRotate: ${params.autoRotate},
+            showWireframe: ${params.showWireframe},
+            showBiomes: ${params.showBiomes}
         };
 
         function regenerate() {
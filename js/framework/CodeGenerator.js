@@ -3,6 +3,9 @@
  * Generates complete, runnable code for demos with current settings
  */
 
+import { randomSource } from './random.js';
+import { noiseSource } from './noise.js';
+
 export class CodeGenerator {
     static generateNoiseTerrain(framework, demo) {
         const params = framework.getParams();
@@ -72,24 +75,24 @@ export class CodeGenerator {
             <button onclick="regenerate()">Regenerate</button>
         </div>
         <div class="control-group">
-            <label>Noise Scale: <span id="scaleValue">${params.scale || 0.1}</span></label>
-            <input type="range" id="scale" min="0.01" max="0.5" step="0.01" value="${params.scale || 0.1}" oninput="updateScale(this.value)">
+            <label>Noise Scale: <span id="scaleValue">${params.scale}</span></label>
+            <input type="range" id="scale" min="0.01" max="0.5" step="0.01" value="${params.scale}" oninput="updateScale(this.value)">
         </div>
         <div class="control-group">
-            <label>Octaves: <span id="octavesValue">${params.octaves || 4}</span></label>
-            <input type="range" id="octaves" min="1" max="8" step="1" value="${params.octaves || 4}" oninput="updateOctaves(this.value)">
+            <label>Octaves: <span id="octavesValue">${params.octaves}</span></label>
+            <input type="range" id="octaves" min="1" max="8" step="1" value="${params.octaves}" oninput="updateOctaves(this.value)">
         </div>
         <div class="control-group">
-            <label>Persistence: <span id="persistenceValue">${params.persistence || 0.5}</span></label>
-            <input type="range" id="persistence" min="0.1" max="1.0" step="0.1" value="${params.persistence || 0.5}" oninput="updatePersistence(this.value)">
+            <label>Persistence: <span id="persistenceValue">${params.persistence}</span></label>
+            <input type="range" id="persistence" min="0.1" max="1.0" step="0.1" value="${params.persistence}" oninput="updatePersistence(this.value)">
         </div>
         <div class="control-group">
-            <label>Height Scale: <span id="heightScaleValue">${params.heightScale || 100}</span></label>
-            <input type="range" id="heightScale" min="0" max="200" step="1" value="${params.heightScale || 100}" oninput="updateHeightScale(this.value)">
+            <label>Height Scale: <span id="heightScaleValue">${params.heightScale}</span></label>
+            <input type="range" id="heightScale" min="0" max="200" step="1" value="${params.heightScale}" oninput="updateHeightScale(this.value)">
         </div>
         <div class="control-group">
-            <label>Sea Level: <span id="seaLevelValue">${params.seaLevel || 128}</span></label>
-            <input type="range" id="seaLevel" min="0" max="255" step="1" value="${params.seaLevel || 128}" oninput="updateSeaLevel(this.value)">
+            <label>Sea Level: <span id="seaLevelValue">${params.seaLevel}</span></label>
+            <input type="range" id="seaLevel" min="0" max="255" step="1" value="${params.seaLevel}" oninput="updateSeaLevel(this.value)">
         </div>
         <div class="control-group">
             <label><input type="checkbox" id="useColor" ${params.useColor !== false ? 'checked' : ''} onchange="updateUseColor(this.checked)"> Colored Terrain</label>
@@ -104,85 +107,24 @@ export class CodeGenerator {
 
     <script>
         // Seeded Random
-        class SeededRandom {
-            constructor(seed) {
-                this.seed = seed;
-            }
-            random() {
-                this.seed = (this.seed * 9301 + 49297) % 233280;
-                return this.seed / 233280;
-            }
-        }
+        ${randomSource('        ')}
 
-        // Perlin Noise
-        class PerlinNoise {
-            constructor(seed = 0) {
-                this.random = new SeededRandom(seed);
-                this.permutation = [];
-                this.p = [];
-                for (let i = 0; i < 256; i++) this.p[i] = i;
-                for (let i = 255; i > 0; i--) {
-                    const j = Math.floor(this.random.random() * (i + 1));
-                    [this.p[i], this.p[j]] = [this.p[j], this.p[i]];
-                }
-                for (let i = 0; i < 512; i++) {
-                    this.permutation[i] = this.p[i & 255];
-                }
-            }
-            fade(t) {
-                return t * t * t * (t * (t * 6 - 15) + 10);
-            }
-            lerp(a, b, t) {
-                return a + t * (b - a);
-            }
-            grad(hash, x, y) {
-                const h = hash & 15;
-                const u = h < 8 ? x : y;
-                const v = h < 4 ? y : (h === 12 || h === 14 ? x : 0);
-                return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
-            }
-            noise(x, y) {
-                const X = Math.floor(x) & 255;
-                const Y = Math.floor(y) & 255;
-                x -= Math.floor(x);
-                y -= Math.floor(y);
-                const u = this.fade(x);
-                const v = this.fade(y);
-                const A = this.permutation[X] + Y;
-                const AA = this.permutation[A];
-                const AB = this.permutation[A + 1];
-                const B = this.permutation[X + 1] + Y;
-                const BA = this.permutation[B];
-                const BB = this.permutation[B + 1];
-                return this.lerp(
-                    this.lerp(
-                        this.grad(this.permutation[AA], x, y),
-                        this.grad(this.permutation[BA], x - 1, y),
-                        u
-                    ),
-                    this.lerp(
-                        this.grad(this.permutation[AB], x, y - 1),
-                        this.grad(this.permutation[BB], x - 1, y - 1),
-                        u
-                    ),
-                    v
-                );
-            }
-        }
+        // Gradient noise
+        ${noiseSource('        ')}
 
         const canvas = document.getElementById('canvas');
         const ctx = canvas.getContext('2d');
-        let noise = new PerlinNoise(${seed});
+        let noise = new Noise(${seed});
         let heightmap = [];
         let params = {
-            scale: ${params.scale || 0.1},
-            octaves: ${params.octaves || 4},
-            persistence: ${params.persistence || 0.5},
-            heightScale: ${params.heightScale || 100},
-            seaLevel: ${params.seaLevel || 128},
+            scale: ${params.scale},
+            octaves: ${params.octaves},
+            persistence: ${params.persistence},
+            heightScale: ${params.heightScale},
+            seaLevel: ${params.seaLevel},
             useColor: ${params.useColor !== false},
-            view3d: ${params.view3d || false},
-            showFlow: ${params.showFlow || false}
+            view3d: ${params.view3d},
+            showFlow: ${params.showFlow}
         };
 
         function generateHeightmap() {
@@ -190,17 +132,8 @@ export class CodeGenerator {
             for (let y = 0; y < canvas.height; y++) {
                 heightmap[y] = [];
                 for (let x = 0; x < canvas.width; x++) {
-                    let value = 0;
-                    let amplitude = 1;
-                    let frequency = params.scale;
-                    let maxValue = 0;
-                    for (let i = 0; i < params.octaves; i++) {
-                        value += noise.noise(x * frequency, y * frequency) * amplitude;
-                        maxValue += amplitude;
-                        amplitude *= params.persistence;
-                        frequency *= 2;
-                    }
-                    heightmap[y][x] = Math.floor((value / maxValue + 1) * 127.5);
+                    const value = noise.fbm2D(x, y, params);
+                    heightmap[y][x] = Math.floor((value + 1) * 127.5);
                 }
             }
         }
@@ -306,7 +239,7 @@ export class CodeGenerator {
 
         function regenerate() {
             const seed = parseInt(document.getElementById('seed').value) || 0;
-            noise = new PerlinNoise(seed);
+            noise = new Noise(seed);
             generateHeightmap();
             render();
         }
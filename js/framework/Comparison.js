@@ -0,0 +1,180 @@
+/**
+ * Runs a second instance of the framework's attached demo next to the first,
+ * with its own seed and/or params.
+ *
+ * Both frameworks share one scheduler, so they advance in lockstep and pause
+ * together; Step and Reset are forwarded, as are seed and param changes other
+ * than the ones being compared. The difference overlay marks pixels that
+ * differ between the two canvases.
+ *
+ *   new Comparison(framework, { params: { heuristicWeight: 2 } }).start();
+ */
+export class Comparison {
+    constructor(framework, options = {}) {
+        this.framework = framework;
+        this.seed = options.seed;
+        this.params = options.params || {};
+        this.other = null;
+        this.unsubscribe = [];
+        this.diffFrame = null;
+    }
+
+    start() {
+        const framework = this.framework;
+        const demo = framework.demo;
+        if (!demo) {
+            throw new Error('Comparison needs a demo registered with framework.attach()');
+        }
+
+        // Move the canvas into the left pane of a two-column view
+        this.view = document.createElement('div');
+        this.view.className = 'comparison-view';
+        this.paneA = this.createPane('A');
+        this.paneB = this.createPane(this.describe());
+        framework.canvas.parentNode.insertBefore(this.view, framework.canvas);
+        this.view.append(this.paneA, this.paneB);
+        this.paneA.insertBefore(framework.canvas, this.paneA.firstChild);
+        framework.fitToContainer();
+
+        const state = framework.getState();
+        this.other = new framework.constructor(this.paneB, {
+            width: framework.options.width,
+            height: framework.options.height,
+            resizable: framework.options.resizable,
+            showControls: false,
+            syncUrl: false,
+            shortcuts: false,
+            messaging: false,
+            presetKey: 'comparison',
+            scheduler: framework.scheduler,
+            seed: this.seed !== undefined ? this.seed : state.seed,
+            params: { ...state.params, ...this.params }
+        });
+        this.other.isPaused = framework.isPaused;
+        this.otherDemo = new demo.constructor(this.other);
+
+        this.sync();
+    }
+
+    createPane(title) {
+        const pane = document.createElement('div');
+        pane.className = 'comparison-pane';
+        const label = document.createElement('div');
+        label.className = 'comparison-label';
+        label.textContent = title;
+        pane.appendChild(label);
+        return pane;
+    }
+
+    describe() {
+        const parts = Object.entries(this.params).map(([name, value]) => {
+            const spec = this.framework.schema[name];
+            return `${spec && spec.label ? spec.label : name} = ${typeof value === 'object' ? JSON.stringify(value) : value}`;
+        });
+        if (this.seed !== undefined) {
+            parts.unshift(`seed ${this.seed}`);
+        }
+        return parts.length > 0 ? `B: ${parts.join(', ')}` : 'B';
+    }
+
+    // Mirror the main framework's controls onto the other instance
+    sync() {
+        const framework = this.framework;
+        const other = this.other;
+        const on = (event, callback) => this.unsubscribe.push(framework.on(event, callback));
+
+        on('onPause', (isPaused) => {
+            if (other.isPaused !== isPaused) other.togglePause();
+        });
+        on('onStep', () => other.step());
+        on('onReset', () => other.reset());
+        on('onParamChange', (name, value) => {
+            if (!(name in this.params)) other.setParam(name, value);
+        });
+        if (this.seed === undefined) {
+            on('onSeedChange', (seed) => other.setSeed(seed));
+        }
+        on('onAction', (name) => other.emit('onAction', name));
+        on('onDestroy', () => this.stop(false));
+    }
+
+    showDifference(enabled) {
+        if (!enabled) {
+            this.framework.cancelFrame(this.diffFrame);
+            this.diffFrame = null;
+            if (this.diffCanvas) {
+                this.diffCanvas.remove();
+                this.diffCanvas = null;
+            }
+            return;
+        }
+        if (this.diffCanvas) return;
+
+        this.diffCanvas = document.createElement('canvas');
+        this.diffCanvas.className = 'comparison-diff';
+        this.paneB.appendChild(this.diffCanvas);
+        const tick = () => {
+            this.drawDifference();
+            this.diffFrame = this.framework.requestFrame(tick);
+        };
+        tick();
+    }
+
+    /**
+     * Mark pixels whose color differs between the two canvases. Both share
+     * the same logical size and pixel ratio, so backing stores line up 1:1.
+     */
+    drawDifference() {
+        const a = this.framework.canvas;
+        const b = this.other.canvas;
+        const width = Math.min(a.width, b.width);
+        const height = Math.min(a.height, b.height);
+        if (width === 0 || height === 0) return;
+
+        if (this.diffCanvas.width !== width || this.diffCanvas.height !== height) {
+            this.diffCanvas.width = width;
+            this.diffCanvas.height = height;
+        }
+        const pixelsA = a.getContext('2d').getImageData(0, 0, width, height).data;
+        const pixelsB = b.getContext('2d').getImageData(0, 0, width, height).data;
+        const ctx = this.diffCanvas.getContext('2d');
+        const diff = ctx.createImageData(width, height);
+        const out = diff.data;
+
+        let differing = 0;
+        for (let i = 0; i < out.length; i += 4) {
+            const delta = Math.abs(pixelsA[i] - pixelsB[i]) +
+                Math.abs(pixelsA[i + 1] - pixelsB[i + 1]) +
+                Math.abs(pixelsA[i + 2] - pixelsB[i + 2]);
+            if (delta > 24) {
+                out[i] = 255;
+                out[i + 2] = 255;
+                out[i + 3] = 160;
+                differing++;
+            }
+        }
+        ctx.putImageData(diff, 0, 0);
+        this.difference = differing / (width * height);
+    }
+
+    stop(refit = true) {
+        if (!this.other) return;
+        this.showDifference(false);
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+
+        const other = this.other;
+        this.other = null;
+        other.destroy();
+
+        // Put the canvas back where it was
+        const framework = this.framework;
+        if (this.view.parentNode) {
+            this.view.parentNode.insertBefore(framework.canvas, this.view);
+            this.view.remove();
+        }
+        if (refit) {
+            framework.fitToContainer();
+        }
+    }
+}
@@ -0,0 +1,262 @@
+import { DemoFramework } from './DemoFramework.js';
+import { getTheme, getPaletteName } from './Palette.js';
+import { DEMOS, getDemo, loadDemo } from './registry.js';
+
+// Framework options for each value of the controls attribute
+const CONTROL_SETS = {
+    none: { showControls: false },
+    minimal: {
+        showParams: false,
+        showTimeline: false,
+        showSpeed: false,
+        showPerf: false,
+        showInspect: false,
+        showHistory: false,
+        showCode: false,
+        showPresets: false,
+        showRecord: false,
+        showCompare: false,
+        showSweep: false,
+        showTheme: false
+    },
+    full: {}
+};
+
+const STYLE = `
+    :host {
+        display: block;
+        color: var(--text-primary);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+        line-height: 1.6;
+    }
+    .pm-demo-stage {
+        position: relative;
+        background: var(--bg-secondary);
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        overflow: hidden;
+    }
+    .pm-demo-stage canvas:focus-visible {
+        outline: 2px solid var(--accent);
+        outline-offset: -2px;
+    }
+    .pm-demo-error {
+        padding: 1rem;
+        color: var(--error);
+    }
+    .controls-panel {
+        position: static;
+        margin-top: 0.5rem;
+    }
+`;
+
+/**
+ * Embeddable demo: <pm-demo type="boids" seed="42" params='{"numBoids":100}' controls="minimal">
+ *
+ * Attributes:
+ *   type       demo to load: a registry type or id (see DemoElement.types)
+ *   seed       integer seed
+ *   params     JSON object of param values
+ *   width, height  logical size; the canvas keeps this aspect ratio and is
+ *              never wider than `width` px
+ *   autoplay   run on load; without it the demo renders its first frame paused
+ *   controls   none | minimal (seed, pause/step/reset; the default) | full
+ *   shortcuts  handle keyboard shortcuts (off by default since every instance
+ *              would react to the same key)
+ *
+ * Each element renders into its own shadow root with its own framework, so
+ * any number can share a page. Elements follow the page's theme and palette
+ * (see Palette.js). `element.framework` and `element.demo` are set
+ * once loaded; `element.ready` resolves then and a `ready` event fires.
+ */
+export class DemoElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['type', 'seed', 'params', 'width', 'height', 'autoplay', 'controls', 'shortcuts'];
+    }
+
+    static get types() {
+        return DEMOS.map(demo => demo.type);
+    }
+
+    constructor() {
+        super();
+        this.framework = null;
+        this.demo = null;
+        this.ready = null;
+        this.generation = 0;
+
+        const shadow = this.attachShadow({ mode: 'open' });
+        const stylesheet = document.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = new URL('../../css/main.css', import.meta.url).href;
+        // Until the stylesheet arrives the demo draws with the default colors
+        stylesheet.addEventListener('load', () => {
+            if (this.framework) {
+                this.framework.refreshPalette();
+            }
+        });
+        const style = document.createElement('style');
+        style.textContent = STYLE;
+        this.content = document.createElement('div');
+        shadow.append(stylesheet, style, this.content);
+
+        this.handlePaletteChange = () => this.syncTheme();
+    }
+
+    connectedCallback() {
+        this.syncTheme();
+        // Registered before the framework's own listener, so the host
+        // attributes are current by the time it re-reads its colors
+        window.addEventListener('palettechange', this.handlePaletteChange);
+        this.build();
+    }
+
+    disconnectedCallback() {
+        window.removeEventListener('palettechange', this.handlePaletteChange);
+        this.teardown();
+    }
+
+    // The shadow stylesheet resets the CSS variables on :host, so copy the
+    // page's choice onto the host for the :host([data-theme]) rules to match
+    syncTheme() {
+        const theme = getTheme();
+        const palette = getPaletteName();
+        if (theme === 'dark') {
+            delete this.dataset.theme;
+        } else {
+            this.dataset.theme = theme;
+        }
+        if (palette === 'default') {
+            delete this.dataset.palette;
+        } else {
+            this.dataset.palette = palette;
+        }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue || !this.isConnected || !this.ready) return;
+
+        // Seed, params and autoplay apply to the running demo; the rest need a rebuild
+        if (!this.framework) {
+            this.build();
+        } else if (name === 'seed') {
+            const seed = this.readSeed();
+            if (seed !== undefined) {
+                this.framework.setSeed(seed);
+            }
+        } else if (name === 'params') {
+            this.framework.applyState({ params: this.readParams() || {} });
+        } else if (name === 'autoplay') {
+            if (this.framework.isPaused === this.autoplay) {
+                this.framework.togglePause();
+            }
+        } else {
+            this.build();
+        }
+    }
+
+    get autoplay() {
+        return this.readFlag('autoplay');
+    }
+
+    // Boolean attributes are on when present, unless set to "false"
+    readFlag(name) {
+        return this.hasAttribute(name) && this.getAttribute(name) !== 'false';
+    }
+
+    readSeed() {
+        const seed = parseInt(this.getAttribute('seed'));
+        return Number.isFinite(seed) ? seed : undefined;
+    }
+
+    readParams() {
+        const raw = this.getAttribute('params');
+        if (!raw) return undefined;
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            console.error(`<pm-demo> params is not valid JSON: ${raw}`, error);
+            return undefined;
+        }
+    }
+
+    readSize(name, fallback) {
+        const value = parseInt(this.getAttribute(name));
+        return value > 0 ? value : fallback;
+    }
+
+    build() {
+        this.teardown();
+        const generation = ++this.generation;
+        this.ready = this.load(generation);
+        return this.ready;
+    }
+
+    async load(generation) {
+        const type = this.getAttribute('type');
+        // Demo classes are only imported once an element of that type is connected
+        const entry = getDemo(type);
+        try {
+            if (!entry) {
+                throw new Error(`Unknown demo type "${type}". Expected one of: ${DemoElement.types.join(', ')}`);
+            }
+            const DemoClass = await loadDemo(entry);
+            // Disconnected or rebuilt while the module was loading
+            if (generation !== this.generation || !this.isConnected) return null;
+
+            const width = this.readSize('width', entry.width);
+            const height = this.readSize('height', entry.height);
+            const controls = CONTROL_SETS[this.getAttribute('controls')] || CONTROL_SETS.minimal;
+
+            const stage = document.createElement('div');
+            stage.className = 'pm-demo-stage';
+            stage.style.maxWidth = this.hasAttribute('width') ? `${width}px` : '';
+            this.content.appendChild(stage);
+
+            this.framework = new DemoFramework(stage, {
+                width,
+                height,
+                syncUrl: false,
+                shortcuts: this.readFlag('shortcuts'),
+                messaging: false,
+                presetKey: `pm-demo:${entry.type}`,
+                seed: this.readSeed(),
+                params: this.readParams(),
+                ...controls
+            });
+            if (this.framework.controlsPanel) {
+                this.content.appendChild(this.framework.controlsPanel);
+            }
+            this.demo = new DemoClass(this.framework);
+            if (!this.autoplay) {
+                this.framework.togglePause();
+            }
+        } catch (error) {
+            if (generation !== this.generation) return null;
+            console.error('Error loading <pm-demo>:', error);
+            this.teardown();
+            const message = document.createElement('div');
+            message.className = 'pm-demo-error';
+            message.textContent = error.message;
+            this.content.appendChild(message);
+            this.dispatchEvent(new CustomEvent('error', { detail: error }));
+            return null;
+        }
+
+        this.dispatchEvent(new CustomEvent('ready', { detail: { framework: this.framework, demo: this.demo } }));
+        return this.framework;
+    }
+
+    teardown() {
+        if (this.framework) {
+            this.framework.destroy();
+        }
+        this.framework = null;
+        this.demo = null;
+        this.content.replaceChildren();
+    }
+}
+
+if (!customElements.get('pm-demo')) {
+    customElements.define('pm-demo', DemoElement);
+}
@@ -1,14 +1,26 @@
+import { Recorder } from './Recorder.js';
+import { Scheduler, MIN_SPEED, MAX_SPEED } from './Scheduler.js';
+import { PerfMonitor } from './PerfMonitor.js';
+import { Comparison } from './Comparison.js';
+import { MessageBridge } from './MessageBridge.js';
+import { Inspector } from './Inspector.js';
+import { Tour } from './Tour.js';
+import { readPalette, setTheme, setPalette, getTheme, getPaletteName, THEMES, PALETTES } from './Palette.js';
+
+// Numbers each framework so element ids stay unique with several on a page
+let frameworkCount = 0;
+
+// Range and vector2 values are fresh objects after validation, so compare contents
+const sameValue = (a, b) => a === b ||
+    (a !== null && b !== null && typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b));
+
 /**
  * Reusable Demo Framework
  * Provides standardized controls and canvas management for all demos
  */
 export class DemoFramework {
     constructor(containerId, options = {}) {
-        this.container = document.getElementById(containerId);
-        if (!this.container) {
-            throw new Error(`Container with id "${containerId}" not found`);
-        }
-
+        this.containerId = containerId;
         this.options = {
             width: options.width || 800,
             height: options.height || 600,
@@ -17,14 +29,38 @@ export class DemoFramework {
             showPause: options.showPause !== false,
             showStep: options.showStep !== false,
             showReset: options.showReset !== false,
+            syncUrl: options.syncUrl !== false,
             ...options
         };
 
         this.params = {};
-        this.callbacks = {};
+        this.schema = {};
+        this.controls = {};
+        this.activeGroup = null;
+        this.presets = {};
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = options.historyLimit || 100;
+        this.suppressHistory = 0;
+        this.presetKey = `promptsandmore.presets.${options.presetKey || window.location.pathname}`;
+        this.listeners = {};
+        this.idPrefix = `demo-${++frameworkCount}`;
+        this.groupCount = 0;
+        this.shortcuts = [];
         this.isPaused = false;
-        this.animationId = null;
-        this.seed = Math.floor(Math.random() * 1000000);
+        this.animationLoop = null;
+        // Frameworks can share a scheduler so their loops tick (and pause) together
+        this.scheduler = options.scheduler || new Scheduler(this, { budget: options.frameBudget });
+
+        // Seed and params encoded in the URL hash take precedence over defaults,
+        // and options.seed / options.params over both
+        this.hashState = this.readHash();
+        const hashSeed = parseInt(this.hashState.seed);
+        if (Number.isFinite(options.seed)) {
+            this.seed = options.seed;
+        } else {
+            this.seed = Number.isFinite(hashSeed) ? hashSeed : Math.floor(Math.random() * 1000000);
+        }
 
         this.init();
     }
@@ -34,18 +70,208 @@ export class DemoFramework {
         if (this.options.showControls) {
             this.createControls();
         }
+        // Kept as fields so destroy() can remove them
+        this.handleHashChange = () => this.applyHash();
+        this.handleKeyDown = (e) => {
+            this.handleHistoryKey(e);
+            this.handleShortcutKey(e);
+        };
+        if (this.options.syncUrl) {
+            window.addEventListener('hashchange', this.handleHashChange);
+        }
+        if (this.options.shortcuts !== false) {
+            document.addEventListener('keydown', this.handleKeyDown);
+        }
+        this.handlePaletteChange = () => this.refreshPalette();
+        window.addEventListener('palettechange', this.handlePaletteChange);
+        // Inside an iframe, let the embedding page drive the demo
+        if (this.options.messaging !== false && window.parent !== window) {
+            this.messageBridge = new MessageBridge(this, { origins: this.options.messageOrigins });
+            this.messageBridge.start();
+        }
+        this.registerDefaultShortcuts();
     }
 
     createCanvas() {
+        // An element can be passed instead of an id, e.g. from inside a shadow root
+        this.container = typeof this.containerId === 'string' ? document.getElementById(this.containerId) : this.containerId;
+        if (!this.container) {
+            throw new Error(`Container with id "${this.containerId}" not found`);
+        }
+
         this.canvas = document.createElement('canvas');
-        this.canvas.width = this.options.width;
-        this.canvas.height = this.options.height;
         this.canvas.style.width = '100%';
-        this.canvas.style.height = '100%';
         this.canvas.style.display = 'block';
         
         this.ctx = this.canvas.getContext('2d');
         this.container.appendChild(this.canvas);
+        this.createAccessibleText();
+
+        // Size to the container now so demos see real dimensions in init()
+        this.fitToContainer();
+        if (this.options.resizable !== false && typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.fitToContainer());
+            this.resizeObserver.observe(this.container);
+        }
+        this.watchPixelRatio();
+    }
+
+    /**
+     * Logical size follows the container width at the aspect ratio of
+     * options.width × options.height (or stays fixed when resizable is false).
+     */
+    fitToContainer() {
+        // Usually the container, but a comparison moves the canvas into a pane
+        const host = this.canvas.parentElement || this.container;
+        let width = this.options.width;
+        if (this.options.resizable !== false && host.clientWidth > 0) {
+            const style = getComputedStyle(host);
+            const padding = parseFloat(style.paddingLeft) + parseFloat(style.paddingRight);
+            width = Math.floor(host.clientWidth - (padding || 0));
+        }
+        const height = Math.round(width * this.options.height / this.options.width);
+        this.resize(width, height);
+    }
+
+    /**
+     * The canvas is opaque to screen readers, so it gets a text description
+     * from the demo's describe() and a live region for announcements. Both
+     * are refreshed a frame after the events that change what's drawn, once
+     * the demo has reacted to them.
+     */
+    createAccessibleText() {
+        this.canvas.setAttribute('role', 'img');
+        this.canvas.tabIndex = 0;
+
+        this.description = document.createElement('p');
+        this.description.className = 'sr-only';
+        this.description.id = `${this.idPrefix}-description`;
+        this.canvas.setAttribute('aria-describedby', this.description.id);
+
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.container.append(this.description, this.liveRegion);
+
+        this.on('onPause', (isPaused) => this.announceState(isPaused ? 'Paused.' : 'Running.'));
+        this.on('onStep', () => this.announceState());
+        this.on('onReset', () => this.announceState('Reset.'));
+        this.on('onSeedChange', (seed) => this.announceState(`Seed ${seed}.`));
+        this.on('onRegenerate', () => this.announceState());
+        this.on('onFinish', () => this.announceState('Finished.'));
+        // Dragging a slider would flood the live region; only keep the description current
+        this.on('onParamChange', () => this.announceState('', false));
+    }
+
+    /**
+     * Text summary of what the canvas currently shows, from the attached
+     * demo's describe() (empty if it has none)
+     */
+    describe() {
+        return this.demo && typeof this.demo.describe === 'function' ? this.demo.describe() : '';
+    }
+
+    // Read a message out through the live region
+    announce(message) {
+        if (!this.liveRegion) return;
+        // Clearing first makes a repeated message count as a change
+        this.liveRegion.textContent = '';
+        this.liveRegion.textContent = message;
+    }
+
+    /**
+     * Refresh the canvas description on the next frame and, if `speak`,
+     * announce it after `prefix`. Calls in the same frame are merged.
+     */
+    announceState(prefix = '', speak = true) {
+        if (!this.liveRegion) return;
+        const pending = this.pendingAnnouncement || { prefix: '', speak: false };
+        this.pendingAnnouncement = {
+            prefix: prefix || pending.prefix,
+            speak: speak || pending.speak
+        };
+        if (this.announceFrame) return;
+        this.announceFrame = this.requestFrame(() => {
+            const { prefix, speak } = this.pendingAnnouncement;
+            this.announceFrame = null;
+            this.pendingAnnouncement = null;
+            const summary = this.describe();
+            this.description.textContent = summary;
+            if (speak) {
+                this.announce(`${prefix} ${summary}`.trim());
+            }
+        });
+    }
+
+    controlId(name) {
+        return `${this.idPrefix}-${name}`;
+    }
+
+    // Point a visible label at its control so screen readers announce them together
+    linkLabel(labelEl, control, key) {
+        control.id = this.controlId(key.toLowerCase().replace(/[^a-z0-9]+/g, '-'));
+        labelEl.htmlFor = control.id;
+    }
+
+    // Zooming or dragging the window to another screen changes devicePixelRatio
+    watchPixelRatio() {
+        if (typeof matchMedia === 'undefined') return;
+        this.pixelRatioQuery = matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        this.handlePixelRatioChange = () => {
+            this.resize(this.width, this.height, true);
+            this.watchPixelRatio();
+        };
+        this.pixelRatioQuery.addEventListener('change', this.handlePixelRatioChange, { once: true });
+    }
+
+    /**
+     * Set the logical (CSS pixel) size. The backing store is scaled by
+     * devicePixelRatio and the context transform maps logical coordinates
+     * onto it, so demos always draw in 0..width × 0..height.
+     */
+    resize(width, height, force = false) {
+        const pixelRatio = this.options.pixelRatio || (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+        if (!force && width === this.width && height === this.height && pixelRatio === this.pixelRatio) return;
+
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        if (this.canvas.style) {
+            this.canvas.style.height = `${height}px`;
+        }
+        this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+        this.emit('onResize', { width, height, pixelRatio });
+    }
+
+    getSize() {
+        return { width: this.width, height: this.height };
+    }
+
+    // Convert a mouse/pointer event to logical canvas coordinates
+    toLogicalPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.width / rect.width),
+            y: (e.clientY - rect.top) * (this.height / rect.height)
+        };
+    }
+
+    /**
+     * putImageData ignores the context transform, so draw logical-size pixel
+     * data through a scratch canvas that the transform can scale.
+     */
+    drawImageData(imageData, x = 0, y = 0) {
+        if (!this.scratchCanvas) {
+            this.scratchCanvas = document.createElement('canvas');
+        }
+        this.scratchCanvas.width = imageData.width;
+        this.scratchCanvas.height = imageData.height;
+        this.scratchCanvas.getContext('2d').putImageData(imageData, 0, 0);
+        this.ctx.drawImage(this.scratchCanvas, x, y);
     }
 
     createControls() {
@@ -53,6 +279,19 @@ export class DemoFramework {
         controlsPanel.className = 'controls-panel';
         controlsPanel.id = 'controls-panel';
 
+        // Offered first when the demo has a tour script (options.tour is its URL)
+        if (this.options.tour && this.options.showTour !== false) {
+            const tourGroup = this.createControlGroup('Guided Tour');
+            const tourButton = document.createElement('button');
+            tourButton.textContent = 'Start Tour';
+            tourButton.className = 'control-buttons';
+            tourButton.style.width = '100%';
+            tourButton.addEventListener('click', () => this.toggleTour());
+            tourGroup.appendChild(tourButton);
+            controlsPanel.appendChild(tourGroup);
+            this.tourButton = tourButton;
+        }
+
         // Seed control
         if (this.options.showSeed) {
             const seedGroup = this.createControlGroup('Random Seed');
@@ -67,6 +306,7 @@ export class DemoFramework {
             seedInput.min = 0;
             seedInput.max = 9999999;
             seedInput.style.flex = '1';
+            seedInput.setAttribute('aria-label', 'Random seed');
             seedInput.addEventListener('input', (e) => {
                 this.setSeed(parseInt(e.target.value) || 0);
             });
@@ -99,167 +339,1950 @@ export class DemoFramework {
             if (this.options.showPause) {
                 const pauseBtn = document.createElement('button');
                 pauseBtn.textContent = 'Pause';
+                pauseBtn.setAttribute('aria-pressed', 'false');
                 pauseBtn.addEventListener('click', () => this.togglePause());
                 buttons.appendChild(pauseBtn);
                 this.pauseButton = pauseBtn;
             }
 
-            if (this.options.showStep) {
-                const stepBtn = document.createElement('button');
-                stepBtn.textContent = 'Step';
-                stepBtn.addEventListener('click', () => this.step());
-                buttons.appendChild(stepBtn);
+            if (this.options.showStep) {
+                const stepBtn = document.createElement('button');
+                stepBtn.textContent = 'Step';
+                stepBtn.addEventListener('click', () => this.step());
+                buttons.appendChild(stepBtn);
+            }
+
+            if (this.options.showReset) {
+                const resetBtn = document.createElement('button');
+                resetBtn.textContent = 'Reset';
+                resetBtn.addEventListener('click', () => this.reset());
+                buttons.appendChild(resetBtn);
+            }
+
+            buttonGroup.appendChild(buttons);
+            if (this.options.showSpeed !== false) {
+                buttonGroup.appendChild(this.createSpeedControl());
+            }
+            if (this.options.showPerf !== false) {
+                const perfButton = document.createElement('button');
+                perfButton.textContent = 'Show Performance';
+                perfButton.className = 'control-buttons';
+                perfButton.style.width = '100%';
+                perfButton.addEventListener('click', () => this.togglePerfHud());
+                buttonGroup.appendChild(perfButton);
+                this.perfButton = perfButton;
+            }
+            if (this.options.showInspect !== false) {
+                // Shown by attach() once the demo turns out to implement inspectAt()
+                const inspectButton = document.createElement('button');
+                inspectButton.textContent = 'Inspect';
+                inspectButton.className = 'control-buttons';
+                inspectButton.style.width = '100%';
+                inspectButton.style.display = 'none';
+                inspectButton.addEventListener('click', () => this.toggleInspector());
+                buttonGroup.appendChild(inspectButton);
+                this.inspectButton = inspectButton;
+            }
+            controlsPanel.appendChild(buttonGroup);
+            this.simulationGroup = buttonGroup;
+        }
+
+        // Undo/redo for param and seed changes
+        if (this.options.showHistory !== false) {
+            const historyGroup = this.createControlGroup('History');
+            const buttons = document.createElement('div');
+            buttons.className = 'control-buttons';
+
+            const undoBtn = document.createElement('button');
+            undoBtn.textContent = 'Undo';
+            undoBtn.title = 'Undo (Ctrl+Z)';
+            undoBtn.addEventListener('click', () => this.undo());
+            buttons.appendChild(undoBtn);
+
+            const redoBtn = document.createElement('button');
+            redoBtn.textContent = 'Redo';
+            redoBtn.title = 'Redo (Ctrl+Shift+Z)';
+            redoBtn.addEventListener('click', () => this.redo());
+            buttons.appendChild(redoBtn);
+
+            historyGroup.appendChild(buttons);
+            controlsPanel.appendChild(historyGroup);
+            this.undoButton = undoBtn;
+            this.redoButton = redoBtn;
+            this.updateHistoryButtons();
+        }
+
+        // Store controls panel reference
+        this.controlsPanel = controlsPanel;
+        
+        // Add Show Code button
+        if (this.options.showCode !== false) {
+            const codeGroup = this.createControlGroup('Code');
+            const codeButton = document.createElement('button');
+            codeButton.textContent = 'Show Code';
+            codeButton.className = 'control-buttons';
+            codeButton.style.width = '100%';
+            codeButton.addEventListener('click', () => this.toggleCodeView());
+            codeGroup.appendChild(codeButton);
+            controlsPanel.appendChild(codeGroup);
+            this.codeButton = codeButton;
+        }
+
+        // Copy a permalink to the current seed and params
+        if (this.options.syncUrl) {
+            const linkButton = document.createElement('button');
+            linkButton.textContent = 'Copy Link';
+            linkButton.className = 'control-buttons';
+            linkButton.style.width = '100%';
+            linkButton.style.marginTop = '0.5rem';
+            linkButton.addEventListener('click', () => {
+                this.updateHash();
+                const showResult = (text) => {
+                    linkButton.textContent = text;
+                    this.announce(text);
+                    setTimeout(() => {
+                        linkButton.textContent = 'Copy Link';
+                    }, 2000);
+                };
+                this.copyText(window.location.href)
+                    .then(() => showResult('Copied!'))
+                    .catch(() => showResult('Copy failed — URL is in the address bar'));
+            });
+            const group = this.codeButton ? this.codeButton.parentElement : this.createControlGroup('Share');
+            group.appendChild(linkButton);
+            if (!group.parentElement) {
+                controlsPanel.appendChild(group);
+            }
+        }
+
+        if (this.options.showPresets !== false) {
+            this.createPresetControls();
+        }
+
+        if (this.options.showRecord !== false) {
+            this.createRecordControls();
+        }
+
+        if (this.options.showCompare !== false) {
+            this.createCompareControls();
+        }
+
+        if (this.options.showSweep !== false) {
+            this.createSweepControls();
+        }
+
+        if (this.options.showTheme !== false) {
+            this.createThemeControls();
+        }
+    }
+
+    createThemeControls() {
+        const group = this.createControlGroup('Display');
+        const selects = {};
+        const add = (key, label, values, onChange) => {
+            const item = document.createElement('div');
+            item.className = 'control-item';
+            const labelEl = document.createElement('label');
+            labelEl.textContent = label;
+            const select = document.createElement('select');
+            for (const value of values) {
+                const option = document.createElement('option');
+                option.value = value;
+                // 'high-contrast' -> 'High contrast'
+                option.textContent = value[0].toUpperCase() + value.slice(1).replace('-', ' ');
+                select.appendChild(option);
+            }
+            select.addEventListener('change', (e) => onChange(e.target.value));
+            this.linkLabel(labelEl, select, key);
+            item.append(labelEl, select);
+            group.appendChild(item);
+            selects[key] = select;
+        };
+        add('theme', 'Theme', THEMES, setTheme);
+        add('palette', 'Palette', PALETTES, setPalette);
+        this.controlsPanel.appendChild(group);
+
+        this.themeControls = {
+            update: () => {
+                selects.theme.value = getTheme();
+                selects.palette.value = getPaletteName();
+            }
+        };
+        this.themeControls.update();
+    }
+
+    /**
+     * Colors demos should draw with (see Palette.js), read from the CSS
+     * variables at the canvas and cached until the theme or palette changes
+     */
+    getPalette() {
+        if (!this.palette) {
+            this.palette = readPalette(this.container);
+        }
+        return this.palette;
+    }
+
+    // Re-read the palette and redraw; runs whenever setTheme/setPalette is called
+    refreshPalette() {
+        this.palette = null;
+        if (this.themeControls) {
+            this.themeControls.update();
+        }
+        this.emit('onPaletteChange', this.getPalette());
+        if (this.demo && typeof this.demo.render === 'function') {
+            this.demo.render();
+        }
+    }
+
+    createPresetControls() {
+        const presetGroup = this.createControlGroup('Presets');
+        const item = document.createElement('div');
+        item.className = 'control-item';
+
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', 'Preset');
+        select.style.width = '100%';
+        select.style.marginBottom = '0.5rem';
+        item.appendChild(select);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'control-buttons';
+
+        const addButton = (text, handler) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.addEventListener('click', handler);
+            buttons.appendChild(button);
+            return button;
+        };
+
+        addButton('Load', () => {
+            const preset = this.getPreset(select.value);
+            if (preset) {
+                this.applyState(preset);
+            }
+        });
+        addButton('Save', () => {
+            const name = prompt('Preset name', select.value.startsWith('saved:') ? select.value.slice(6) : '');
+            if (name) {
+                this.savePreset(name.trim());
+                select.value = `saved:${name.trim()}`;
+            }
+        });
+        this.deletePresetButton = addButton('Delete', () => {
+            if (select.value.startsWith('saved:')) {
+                this.deletePreset(select.value.slice(6));
+            }
+        });
+        addButton('Export', () => this.exportPresets());
+
+        // Hidden file input backing the Import button
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importPresets(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+        addButton('Import', () => fileInput.click());
+
+        select.addEventListener('change', () => this.updatePresetControls());
+
+        item.appendChild(buttons);
+        item.appendChild(fileInput);
+        presetGroup.appendChild(item);
+        this.controlsPanel.appendChild(presetGroup);
+
+        this.presetSelect = select;
+        this.renderPresetList();
+    }
+
+    createRecordControls() {
+        const recordGroup = this.createControlGroup('Record');
+
+        const addField = (label, input) => {
+            const item = document.createElement('div');
+            item.className = 'control-item';
+            const labelEl = document.createElement('label');
+            labelEl.textContent = label;
+            this.linkLabel(labelEl, input, `record-${label}`);
+            item.appendChild(labelEl);
+            item.appendChild(input);
+            recordGroup.appendChild(item);
+            return input;
+        };
+        const numberInput = (value, min, max) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = value;
+            input.min = min;
+            input.max = max;
+            return input;
+        };
+
+        const format = document.createElement('select');
+        for (const [value, text] of [['gif', 'Animated GIF'], ['webm', 'WebM video'], ['png', 'PNG sequence (.zip)']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            if (value === 'webm' && !Recorder.isWebMSupported()) {
+                option.disabled = true;
+                option.textContent += ' (not supported)';
+            }
+            format.appendChild(option);
+        }
+        addField('Format', format);
+        const every = addField('Capture Every N Frames', numberInput(2, 1, 60));
+        const fps = addField('Frame Rate (fps)', numberInput(30, 1, 60));
+        const maxDuration = addField('Max Duration (s)', numberInput(10, 1, 120));
+
+        const buttons = document.createElement('div');
+        buttons.className = 'control-buttons';
+        const recordButton = document.createElement('button');
+        recordButton.textContent = 'Record';
+        recordButton.addEventListener('click', () => {
+            if (this.recorder && this.recorder.isRecording) {
+                this.stopRecording();
+            } else {
+                this.startRecording({
+                    format: format.value,
+                    every: parseInt(every.value),
+                    fps: parseFloat(fps.value),
+                    maxDuration: parseFloat(maxDuration.value)
+                });
+            }
+        });
+        buttons.appendChild(recordButton);
+        recordGroup.appendChild(buttons);
+
+        const status = document.createElement('div');
+        status.style.marginTop = '0.5rem';
+        status.style.fontSize = '0.85rem';
+        status.style.color = 'var(--text-secondary)';
+        recordGroup.appendChild(status);
+
+        this.controlsPanel.appendChild(recordGroup);
+        this.recordButton = recordButton;
+        this.recordStatus = status;
+    }
+
+    createCompareControls() {
+        const compareGroup = this.createControlGroup('Compare');
+
+        const item = document.createElement('div');
+        item.className = 'control-item';
+        const label = document.createElement('label');
+        label.textContent = 'Vary';
+        item.appendChild(label);
+        const select = document.createElement('select');
+        select.style.width = '100%';
+        this.linkLabel(label, select, 'compare-param');
+        item.appendChild(select);
+        compareGroup.appendChild(item);
+
+        const valueItem = document.createElement('div');
+        valueItem.className = 'control-item';
+        const valueLabel = document.createElement('label');
+        valueLabel.textContent = 'Value in B';
+        valueItem.appendChild(valueLabel);
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.style.width = '100%';
+        this.linkLabel(valueLabel, input, 'compare-value');
+        valueItem.appendChild(input);
+        compareGroup.appendChild(valueItem);
+
+        // Start from the current value so only the edit differs
+        select.addEventListener('change', () => {
+            input.value = select.value === 'seed' ? this.seed : this.serializeParam(select.value);
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'control-buttons';
+        const compareButton = document.createElement('button');
+        compareButton.textContent = 'Compare';
+        compareButton.addEventListener('click', () => {
+            if (this.comparison) {
+                this.stopComparison();
+                return;
+            }
+            const name = select.value;
+            if (name === 'seed') {
+                const seed = parseInt(input.value);
+                this.startComparison({ seed: Number.isFinite(seed) ? seed : this.seed + 1 });
+            } else if (name) {
+                this.startComparison({ params: { [name]: this.validateParam(name, this.parseParam(name, input.value)) } });
+            }
+        });
+        buttons.appendChild(compareButton);
+        compareGroup.appendChild(buttons);
+
+        const diffItem = document.createElement('div');
+        diffItem.className = 'control-item';
+        const diffLabel = document.createElement('label');
+        const diffToggle = document.createElement('input');
+        diffToggle.type = 'checkbox';
+        diffToggle.addEventListener('change', () => {
+            if (this.comparison) {
+                this.comparison.showDifference(diffToggle.checked);
+            }
+        });
+        diffLabel.appendChild(diffToggle);
+        diffLabel.appendChild(document.createTextNode(' Difference overlay'));
+        diffItem.appendChild(diffLabel);
+        compareGroup.appendChild(diffItem);
+
+        this.controlsPanel.appendChild(compareGroup);
+        this.compareSelect = select;
+        this.compareInput = input;
+        this.compareButton = compareButton;
+        this.compareDiffToggle = diffToggle;
+        this.renderCompareOptions();
+    }
+
+    // Params are declared after the controls are built, so refill on defineParams
+    renderCompareOptions() {
+        const select = this.compareSelect;
+        const selected = select.value || 'seed';
+        select.innerHTML = '';
+        const addOption = (value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        };
+        addOption('seed', 'Seed');
+        for (const [name, spec] of Object.entries(this.schema)) {
+            addOption(name, spec.label || name);
+        }
+        select.value = selected;
+        select.dispatchEvent(new Event('change'));
+    }
+
+    createSweepControls() {
+        const sweepGroup = this.createControlGroup('Sweep');
+
+        const numberInput = (value, step) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.value = value;
+            input.step = step;
+            input.style.width = '100%';
+            return input;
+        };
+
+        // One row per axis: param select plus min / max / steps
+        const createAxis = (title, optional) => {
+            const item = document.createElement('div');
+            item.className = 'control-item';
+            const label = document.createElement('label');
+            label.textContent = title;
+            item.appendChild(label);
+
+            const select = document.createElement('select');
+            select.style.width = '100%';
+            this.linkLabel(label, select, `sweep-${title}`);
+            item.appendChild(select);
+
+            const range = document.createElement('div');
+            range.className = 'sweep-range';
+            const min = numberInput('', 'any');
+            const max = numberInput('', 'any');
+            const steps = numberInput(4, 1);
+            min.title = 'From';
+            max.title = 'To';
+            steps.title = 'Steps';
+            for (const input of [min, max, steps]) {
+                input.setAttribute('aria-label', `${title} ${input.title.toLowerCase()}`);
+            }
+            steps.min = 1;
+            range.append(min, max, steps);
+            item.appendChild(range);
+            sweepGroup.appendChild(item);
+
+            // Prefill the declared range; toggles and selects sweep every value
+            select.addEventListener('change', () => {
+                const spec = this.schema[select.value];
+                const numeric = spec && !['toggle', 'select'].includes(spec.type);
+                range.style.display = numeric ? 'flex' : 'none';
+                if (numeric) {
+                    min.value = spec.min !== undefined ? spec.min : this.params[select.value];
+                    max.value = spec.max !== undefined ? spec.max : this.params[select.value];
+                }
+            });
+            return { select, min, max, steps, optional };
+        };
+
+        this.sweepAxes = [createAxis('X Axis', false), createAxis('Y Axis', true)];
+
+        const framesItem = document.createElement('div');
+        framesItem.className = 'control-item';
+        const framesLabel = document.createElement('label');
+        framesLabel.textContent = 'Advance (frames)';
+        framesItem.appendChild(framesLabel);
+        const frames = numberInput(120, 1);
+        frames.min = 0;
+        this.linkLabel(framesLabel, frames, 'sweep-frames');
+        framesItem.appendChild(frames);
+        sweepGroup.appendChild(framesItem);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'control-buttons';
+        const runButton = document.createElement('button');
+        runButton.textContent = 'Run Sweep';
+        runButton.addEventListener('click', () => {
+            const [x, y] = this.sweepAxes.map(axis => {
+                const name = axis.select.value;
+                if (!name) return null;
+                return { name, min: parseFloat(axis.min.value), max: parseFloat(axis.max.value), steps: parseInt(axis.steps.value) };
+            });
+            if (x) {
+                this.runSweep({ x, y, frames: Math.max(0, parseInt(frames.value) || 0) });
+            }
+        });
+        buttons.appendChild(runButton);
+        sweepGroup.appendChild(buttons);
+
+        this.controlsPanel.appendChild(sweepGroup);
+        this.renderSweepOptions();
+    }
+
+    renderSweepOptions() {
+        for (const axis of this.sweepAxes) {
+            const selected = axis.select.value;
+            axis.select.innerHTML = '';
+            const addOption = (value, text) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                axis.select.appendChild(option);
+            };
+            if (axis.optional) {
+                addOption('', 'None');
+            }
+            // Colors, text and vectors have no meaningful one-dimensional range
+            for (const [name, spec] of Object.entries(this.schema)) {
+                if (!['color', 'textarea', 'input', 'range', 'vector2'].includes(spec.type)) {
+                    addOption(name, spec.label || name);
+                }
+            }
+            if ([...axis.select.options].some(option => option.value === selected)) {
+                axis.select.value = selected;
+            }
+            axis.select.dispatchEvent(new Event('change'));
+        }
+    }
+
+    /**
+     * Open a thumbnail grid across one or two params. Each axis is
+     * { name, values } or { name, min, max, steps }; `frames` is how many
+     * frames simulations run before each thumbnail is taken.
+     */
+    async runSweep({ x, y, frames = 0 }) {
+        // Loaded on demand: Sweep renders through HeadlessFramework, which
+        // extends this class, so a static import would be circular
+        const { ParameterSweep, sweepValues } = await import('./Sweep.js');
+        const toAxis = (axis) => axis && {
+            name: axis.name,
+            values: axis.values || sweepValues(this.schema[axis.name], axis.min, axis.max, axis.steps)
+        };
+        if (this.sweep) {
+            this.sweep.close();
+        }
+        this.sweep = new ParameterSweep(this, { x: toAxis(x), y: toAxis(y), frames });
+        this.sweep.open();
+        return this.sweep;
+    }
+
+    // Params as written to the URL hash; parseParam reads them back
+    serializeParam(name) {
+        const value = this.params[name];
+        const control = this.controls[name];
+        if (control && control.serialize) return control.serialize(value);
+        return typeof value === 'boolean' ? (value ? 1 : 0) : value;
+    }
+
+    /**
+     * Show a second instance of the attached demo beside this one. Options:
+     *   seed    seed for the second instance (default: follow this one)
+     *   params  params that differ in the second instance; the rest follow
+     *           this one's controls
+     */
+    startComparison(options = {}) {
+        this.stopComparison();
+        this.comparison = new Comparison(this, options);
+        this.comparison.start();
+        if (this.compareDiffToggle && this.compareDiffToggle.checked) {
+            this.comparison.showDifference(true);
+        }
+        this.updateCompareControls();
+        return this.comparison;
+    }
+
+    stopComparison() {
+        if (!this.comparison) return;
+        this.comparison.stop();
+        this.comparison = null;
+        this.updateCompareControls();
+    }
+
+    updateCompareControls() {
+        if (!this.compareButton) return;
+        this.compareButton.textContent = this.comparison ? 'Stop Comparing' : 'Compare';
+        this.compareButton.classList.toggle('active', !!this.comparison);
+        this.compareSelect.disabled = !!this.comparison;
+        this.compareInput.disabled = !!this.comparison;
+    }
+
+    /**
+     * Record the canvas; see Recorder.start for options. The result is
+     * downloaded when recording stops (manually or at maxDuration).
+     */
+    startRecording(options = {}) {
+        this.recorder = new Recorder(this);
+        const format = options.format || 'gif';
+        const extension = { gif: 'gif', webm: 'webm', png: 'zip' }[format];
+        const name = this.getName();
+
+        this.recorder.start(options)
+            .then((blob) => {
+                this.downloadBlob(blob, `${name}-${this.seed}.${extension}`);
+                this.updateRecordControls('');
+            })
+            .catch((error) => {
+                console.error('Error recording:', error);
+                this.updateRecordControls('Recording failed');
+            });
+        this.updateRecordControls();
+    }
+
+    stopRecording() {
+        if (this.recorder) {
+            this.recorder.stop();
+            this.updateRecordControls('Encoding...');
+        }
+    }
+
+    updateRecordControls(message) {
+        const recording = this.recorder && this.recorder.isRecording;
+        if (this.recordButton) {
+            this.recordButton.textContent = recording ? 'Stop' : 'Record';
+            this.recordButton.classList.toggle('active', recording);
+        }
+        if (!this.recordStatus) return;
+
+        if (message !== undefined) {
+            this.recordStatus.textContent = message;
+        } else if (recording) {
+            // Refresh the frame count while the recorder runs
+            const frames = this.recorder.format === 'webm' ? '' : ` (${this.recorder.capturedCount} frames)`;
+            this.recordStatus.textContent = `Recording...${frames}`;
+            setTimeout(() => {
+                if (this.recorder && this.recorder.isRecording) {
+                    this.updateRecordControls();
+                } else if (this.recordStatus.textContent.startsWith('Recording')) {
+                    // Stopped by maxDuration rather than the button
+                    this.updateRecordControls('Encoding...');
+                }
+            }, 250);
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    renderPresetList() {
+        if (!this.presetSelect) return;
+
+        const select = this.presetSelect;
+        const selected = select.value;
+        select.innerHTML = '';
+
+        const addOptions = (label, prefix, presets) => {
+            const names = Object.keys(presets);
+            if (names.length === 0) return;
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            for (const name of names) {
+                const option = document.createElement('option');
+                option.value = `${prefix}:${name}`;
+                option.textContent = name;
+                optgroup.appendChild(option);
+            }
+            select.appendChild(optgroup);
+        };
+
+        addOptions('Built-in', 'builtin', this.presets);
+        addOptions('Saved', 'saved', this.loadSavedPresets());
+
+        if (select.options.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No presets yet';
+            select.appendChild(option);
+        }
+        if ([...select.options].some(option => option.value === selected)) {
+            select.value = selected;
+        }
+        this.updatePresetControls();
+    }
+
+    updatePresetControls() {
+        if (this.deletePresetButton) {
+            this.deletePresetButton.disabled = !this.presetSelect.value.startsWith('saved:');
+        }
+    }
+
+    /**
+     * Register presets shipped with a demo: { name: { seed?, params } }
+     */
+    addPresets(presets) {
+        Object.assign(this.presets, presets);
+        this.renderPresetList();
+    }
+
+    getPreset(key) {
+        const [source, ...rest] = key.split(':');
+        const name = rest.join(':');
+        if (source === 'builtin') return this.presets[name];
+        if (source === 'saved') return this.loadSavedPresets()[name];
+        return null;
+    }
+
+    loadSavedPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(this.presetKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    storeSavedPresets(presets) {
+        try {
+            localStorage.setItem(this.presetKey, JSON.stringify(presets));
+        } catch (error) {
+            console.error('Error saving presets:', error);
+        }
+        this.renderPresetList();
+    }
+
+    savePreset(name) {
+        const presets = this.loadSavedPresets();
+        presets[name] = this.getState();
+        this.storeSavedPresets(presets);
+    }
+
+    deletePreset(name) {
+        const presets = this.loadSavedPresets();
+        delete presets[name];
+        this.storeSavedPresets(presets);
+    }
+
+    exportPresets() {
+        const data = JSON.stringify({ presets: this.loadSavedPresets() }, null, 2);
+        this.downloadBlob(new Blob([data], { type: 'application/json' }), 'presets.json');
+    }
+
+    importPresets(file) {
+        const reader = new FileReader();
+        reader.addEventListener('load', () => {
+            try {
+                const data = JSON.parse(reader.result);
+                const imported = data.presets || data;
+                const presets = { ...this.loadSavedPresets(), ...this.sanitizePresets(imported) };
+                this.storeSavedPresets(presets);
+            } catch (error) {
+                console.error('Error importing presets:', error);
+                alert('Could not import presets. Is this a presets JSON file?');
+            }
+        });
+        reader.readAsText(file);
+    }
+
+    /**
+     * Presets from an imported file, reduced to what applying them can use:
+     * an integer seed if there is one, and declared params with validated
+     * values. Entries without a params object are skipped.
+     */
+    sanitizePresets(imported) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const presets = {};
+        for (const [name, preset] of Object.entries(imported)) {
+            if (!isObject(preset) || !isObject(preset.params)) continue;
+            const params = {};
+            for (const [param, value] of Object.entries(preset.params)) {
+                if (param in this.schema) {
+                    params[param] = this.validateParam(param, value);
+                }
+            }
+            presets[name] = Number.isInteger(preset.seed) ? { seed: preset.seed, params } : { params };
+        }
+        return presets;
+    }
+
+    createControlGroup(title) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        
+        const titleEl = document.createElement('h3');
+        titleEl.textContent = title;
+        titleEl.id = `${this.idPrefix}-group-${++this.groupCount}`;
+        group.appendChild(titleEl);
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-labelledby', titleEl.id);
+
+        return group;
+    }
+
+    // Control builders add to the schema group being built, or to a new group
+    getControlGroup(title) {
+        if (this.activeGroup) {
+            return this.activeGroup;
+        }
+        const group = this.createControlGroup(title);
+        this.controlsPanel.appendChild(group);
+        return group;
+    }
+
+    /**
+     * Declare a demo's params in one place instead of calling addSlider etc.
+     * Each entry is { type, label, default, min, max, step, options, rows,
+     * group, description, regenerate }. The framework builds the controls,
+     * clamps values to the declared range and always supplies defaults through
+     * getParams(). A change to a param marked `regenerate` fires onRegenerate;
+     * any other declared param fires onRender.
+     */
+    defineParams(schema) {
+        const groups = {};
+
+        for (const [name, spec] of Object.entries(schema)) {
+            this.schema[name] = spec;
+            const label = spec.label || name;
+            const value = this.validateParam(name, spec.default);
+
+            if (this.controlsPanel && this.options.showParams !== false) {
+                if (spec.group) {
+                    if (!groups[spec.group]) {
+                        groups[spec.group] = this.createControlGroup(spec.group);
+                        this.controlsPanel.appendChild(groups[spec.group]);
+                    }
+                    this.activeGroup = groups[spec.group];
+                }
+
+                switch (spec.type) {
+                    case 'toggle':
+                        this.addToggle(name, label, value);
+                        break;
+                    case 'select':
+                        this.addSelect(name, label, spec.options, value);
+                        break;
+                    case 'color':
+                        this.addColor(name, label, value);
+                        break;
+                    case 'range':
+                        this.addRange(name, label, spec.min, spec.max, value, spec.step);
+                        break;
+                    case 'vector2':
+                        this.addVector2(name, label, spec.min, spec.max, value, spec.step);
+                        break;
+                    case 'textarea':
+                        this.addTextArea(name, label, value, spec.rows);
+                        break;
+                    case 'input':
+                        this.addInput(name, label, value, spec.inputType);
+                        break;
+                    default:
+                        this.addSlider(name, label, spec.min, spec.max, value, spec.step);
+                }
+                this.activeGroup = null;
+
+                if (spec.description && this.controls[name]) {
+                    this.controls[name].element.title = spec.description;
+                }
+            } else {
+                // No controls to restore through, so read the URL hash directly
+                this.params[name] = this.restoreParam(name, value, (raw) => this.parseParam(name, raw));
+            }
+            this.params[name] = this.validateParam(name, this.params[name]);
+        }
+
+        if (this.compareSelect) {
+            this.renderCompareOptions();
+        }
+        if (this.sweepAxes) {
+            this.renderSweepOptions();
+        }
+    }
+
+    // Parse a raw URL hash value for a declared param
+    parseParam(name, raw) {
+        const spec = this.schema[name];
+        switch (spec.type) {
+            case 'toggle':
+                return raw === '1' || raw === 'true';
+            case 'range': {
+                const [min, max] = raw.split(',').map(parseFloat);
+                return { min, max };
+            }
+            case 'vector2': {
+                const [x, y] = raw.split(',').map(parseFloat);
+                return { x, y };
+            }
+            case 'select': {
+                const option = spec.options.find(o => String(typeof o === 'object' ? o.value : o) === raw);
+                return option === undefined ? undefined : (typeof option === 'object' ? option.value : option);
+            }
+            case 'color':
+            case 'textarea':
+                return raw;
+            case 'input':
+                return spec.inputType === 'number' ? parseFloat(raw) : raw;
+            default:
+                return parseFloat(raw);
+        }
+    }
+
+    /**
+     * Coerce a value to its declared type and range, falling back to the
+     * declared default when it is unusable. Undeclared params pass through.
+     */
+    validateParam(name, value) {
+        const spec = this.schema[name];
+        if (!spec) return value;
+
+        const min = spec.min !== undefined ? spec.min : -Infinity;
+        const max = spec.max !== undefined ? spec.max : Infinity;
+        const toNumber = (val, fallback) => {
+            const num = typeof val === 'number' ? val : parseFloat(val);
+            if (!Number.isFinite(num)) return fallback;
+            const clamped = Math.max(min, Math.min(max, num));
+            if (!spec.step || !Number.isFinite(min)) return clamped;
+            const snapped = Math.round((clamped - min) / spec.step) * spec.step + min;
+            return parseFloat(Math.min(max, snapped).toFixed(10));
+        };
+
+        switch (spec.type) {
+            case 'toggle':
+                return typeof value === 'boolean' ? value : Boolean(spec.default);
+            case 'select': {
+                const values = spec.options.map(o => (typeof o === 'object' ? o.value : o));
+                return values.includes(value) ? value : spec.default;
+            }
+            case 'color':
+                return /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : spec.default;
+            case 'range': {
+                if (!value || typeof value !== 'object') return { ...spec.default };
+                const low = toNumber(value.min, spec.default.min);
+                const high = toNumber(value.max, spec.default.max);
+                return { min: Math.min(low, high), max: Math.max(low, high) };
+            }
+            case 'vector2': {
+                if (!value || typeof value !== 'object') return { ...spec.default };
+                return { x: toNumber(value.x, spec.default.x), y: toNumber(value.y, spec.default.y) };
+            }
+            case 'textarea':
+                return typeof value === 'string' ? value : spec.default;
+            case 'input':
+                if (spec.inputType === 'number') return toNumber(value, spec.default);
+                return typeof value === 'string' ? value : spec.default;
+            default:
+                return toNumber(value, spec.default);
+        }
+    }
+
+    // Fire onRegenerate or onRender for changed params that have a schema entry
+    notifySchemaChange(names) {
+        const specs = names.map(name => this.schema[name]).filter(Boolean);
+        if (specs.length === 0) return;
+
+        if (specs.some(spec => spec.regenerate)) {
+            this.emit('onRegenerate', names);
+        } else {
+            this.emit('onRender', names);
+        }
+    }
+
+    addSlider(name, label, min, max, value, step = 1) {
+        if (!this.controlsPanel) return;
+
+        value = this.restoreParam(name, value, (raw) => {
+            const val = parseFloat(raw);
+            return Number.isFinite(val) ? Math.max(min, Math.min(max, val)) : undefined;
+        });
+
+        const group = this.getControlGroup(label || name);
+        const item = document.createElement('div');
+        item.className = 'control-item';
+
+        const labelEl = document.createElement('label');
+        labelEl.textContent = `${label || name}: ${value}`;
+        item.appendChild(labelEl);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = this.controlId(name);
+        labelEl.htmlFor = slider.id;
+        slider.min = min;
+        slider.max = max;
+        slider.value = value;
+        slider.step = step;
+        
+        slider.addEventListener('input', (e) => {
+            const val = parseFloat(e.target.value);
+            labelEl.textContent = `${label || name}: ${val.toFixed(2)}`;
+            this.commitParam(name, val);
+        });
+
+        item.appendChild(slider);
+        group.appendChild(item);
+
+        this.controls[name] = {
+            type: 'slider',
+            element: slider,
+            parse: (raw) => parseFloat(raw),
+            setValue: (val) => {
+                slider.value = val;
+                labelEl.textContent = `${label || name}: ${val.toFixed(2)}`;
+            }
+        };
+        this.params[name] = value;
+        return slider;
+    }
+
+    addToggle(name, label, value = false) {
+        if (!this.controlsPanel) return;
+
+        value = this.restoreParam(name, value, (raw) => raw === '1' || raw === 'true');
+
+        const group = this.getControlGroup(label || name);
+        const item = document.createElement('div');
+        item.className = 'control-item';
+
+        const labelEl = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = value;
+        
+        checkbox.addEventListener('change', (e) => {
+            this.commitParam(name, e.target.checked);
+        });
+
+        labelEl.appendChild(checkbox);
+        labelEl.appendChild(document.createTextNode(` ${label || name}`));
+        item.appendChild(labelEl);
+        group.appendChild(item);
+
+        this.controls[name] = {
+            type: 'toggle',
+            element: checkbox,
+            parse: (raw) => raw === '1' || raw === 'true',
+            setValue: (val) => {
+                checkbox.checked = val;
+            }
+        };
+        this.params[name] = value;
+        return checkbox;
+    }
+
+    addInput(name, label, value, type = 'text') {
+        if (!this.controlsPanel) return;
+
+        const parse = type === 'number' ? (raw) => parseFloat(raw) : (raw) => raw;
+        value = this.restoreParam(name, value, parse);
+
+        const group = this.getControlGroup(label || name);
+        const item = document.createElement('div');
+        item.className = 'control-item';
+
+        const labelEl = document.createElement('label');
+        labelEl.textContent = label || name;
+        item.appendChild(labelEl);
+
+        const input = document.createElement('input');
+        input.type = type;
+        input.id = this.controlId(name);
+        labelEl.htmlFor = input.id;
+        input.value = value;
+        
+        input.addEventListener('input', (e) => {
+            this.commitParam(name, parse(e.target.value));
+        });
+
+        item.appendChild(input);
+        group.appendChild(item);
+
+        this.controls[name] = {
+            type: 'input',
+            element: input,
+            parse,
+            setValue: (val) => {
+                input.value = val;
+            }
+        };
+        this.params[name] = value;
+        return input;
+    }
+
+    /**
+     * Dropdown for enum params. Options are plain values or { value, label }.
+     */
+    addSelect(name, label, options, value) {
+        if (!this.controlsPanel) return;
+
+        const choices = options.map(option => (
+            typeof option === 'object' ? option : { value: option, label: String(option) }
+        ));
+        const parse = (raw) => {
+            const choice = choices.find(c => String(c.value) === String(raw));
+            return choice ? choice.value : undefined;
+        };
+        value = this.restoreParam(name, value === undefined ? choices[0].value : value, parse);
+
+        const group = this.getControlGroup(label || name);
+        const item = document.createElement('div');
+        item.className = 'control-item';
+
+        const select = document.createElement('select');
+        select.id = this.controlId(name);
+        select.setAttribute('aria-label', label || name);
+        for (const choice of choices) {
+            const option = document.createElement('option');
+            option.value = choice.value;
+            option.textContent = choice.label;
+            select.appendChild(option);
+        }
+        select.value = value;
+
+        select.addEventListener('change', (e) => {
+            this.commitParam(name, parse(e.target.value));
+        });
+
+        item.appendChild(select);
+        group.appendChild(item);
+
+        this.controls[name] = {
+            type: 'select',
+            element: select,
+            parse,
+            setValue: (val) => {
+                select.value = val;
+            }
+        };
+        this.params[name] = value;
+        return select;
+    }
+
+    addColor(name, label, value = '#4a9eff') {
+        if (!this.controlsPanel) return;
+
+        const parse = (raw) => (/^#[0-9a-f]{6}$/i.test(raw) ? raw.toLowerCase() : undefined);
+        value = this.restoreParam(name, value, parse);
+
+        const group = this.getControlGroup(label || name);
+        const item = document.createElement('div');
+        item.className = 'control-item';
+
+        const labelEl = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.value = value;
+
+        input.addEventListener('input', (e) => {
+            this.commitParam(name, e.target.value);
+        });
+
+        labelEl.appendChild(input);
+        labelEl.appendChild(document.createTextNode(` ${label || name}`));
+        item.appendChild(labelEl);
+        group.appendChild(item);
+
+        this.controls[name] = {
+            type: 'color',
+            element: input,
+            parse,
+            setValue: (val) => {
+                input.value = val;
+            }
+        };
+        this.params[name] = value;
+        return input;
+    }
+
+    /**
+     * Dual-handle slider whose value is { min, max }
+     */
+    addRange(name, label, min, max, value, step = 1) {
+        if (!this.controlsPanel) return;
+
+        const clamp = (val) => Math.max(min, Math.min(max, val));
+        const parse = (raw) => {
+            const [low, high] = String(raw).split(',').map(parseFloat);
+            if (!Number.isFinite(low) || !Number.isFinite(high)) return undefined;
+            return { min: clamp(Math.min(low, high)), max: clamp(Math.max(low, high)) };
+        };
+        value = this.restoreParam(name, value, parse);
+
+        const group = this.getControlGroup(label || name);
+        const item = document.createElement('div');
+        item.className = 'control-item';
+
+        const labelEl = document.createElement('label');
+        const formatLabel = (val) => `${label || name}: ${val.min} – ${val.max}`;
+        labelEl.textContent = formatLabel(value);
+        item.appendChild(labelEl);
+
+        const pair = document.createElement('div');
+        pair.className = 'range-pair';
+        const track = document.createElement('div');
+        track.className = 'range-pair-track';
+        pair.appendChild(track);
+
+        const createHandle = (val) => {
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = min;
+            slider.max = max;
+            slider.step = step;
+            slider.value = val;
+            pair.appendChild(slider);
+            return slider;
+        };
+        const lowSlider = createHandle(value.min);
+        const highSlider = createHandle(value.max);
+        lowSlider.setAttribute('aria-label', `${label || name} minimum`);
+        highSlider.setAttribute('aria-label', `${label || name} maximum`);
+
+        const updateTrack = (val) => {
+            const span = max - min || 1;
+            track.style.left = `${((val.min - min) / span) * 100}%`;
+            track.style.right = `${100 - ((val.max - min) / span) * 100}%`;
+        };
+        updateTrack(value);
+
+        const handleInput = (e) => {
+            // Handles may not cross; the one being dragged stops at the other
+            let low = parseFloat(lowSlider.value);
+            let high = parseFloat(highSlider.value);
+            if (low > high) {
+                if (e.target === lowSlider) {
+                    low = high;
+                    lowSlider.value = low;
+                } else {
+                    high = low;
+                    highSlider.value = high;
+                }
+            }
+            const val = { min: low, max: high };
+            labelEl.textContent = formatLabel(val);
+            updateTrack(val);
+            this.commitParam(name, val);
+        };
+        lowSlider.addEventListener('input', handleInput);
+        highSlider.addEventListener('input', handleInput);
+
+        item.appendChild(pair);
+        group.appendChild(item);
+
+        this.controls[name] = {
+            type: 'range',
+            element: pair,
+            parse,
+            serialize: (val) => `${val.min},${val.max}`,
+            setValue: (val) => {
+                lowSlider.value = val.min;
+                highSlider.value = val.max;
+                labelEl.textContent = formatLabel(val);
+                updateTrack(val);
+            }
+        };
+        this.params[name] = value;
+        return pair;
+    }
+
+    /**
+     * Drag pad for a 2D vector param whose value is { x, y }
+     */
+    addVector2(name, label, min, max, value = { x: 0, y: 0 }, step = 0.01) {
+        if (!this.controlsPanel) return;
+
+        const snap = (val) => {
+            const clamped = Math.max(min, Math.min(max, val));
+            return parseFloat((Math.round((clamped - min) / step) * step + min).toFixed(6));
+        };
+        const parse = (raw) => {
+            const [x, y] = String(raw).split(',').map(parseFloat);
+            if (!Number.isFinite(x) || !Number.isFinite(y)) return undefined;
+            return { x: snap(x), y: snap(y) };
+        };
+        value = this.restoreParam(name, value, parse);
+
+        const group = this.getControlGroup(label || name);
+        const item = document.createElement('div');
+        item.className = 'control-item';
+
+        const labelEl = document.createElement('label');
+        const formatLabel = (val) => `${label || name}: (${val.x}, ${val.y})`;
+        labelEl.textContent = formatLabel(value);
+        item.appendChild(labelEl);
+
+        const pad = document.createElement('div');
+        pad.className = 'vector-pad';
+        // Focusable so arrow keys can move the handle
+        pad.tabIndex = 0;
+        pad.setAttribute('role', 'group');
+        const handle = document.createElement('div');
+        handle.className = 'vector-pad-handle';
+        pad.appendChild(handle);
+
+        const placeHandle = (val) => {
+            const span = max - min || 1;
+            handle.style.left = `${((val.x - min) / span) * 100}%`;
+            handle.style.top = `${((val.y - min) / span) * 100}%`;
+            pad.setAttribute('aria-label', `${formatLabel(val)}. Arrow keys adjust, Shift for larger steps`);
+        };
+        placeHandle(value);
+
+        const update = (val) => {
+            labelEl.textContent = formatLabel(val);
+            placeHandle(val);
+            this.commitParam(name, val);
+        };
+        const updateFromPointer = (e) => {
+            const rect = pad.getBoundingClientRect();
+            if (rect.width === 0 || rect.height === 0) return;
+            update({
+                x: snap(min + ((e.clientX - rect.left) / rect.width) * (max - min)),
+                y: snap(min + ((e.clientY - rect.top) / rect.height) * (max - min))
+            });
+        };
+
+        const keyDeltas = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        pad.addEventListener('keydown', (e) => {
+            const delta = keyDeltas[e.key];
+            if (!delta) return;
+            // Keep arrow keys from also scrolling or triggering shortcuts
+            e.preventDefault();
+            e.stopPropagation();
+            const amount = step * (e.shiftKey ? 10 : 1);
+            const current = this.params[name];
+            update({ x: snap(current.x + delta[0] * amount), y: snap(current.y + delta[1] * amount) });
+        });
+
+        let dragging = false;
+        pad.addEventListener('pointerdown', (e) => {
+            dragging = true;
+            if (pad.setPointerCapture) {
+                pad.setPointerCapture(e.pointerId);
+            }
+            updateFromPointer(e);
+        });
+        pad.addEventListener('pointermove', (e) => {
+            if (dragging) {
+                updateFromPointer(e);
+            }
+        });
+        pad.addEventListener('pointerup', () => {
+            dragging = false;
+        });
+
+        item.appendChild(pad);
+        group.appendChild(item);
+
+        this.controls[name] = {
+            type: 'vector2',
+            element: pad,
+            parse,
+            serialize: (val) => `${val.x},${val.y}`,
+            setValue: (val) => {
+                labelEl.textContent = formatLabel(val);
+                placeHandle(val);
+            }
+        };
+        this.params[name] = value;
+        return pad;
+    }
+
+    addTextArea(name, label, value = '', rows = 4) {
+        if (!this.controlsPanel) return;
+
+        value = this.restoreParam(name, value, (raw) => raw);
+
+        const group = this.getControlGroup(label || name);
+        const item = document.createElement('div');
+        item.className = 'control-item';
+
+        const textarea = document.createElement('textarea');
+        textarea.id = this.controlId(name);
+        textarea.setAttribute('aria-label', label || name);
+        textarea.rows = rows;
+        textarea.value = value;
+
+        textarea.addEventListener('input', (e) => {
+            this.commitParam(name, e.target.value);
+        });
+
+        item.appendChild(textarea);
+        group.appendChild(item);
+
+        this.controls[name] = {
+            type: 'textarea',
+            element: textarea,
+            parse: (raw) => raw,
+            setValue: (val) => {
+                textarea.value = val;
+            }
+        };
+        this.params[name] = value;
+        return textarea;
+    }
+
+    /**
+     * Action button. It holds no param value; clicks call onClick and fire onAction.
+     */
+    addButton(name, label, onClick) {
+        if (!this.controlsPanel) return;
+
+        const group = this.getControlGroup(label || name);
+        const buttons = document.createElement('div');
+        buttons.className = 'control-buttons';
+
+        const button = document.createElement('button');
+        button.textContent = label || name;
+        button.addEventListener('click', () => {
+            if (onClick) {
+                onClick();
+            }
+            this.emit('onAction', name);
+        });
+
+        buttons.appendChild(button);
+        group.appendChild(buttons);
+        return button;
+    }
+
+    /**
+     * Set a registered param from code, keeping its control and the URL in sync.
+     * Pass notify = false to update the displayed value without any callbacks,
+     * e.g. when a demo changes a param itself.
+     */
+    setParam(name, value, notify = true) {
+        value = this.validateParam(name, value);
+        const control = this.controls[name];
+        if (control) {
+            control.setValue(value);
+        }
+        if (notify) {
+            this.commitParam(name, value);
+        } else {
+            this.params[name] = value;
+            this.updateHash();
+        }
+    }
+
+    // Single path for param changes made through a control or setParam
+    commitParam(name, value) {
+        value = this.validateParam(name, value);
+        const before = this.params[name];
+        this.params[name] = value;
+        if (!sameValue(before, value)) {
+            this.recordHistory({ params: { [name]: before } }, { params: { [name]: value } });
+        }
+        this.updateHash();
+        this.emit('onParamChange', name, value);
+        this.notifySchemaChange([name]);
+    }
+
+    // Returns the value encoded in the URL hash for a param, or the default
+    restoreParam(name, value, parse) {
+        const params = this.options.params;
+        if (params && name in params) return this.validateParam(name, params[name]);
+        if (!(name in this.hashState)) return value;
+        const restored = parse(this.hashState[name]);
+        if (restored === undefined || Number.isNaN(restored)) return value;
+        return this.validateParam(name, restored);
+    }
+
+    /**
+     * The part of the URL hash holding seed and params, or null when the hash
+     * belongs to another route. With options.hashRoute ('/boids') the state
+     * follows the route, as in #/boids?seed=42&numBoids=120.
+     */
+    readHashQuery() {
+        const hash = window.location.hash.slice(1);
+        const route = this.options.hashRoute;
+        if (!route) return hash;
+        if (hash !== route && !hash.startsWith(`${route}?`)) return null;
+        return hash.slice(route.length + 1);
+    }
+
+    readHash() {
+        const state = {};
+        if (!this.options.syncUrl) return state;
+
+        const query = this.readHashQuery();
+        if (!query) return state;
+        const search = new URLSearchParams(query);
+        for (const [key, value] of search) {
+            state[key] = value;
+        }
+        return state;
+    }
+
+    updateHash() {
+        if (!this.options.syncUrl) return;
+
+        const search = new URLSearchParams();
+        search.set('seed', this.seed);
+        for (const name of Object.keys(this.params)) {
+            search.set(name, this.serializeParam(name));
+        }
+        const route = this.options.hashRoute;
+        history.replaceState(null, '', route ? `#${route}?${search}` : `#${search}`);
+    }
+
+    // Apply a hash edited by hand (or a pasted link) without reloading the page
+    applyHash() {
+        // Navigating away to another route is the router's business
+        if (this.readHashQuery() === null) return;
+        this.hashState = this.readHash();
+        const params = {};
+        for (const [name, raw] of Object.entries(this.hashState)) {
+            const control = this.controls[name];
+            if (!control) continue;
+            const value = control.parse(raw);
+            if (value === undefined || Number.isNaN(value)) continue;
+            params[name] = value;
+        }
+        const hashSeed = parseInt(this.hashState.seed);
+        this.applyState({
+            seed: Number.isFinite(hashSeed) ? hashSeed : undefined,
+            params
+        });
+    }
+
+    // Base name for downloads: options.name, or the page's file name
+    getName() {
+        if (this.options.name) return this.options.name;
+        return (window.location.pathname.split('/').pop() || 'demo').replace(/\.html$/, '');
+    }
+
+    getState() {
+        return {
+            seed: this.seed,
+            params: { ...this.params }
+        };
+    }
+
+    /**
+     * Restore a { seed?, params } snapshot. Controls are updated first so demos
+     * see the complete state when the change callbacks fire.
+     */
+    applyState(state) {
+        const before = { params: {} };
+        const after = { params: {} };
+        const changed = [];
+        for (let [name, value] of Object.entries(state.params || {})) {
+            // Only params the demo has, so outside state (hash, attributes) can't add keys
+            if (!(name in this.schema) && !(name in this.params)) continue;
+            value = this.validateParam(name, value);
+            if (sameValue(this.params[name], value)) continue;
+            const control = this.controls[name];
+            if (control) {
+                control.setValue(value);
+            }
+            before.params[name] = this.params[name];
+            after.params[name] = value;
+            this.params[name] = value;
+            changed.push(name);
+        }
+        const seedChanged = state.seed !== undefined && state.seed !== this.seed;
+        if (seedChanged) {
+            before.seed = this.seed;
+            after.seed = state.seed;
+        }
+        if (changed.length === 0 && !seedChanged) return;
+
+        // Recorded as one entry so a preset or hash load undoes in one step
+        this.recordHistory(before, after, false);
+        this.suppressHistory++;
+        try {
+            this.updateHash();
+            for (const name of changed) {
+                this.emit('onParamChange', name, this.params[name]);
             }
+            this.notifySchemaChange(changed);
+            if (seedChanged) {
+                this.setSeed(state.seed);
+            }
+        } finally {
+            this.suppressHistory--;
+        }
+    }
 
-            if (this.options.showReset) {
-                const resetBtn = document.createElement('button');
-                resetBtn.textContent = 'Reset';
-                resetBtn.addEventListener('click', () => this.reset());
-                buttons.appendChild(resetBtn);
+    /**
+     * Push a { seed?, params } before/after pair onto the undo stack. Repeated
+     * changes to the same control in quick succession (a slider drag, typing a
+     * seed) are merged into a single entry.
+     */
+    recordHistory(before, after, coalesce = true) {
+        if (this.suppressHistory > 0) return;
+
+        const key = Object.keys(after.params).join(',') + ('seed' in after ? '|seed' : '');
+        const now = this.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (coalesce && last && last.key === key && now - last.time < 1000) {
+            last.after = after;
+            last.time = now;
+        } else {
+            this.undoStack.push({ key, before, after, time: coalesce ? now : -Infinity });
+            if (this.undoStack.length > this.historyLimit) {
+                this.undoStack.shift();
             }
+        }
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
 
-            buttonGroup.appendChild(buttons);
-            controlsPanel.appendChild(buttonGroup);
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return;
+        this.redoStack.push(entry);
+        this.replayHistory(entry.before);
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return;
+        this.undoStack.push(entry);
+        this.replayHistory(entry.after);
+    }
+
+    replayHistory(state) {
+        // Never merge a new change into an entry that was undone or redone
+        for (const entry of this.undoStack) {
+            entry.time = -Infinity;
         }
+        this.suppressHistory++;
+        try {
+            this.applyState(state);
+        } finally {
+            this.suppressHistory--;
+        }
+        this.updateHistoryButtons();
+    }
 
-        // Store controls panel reference
-        this.controlsPanel = controlsPanel;
-        
-        // Add Show Code button
-        if (this.options.showCode !== false) {
-            const codeGroup = this.createControlGroup('Code');
-            const codeButton = document.createElement('button');
-            codeButton.textContent = 'Show Code';
-            codeButton.className = 'control-buttons';
-            codeButton.style.width = '100%';
-            codeButton.addEventListener('click', () => {
-                if (this.codeContainer && this.codeContainer.style.display !== 'none') {
-                    this.hideCodeView();
-                } else {
-                    if (this.callbacks.onShowCode) {
-                        this.callbacks.onShowCode();
-                    }
+    updateHistoryButtons() {
+        if (this.undoButton) {
+            this.undoButton.disabled = this.undoStack.length === 0;
+        }
+        if (this.redoButton) {
+            this.redoButton.disabled = this.redoStack.length === 0;
+        }
+    }
+
+    handleHistoryKey(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        // Leave native undo alone while typing in a text field
+        const target = e.target;
+        if (target && (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && target.type !== 'range' && target.type !== 'checkbox'))) {
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    registerDefaultShortcuts() {
+        this.addShortcut(' ', 'Pause / resume', () => this.togglePause());
+        this.addShortcut(['ArrowRight', 's'], 'Step', () => this.step());
+        this.addShortcut(['+', '='], 'Double speed', () => this.setSpeed(this.getSpeed() * 2));
+        this.addShortcut(['-', '_'], 'Halve speed', () => this.setSpeed(this.getSpeed() / 2));
+        this.addShortcut('r', 'Reset', () => this.reset());
+        this.addShortcut('n', 'New random seed', () => this.setSeed(Math.floor(Math.random() * 1000000)));
+        this.addShortcut('c', 'Show / hide code', () => this.toggleCodeView());
+        this.addShortcut('p', 'Show / hide performance overlay', () => this.togglePerfHud());
+        this.addShortcut('i', 'Toggle the inspector', () => this.toggleInspector());
+        this.addShortcut('d', 'Describe the current state', () => this.announceState());
+        if (this.options.tour) {
+            this.addShortcut('t', 'Start / end the guided tour', () => this.toggleTour());
+        }
+        this.addShortcut('?', 'Show / hide this help', () => this.toggleShortcutHelp());
+    }
+
+    /**
+     * Bind one or more keys (KeyboardEvent.key values; letters are matched
+     * case-insensitively) to a handler. Later bindings for the same key win,
+     * so demos can override the defaults.
+     */
+    addShortcut(keys, description, handler) {
+        keys = (Array.isArray(keys) ? keys : [keys]).map(key => key.length === 1 ? key.toLowerCase() : key);
+        this.shortcuts = this.shortcuts.filter(shortcut => {
+            shortcut.keys = shortcut.keys.filter(key => !keys.includes(key));
+            return shortcut.keys.length > 0;
+        });
+        this.shortcuts.push({ keys, description, handler });
+        if (this.shortcutHelp) {
+            this.renderShortcutHelp();
+        }
+    }
+
+    handleShortcutKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+
+        // Typing in a field must never trigger shortcuts
+        const target = e.target;
+        if (target && (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable ||
+            (target.tagName === 'INPUT' && target.type !== 'range' && target.type !== 'checkbox'))) {
+            return;
+        }
+        // Arrow keys adjust a focused slider
+        if (target && target.type === 'range' && e.key.startsWith('Arrow')) {
+            return;
+        }
+        // Space already activates a focused button or checkbox
+        if (e.key === ' ' && target && (target.tagName === 'BUTTON' || target.tagName === 'INPUT')) {
+            return;
+        }
+
+        if (e.key === 'Escape' && this.shortcutHelp && this.shortcutHelp.style.display !== 'none') {
+            this.toggleShortcutHelp();
+            return;
+        }
+
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        const shortcut = this.shortcuts.find(s => s.keys.includes(key));
+        if (shortcut) {
+            e.preventDefault();
+            shortcut.handler(e);
+        }
+    }
+
+    /**
+     * Where full-page overlays go: the document body, or the shadow root when
+     * the framework lives inside a custom element so its styles still apply
+     */
+    getOverlayRoot() {
+        const root = this.container.getRootNode();
+        return root === document ? document.body : root;
+    }
+
+    toggleShortcutHelp() {
+        if (!this.shortcutHelp) {
+            const overlay = document.createElement('div');
+            overlay.className = 'shortcut-help';
+            overlay.style.display = 'none';
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) {
+                    this.toggleShortcutHelp();
                 }
             });
-            codeGroup.appendChild(codeButton);
-            controlsPanel.appendChild(codeGroup);
-            this.codeButton = codeButton;
+            this.getOverlayRoot().appendChild(overlay);
+            this.shortcutHelp = overlay;
+            this.renderShortcutHelp();
         }
+        const visible = this.shortcutHelp.style.display !== 'none';
+        this.shortcutHelp.style.display = visible ? 'none' : 'flex';
     }
 
-    createControlGroup(title) {
-        const group = document.createElement('div');
-        group.className = 'control-group';
-        
-        const titleEl = document.createElement('h3');
-        titleEl.textContent = title;
-        group.appendChild(titleEl);
+    renderShortcutHelp() {
+        const panel = document.createElement('div');
+        panel.className = 'shortcut-help-panel';
 
-        return group;
+        const title = document.createElement('h3');
+        title.textContent = 'Keyboard Shortcuts';
+        panel.appendChild(title);
+
+        const names = { ' ': 'Space', ArrowRight: '→', ArrowLeft: '←', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc' };
+        const list = document.createElement('dl');
+        for (const shortcut of this.shortcuts) {
+            const keys = document.createElement('dt');
+            for (const key of shortcut.keys) {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = names[key] || key.toUpperCase();
+                keys.appendChild(kbd);
+            }
+            const description = document.createElement('dd');
+            description.textContent = shortcut.description;
+            list.appendChild(keys);
+            list.appendChild(description);
+        }
+        panel.appendChild(list);
+
+        const hint = document.createElement('p');
+        hint.textContent = 'Press ? or Esc to close. Shortcuts are ignored while typing in a field.';
+        panel.appendChild(hint);
+
+        this.shortcutHelp.innerHTML = '';
+        this.shortcutHelp.appendChild(panel);
     }
 
-    addSlider(name, label, min, max, value, step = 1) {
-        if (!this.controlsPanel) return;
+    /**
+     * Opt a demo into the timeline scrubber. The demo implements
+     * serializeState() and restoreState(state), calls recordFrame() after each
+     * simulation step and resetTimeline() after regenerating.
+     * Options: interval (snapshot every N frames), limit (max snapshots kept).
+     */
+    enableTimeline(demo, options = {}) {
+        this.timelineDemo = demo;
+        this.snapshotInterval = options.interval || 1;
+        this.timelineLimit = options.limit || 500;
+        this.timeline = [];
+        this.timelineIndex = -1;
+        this.frame = 0;
+
+        if (this.controlsPanel && this.options.showTimeline !== false) {
+            this.createTimelineControls();
+        }
+    }
 
-        const group = this.createControlGroup(label || name);
+    createTimelineControls() {
+        const timelineGroup = this.createControlGroup('Timeline');
         const item = document.createElement('div');
         item.className = 'control-item';
 
-        const labelEl = document.createElement('label');
-        labelEl.textContent = `${label || name}: ${value}`;
-        item.appendChild(labelEl);
+        const label = document.createElement('label');
+        item.appendChild(label);
 
         const slider = document.createElement('input');
         slider.type = 'range';
-        slider.min = min;
-        slider.max = max;
-        slider.value = value;
-        slider.step = step;
-        
-        slider.addEventListener('input', (e) => {
-            const val = parseFloat(e.target.value);
-            this.params[name] = val;
-            labelEl.textContent = `${label || name}: ${val.toFixed(2)}`;
-            if (this.callbacks.onParamChange) {
-                this.callbacks.onParamChange(name, val);
-            }
-        });
-
+        slider.min = 0;
+        slider.step = 1;
+        this.linkLabel(label, slider, 'timeline');
+        slider.addEventListener('input', (e) => this.seekTimeline(parseInt(e.target.value)));
         item.appendChild(slider);
-        group.appendChild(item);
-        this.controlsPanel.appendChild(group);
 
-        this.params[name] = value;
-        return slider;
-    }
+        const buttons = document.createElement('div');
+        buttons.className = 'control-buttons';
+        buttons.style.marginTop = '0.5rem';
+        for (const [text, title, handler] of [
+            ['◀', 'Previous snapshot', () => this.seekTimeline(this.timelineIndex - 1)],
+            ['▶', 'Next snapshot', () => this.seekTimeline(this.timelineIndex + 1)],
+            ['Latest', 'Jump to the most recent snapshot', () => this.seekTimeline(this.timeline.length - 1)]
+        ]) {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener('click', handler);
+            buttons.appendChild(button);
+        }
+        item.appendChild(buttons);
+        timelineGroup.appendChild(item);
 
-    addToggle(name, label, value = false) {
-        if (!this.controlsPanel) return;
+        if (this.simulationGroup) {
+            this.simulationGroup.after(timelineGroup);
+        } else {
+            this.controlsPanel.appendChild(timelineGroup);
+        }
+        this.timelineSlider = slider;
+        this.timelineLabel = label;
+        this.updateTimelineControls();
+    }
 
-        const group = this.createControlGroup(label || name);
-        const item = document.createElement('div');
-        item.className = 'control-item';
+    updateTimelineControls() {
+        if (!this.timelineSlider) return;
 
-        const labelEl = document.createElement('label');
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.checked = value;
-        
-        checkbox.addEventListener('change', (e) => {
-            this.params[name] = e.target.checked;
-            if (this.callbacks.onParamChange) {
-                this.callbacks.onParamChange(name, e.target.checked);
-            }
-        });
+        const max = Math.max(0, this.timeline.length - 1);
+        this.timelineSlider.max = max;
+        this.timelineSlider.value = Math.max(0, this.timelineIndex);
+        const rewound = this.timelineIndex < max ? ` (rewound, ${max - this.timelineIndex} ahead)` : '';
+        this.timelineLabel.textContent = `Frame ${this.frame}${rewound}`;
+    }
 
-        labelEl.appendChild(checkbox);
-        labelEl.appendChild(document.createTextNode(` ${label || name}`));
-        item.appendChild(labelEl);
-        group.appendChild(item);
-        this.controlsPanel.appendChild(group);
+    // Drop all snapshots and record the demo's current state as frame 0
+    resetTimeline() {
+        if (!this.timelineDemo) return;
 
-        this.params[name] = value;
-        return checkbox;
+        this.timeline = [];
+        this.frame = 0;
+        this.timeline.push({ frame: 0, state: this.timelineDemo.serializeState() });
+        this.timelineIndex = 0;
+        this.updateTimelineControls();
     }
 
-    addInput(name, label, value, type = 'text') {
-        if (!this.controlsPanel) return;
+    /**
+     * Called by the demo after it advances one step. Stepping while rewound
+     * branches: snapshots after the current one are discarded.
+     */
+    recordFrame() {
+        if (!this.timelineDemo) return;
 
-        const group = this.createControlGroup(label || name);
-        const item = document.createElement('div');
-        item.className = 'control-item';
+        if (this.timelineIndex < this.timeline.length - 1) {
+            this.timeline.length = this.timelineIndex + 1;
+        }
+        this.frame++;
+        if (this.frame % this.snapshotInterval === 0) {
+            this.timeline.push({ frame: this.frame, state: this.timelineDemo.serializeState() });
+            if (this.timeline.length > this.timelineLimit) {
+                this.timeline.shift();
+            }
+        }
+        this.timelineIndex = this.timeline.length - 1;
+        this.updateTimelineControls();
+    }
 
-        const labelEl = document.createElement('label');
-        labelEl.textContent = label || name;
-        item.appendChild(labelEl);
+    // Restore a snapshot; pauses so the animation doesn't immediately branch
+    seekTimeline(index) {
+        if (!this.timelineDemo || this.timeline.length === 0) return;
 
-        const input = document.createElement('input');
-        input.type = type;
-        input.value = value;
-        
-        input.addEventListener('input', (e) => {
-            this.params[name] = e.target.value;
-            if (this.callbacks.onParamChange) {
-                this.callbacks.onParamChange(name, e.target.value);
-            }
-        });
+        index = Math.max(0, Math.min(this.timeline.length - 1, index));
+        if (!this.isPaused) {
+            this.togglePause();
+        }
 
-        item.appendChild(input);
-        group.appendChild(item);
-        this.controlsPanel.appendChild(group);
+        const snapshot = this.timeline[index];
+        this.timelineDemo.restoreState(snapshot.state);
+        this.timelineIndex = index;
+        this.frame = snapshot.frame;
+        if (this.timelineDemo.render) {
+            this.timelineDemo.render();
+        }
+        this.updateTimelineControls();
+    }
 
-        this.params[name] = value;
-        return input;
+    copyText(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text);
+        }
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        document.body.appendChild(textarea);
+        textarea.select();
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (error) {
+            // Unsupported here; reported as a refused copy below
+        }
+        textarea.remove();
+        return copied ? Promise.resolve() : Promise.reject(new Error('Copy command was refused'));
     }
 
     setSeed(seed) {
+        if (seed !== this.seed) {
+            this.recordHistory({ seed: this.seed, params: {} }, { seed, params: {} });
+        }
         this.seed = seed;
         if (this.seedInput) {
             this.seedInput.value = seed;
         }
-        if (this.callbacks.onSeedChange) {
-            this.callbacks.onSeedChange(seed);
-        }
+        this.updateHash();
+        this.emit('onSeedChange', seed);
     }
 
     togglePause() {
@@ -267,16 +2290,13 @@ export class DemoFramework {
         if (this.pauseButton) {
             this.pauseButton.textContent = this.isPaused ? 'Resume' : 'Pause';
             this.pauseButton.classList.toggle('active', this.isPaused);
+            this.pauseButton.setAttribute('aria-pressed', String(this.isPaused));
         }
-        if (this.callbacks.onPause) {
-            this.callbacks.onPause(this.isPaused);
-        }
+        this.emit('onPause', this.isPaused);
     }
 
     step() {
-        if (this.callbacks.onStep) {
-            this.callbacks.onStep();
-        }
+        this.emit('onStep');
     }
 
     reset() {
@@ -284,14 +2304,133 @@ export class DemoFramework {
         if (this.pauseButton) {
             this.pauseButton.textContent = 'Pause';
             this.pauseButton.classList.remove('active');
+            this.pauseButton.setAttribute('aria-pressed', 'false');
         }
-        if (this.callbacks.onReset) {
-            this.callbacks.onReset();
-        }
+        this.emit('onReset');
     }
 
+    /**
+     * Subscribe to a framework event. Any number of listeners can share an
+     * event; they run in subscription order. Returns an unsubscribe function.
+     *
+     * Events: onParamChange, onRegenerate, onRender, onSeedChange, onPause,
+     * onStep, onReset, onAction, onShowCode, onSpeedChange, onResize, onDestroy,
+     * onFinish, onPaletteChange, onTourStep, onTourEnd, and the lifecycle events beforeUpdate, afterUpdate, beforeRender and
+     * afterRender fired around an attached demo's update() and render().
+     */
     on(event, callback) {
-        this.callbacks[event] = callback;
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+        return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+        const listeners = this.listeners[event];
+        if (!listeners) return;
+        const index = listeners.indexOf(callback);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    once(event, callback) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            callback(...args);
+        };
+        return this.on(event, wrapper);
+    }
+
+    emit(event, ...args) {
+        const listeners = this.listeners[event];
+        if (!listeners) return;
+        // Copy so listeners can unsubscribe (or once() fire) mid-dispatch
+        for (const callback of [...listeners]) {
+            callback(...args);
+        }
+    }
+
+    /**
+     * Register the demo driving this framework so before/afterUpdate and
+     * before/afterRender fire around its methods. Pass `methods` when a demo
+     * advances its simulation under another name, e.g. { update: 'collapseStep' }.
+     */
+    attach(demo, methods = {}) {
+        this.demo = demo;
+        const wrap = (name, before, after) => {
+            const original = demo[name];
+            if (typeof original !== 'function') return;
+            demo[name] = (...args) => {
+                this.emit(before, demo);
+                const result = original.apply(demo, args);
+                this.emit(after, demo);
+                return result;
+            };
+        };
+        wrap(methods.update || 'update', 'beforeUpdate', 'afterUpdate');
+        wrap(methods.render || 'render', 'beforeRender', 'afterRender');
+
+        if (this.inspectButton && Inspector.supports(demo)) {
+            this.inspectButton.style.display = '';
+        }
+        if (this.description) {
+            // "WaveFunctionCollapse" -> "Wave Function Collapse"
+            const name = demo.constructor.name.replace(/([a-z])([A-Z0-9])/g, '$1 $2');
+            this.canvas.setAttribute('aria-label', this.options.label || `${name} visualization`);
+            this.announceState('', false);
+        }
+    }
+
+    /**
+     * Tear down: fires onDestroy, stops every scheduled loop, detaches window
+     * and document listeners and removes the canvas and controls.
+     */
+    destroy() {
+        if (this.destroyed) return;
+        // Ended first so onTourEnd still reaches its listeners
+        this.stopTour();
+        this.emit('onDestroy');
+        this.destroyed = true;
+
+        this.scheduler.clear(this);
+        this.animationLoop = null;
+        if (this.perfMonitor) {
+            this.perfMonitor.destroy();
+        }
+        if (this.sweep) {
+            this.sweep.close();
+        }
+        if (this.recorder) {
+            this.recorder.stop();
+        }
+        if (this.messageBridge) {
+            this.messageBridge.stop();
+        }
+        if (this.inspector) {
+            this.inspector.destroy();
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.removeEventListener('change', this.handlePixelRatioChange);
+        }
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('hashchange', this.handleHashChange);
+            window.removeEventListener('palettechange', this.handlePaletteChange);
+        }
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('keydown', this.handleKeyDown);
+        }
+        this.cancelFrame(this.announceFrame);
+        for (const element of [this.canvas, this.controlsPanel, this.codeContainer, this.shortcutHelp, this.description, this.liveRegion]) {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        }
+        this.listeners = {};
     }
     
     showCodeView(code) {
@@ -398,6 +2537,14 @@ export class DemoFramework {
         }
     }
     
+    toggleCodeView() {
+        if (this.codeContainer && this.codeContainer.style.display !== 'none') {
+            this.hideCodeView();
+        } else {
+            this.emit('onShowCode');
+        }
+    }
+
     hideCodeView() {
         if (this.codeContainer) {
             this.codeContainer.style.display = 'none';
@@ -408,23 +2555,185 @@ export class DemoFramework {
         }
     }
 
+    /**
+     * Run a loop on the shared scheduler (see Scheduler.js for the loop
+     * fields). Returns a function that stops it.
+     *
+     *   this.framework.addLoop({
+     *       step: 1 / 60,
+     *       update: (dt) => this.update(dt),
+     *       render: () => this.render()
+     *   });
+     */
+    addLoop(loop) {
+        return this.scheduler.add(loop, this);
+    }
+
+    // Single-callback loop kept for simple demos: updateFn(dt) runs every unpaused frame
     startAnimation(updateFn) {
-        const animate = () => {
-            if (!this.isPaused) {
-                updateFn();
-            }
-            this.animationId = requestAnimationFrame(animate);
-        };
-        animate();
+        this.stopAnimation();
+        this.animationLoop = this.addLoop({ update: updateFn });
     }
 
     stopAnimation() {
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
+        if (this.animationLoop) {
+            this.animationLoop();
+            this.animationLoop = null;
+        }
+    }
+
+    getSpeed() {
+        return this.scheduler.speed;
+    }
+
+    /**
+     * Toggle the performance HUD (FPS, update/render ms, frame-time graph and
+     * the attached demo's getMetrics() counters). The monitor only samples
+     * while the HUD is open.
+     */
+    togglePerfHud() {
+        if (!this.perfMonitor) {
+            this.perfMonitor = new PerfMonitor(this);
+        }
+        if (this.perfMonitor.isVisible()) {
+            this.perfMonitor.hide();
+        } else {
+            this.perfMonitor.show();
+        }
+        if (this.perfButton) {
+            this.perfButton.textContent = this.perfMonitor.isVisible() ? 'Hide Performance' : 'Show Performance';
+        }
+    }
+
+    /**
+     * Hover tooltips (and click-to-pin probes) from the demo's inspectAt();
+     * does nothing for demos that don't implement it
+     */
+    toggleInspector() {
+        if (!Inspector.supports(this.demo)) return;
+        if (!this.inspector) {
+            this.inspector = new Inspector(this);
+        }
+        if (this.inspector.enabled) {
+            this.inspector.disable();
+        } else {
+            this.inspector.enable();
+        }
+        if (this.inspectButton) {
+            this.inspectButton.textContent = this.inspector.enabled ? 'Stop Inspecting' : 'Inspect';
+            this.inspectButton.classList.toggle('active', this.inspector.enabled);
+        }
+    }
+
+    /**
+     * Walk through a tour script (see Tour.js), replacing any tour in progress
+     */
+    startTour(script) {
+        this.stopTour();
+        this.tour = new Tour(this, script);
+        this.once('onTourEnd', () => {
+            this.tour = null;
+            if (this.tourButton) {
+                this.tourButton.textContent = 'Start Tour';
+                this.tourButton.classList.remove('active');
+            }
+        });
+        if (this.tourButton) {
+            this.tourButton.textContent = 'End Tour';
+            this.tourButton.classList.add('active');
+        }
+        return this.tour.start();
+    }
+
+    stopTour() {
+        if (this.tour) {
+            this.tour.stop();
         }
     }
 
+    /**
+     * Fetch a tour script (options.tour by default) and start it
+     */
+    async loadTour(url = this.options.tour) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load tour ${url} (${response.status})`);
+        }
+        return this.startTour(await response.json());
+    }
+
+    toggleTour() {
+        if (this.tour) {
+            this.stopTour();
+            return;
+        }
+        this.loadTour().catch((error) => {
+            console.error('Error starting tour:', error);
+            this.announce(`Tour unavailable: ${error.message}`);
+        });
+    }
+
+    /**
+     * Global simulation speed multiplier, clamped to 0.1×–10×
+     */
+    setSpeed(speed) {
+        speed = this.scheduler.setSpeed(speed);
+        if (this.speedControl) {
+            this.speedControl.setValue(speed);
+        }
+        this.emit('onSpeedChange', speed);
+    }
+
+    // Slider over log10(speed) so 1× sits in the middle of 0.1×–10×
+    createSpeedControl() {
+        const item = document.createElement('div');
+        item.className = 'control-item';
+
+        const labelEl = document.createElement('label');
+        item.appendChild(labelEl);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = `${this.idPrefix}-speed`;
+        labelEl.htmlFor = slider.id;
+        slider.min = Math.log10(MIN_SPEED);
+        slider.max = Math.log10(MAX_SPEED);
+        slider.step = 0.01;
+        slider.addEventListener('input', (e) => {
+            this.setSpeed(Math.round(Math.pow(10, parseFloat(e.target.value)) * 10) / 10);
+        });
+        labelEl.addEventListener('dblclick', () => this.setSpeed(1));
+        labelEl.title = 'Double-click to reset to 1×';
+        item.appendChild(slider);
+
+        this.speedControl = {
+            element: slider,
+            setValue: (speed) => {
+                slider.value = Math.log10(speed);
+                // The slider's own value is a logarithm; read out the speed instead
+                slider.setAttribute('aria-valuetext', `${speed.toFixed(1)}×`);
+                labelEl.textContent = `Simulation Speed: ${speed.toFixed(1)}×`;
+            }
+        };
+        this.speedControl.setValue(this.getSpeed());
+        return item;
+    }
+
+    // Demos schedule frames and read the clock through these so a
+    // HeadlessFramework can drive them deterministically
+    requestFrame(callback) {
+        if (this.destroyed) return null;
+        return requestAnimationFrame(callback);
+    }
+
+    cancelFrame(id) {
+        cancelAnimationFrame(id);
+    }
+
+    now() {
+        return performance.now();
+    }
+
     getContext() {
         return this.ctx;
     }
@@ -442,7 +2751,7 @@ export class DemoFramework {
     }
 
     clear() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.width, this.height);
     }
 }
 
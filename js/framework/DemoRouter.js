@@ -0,0 +1,208 @@
+import { DemoFramework } from './DemoFramework.js';
+import { DEMOS, getDemo, siteUrl, pageTitle, loadDemo } from './registry.js';
+import { renderDemoHeader } from './pages.js';
+
+/**
+ * Client-side router for the single-page demo shell (demos/demo.html).
+ *
+ * The hash names the demo and carries its state: #/noise-fields?seed=42&octaves=6.
+ * The shell is rendered once; each route change destroys the previous
+ * framework (its loops, listeners and overlays), lazily imports the next demo
+ * from the registry and mounts it in the same containers. Links between demos
+ * are plain hash links, so back and forward move between them, while param
+ * and seed changes replace the current history entry as on the static pages.
+ *
+ *   new DemoRouter({ nav: document.getElementById('demo-nav') }).start();
+ */
+export class DemoRouter {
+    constructor(options = {}) {
+        this.options = {
+            visualization: 'visualization',
+            controls: 'controls-container',
+            header: document.querySelector('.demo-header'),
+            info: null,
+            nav: null,
+            ...options
+        };
+        this.current = null;
+        this.framework = null;
+        this.demo = null;
+        // Bumped on every route change so a slow import can't mount a stale demo
+        this.generation = 0;
+
+        this.handleHashChange = () => this.route();
+    }
+
+    start() {
+        // demos/demo.html?demo=<id> (the pre-router form) becomes #/<id>
+        const legacy = new URLSearchParams(window.location.search).get('demo');
+        if (!this.parseHash() && legacy) {
+            history.replaceState(null, '', `${window.location.pathname}#/${legacy}`);
+        }
+        if (this.options.nav) {
+            this.renderNav(this.options.nav);
+        }
+        window.addEventListener('hashchange', this.handleHashChange);
+        return this.route();
+    }
+
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+        this.unmount();
+    }
+
+    /**
+     * Demo id named by the hash (#/<id> or #/<id>?...), or null
+     */
+    parseHash() {
+        const match = window.location.hash.match(/^#\/([^?]*)/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    static href(id) {
+        return `#/${encodeURIComponent(id)}`;
+    }
+
+    navigate(id) {
+        window.location.hash = DemoRouter.href(id);
+    }
+
+    async route() {
+        const id = this.parseHash() || DEMOS[0].id;
+        // Seed and param edits within the same demo are handled by its framework
+        if (this.current && this.current.id === id) return this.framework;
+
+        const generation = ++this.generation;
+        this.unmount();
+        const demo = getDemo(id);
+        this.current = demo || { id };
+        this.updateNav();
+        if (!demo) {
+            this.showError(`Unknown demo "${id}".`);
+            return null;
+        }
+        // Route ids are canonical, so #/boids (a <pm-demo> type) becomes #/agent-systems
+        if (demo.id !== id) {
+            history.replaceState(null, '', window.location.hash.replace(/^#\/[^?]*/, `#/${demo.id}`));
+            this.current = demo;
+        }
+
+        document.title = pageTitle(demo);
+        if (this.options.header) {
+            renderDemoHeader(this.options.header, demo);
+        }
+
+        // Load first, then create the framework and the demo together, so an
+        // embedding page's 'ready' already describes the demo
+        try {
+            const DemoClass = await loadDemo(demo);
+            if (generation !== this.generation) return null;
+
+            this.framework = new DemoFramework(this.options.visualization, {
+                width: demo.width,
+                height: demo.height,
+                hashRoute: `/${demo.id}`,
+                name: demo.id,
+                // Share presets with the demo's static page where there is one
+                presetKey: demo.page ? new URL(siteUrl(demo.page)).pathname : `route:${demo.id}`,
+                tour: demo.tour ? siteUrl(demo.tour) : undefined
+            });
+            const controls = document.getElementById(this.options.controls);
+            if (controls && this.framework.controlsPanel) {
+                controls.appendChild(this.framework.controlsPanel);
+            }
+            this.demo = new DemoClass(this.framework);
+        } catch (error) {
+            if (generation !== this.generation) return null;
+            console.error(`Error loading demo "${demo.id}":`, error);
+            this.unmount();
+            this.showError(error.message);
+            return null;
+        }
+
+        if (this.options.info) {
+            this.loadInfo(demo, generation);
+        }
+        return this.framework;
+    }
+
+    unmount() {
+        if (this.framework) {
+            this.framework.destroy();
+        }
+        this.framework = null;
+        this.demo = null;
+        this.current = null;
+        // Anything a demo or tool left behind in the shared containers
+        const visualization = document.getElementById(this.options.visualization);
+        if (visualization) {
+            visualization.replaceChildren();
+        }
+        const controls = document.getElementById(this.options.controls);
+        if (controls) {
+            controls.replaceChildren();
+        }
+        if (this.options.header) {
+            this.options.header.replaceChildren();
+        }
+        if (this.options.info) {
+            this.options.info.replaceChildren();
+        }
+    }
+
+    showError(message) {
+        document.title = 'Demo not found - promptsandmore.com';
+        if (!this.options.header) return;
+        const text = document.createElement('p');
+        text.className = 'demo-error';
+        text.textContent = message;
+        this.options.header.replaceChildren(text);
+    }
+
+    renderNav(nav) {
+        const list = document.createElement('ul');
+        this.navLinks = {};
+        for (const demo of DEMOS) {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = DemoRouter.href(demo.id);
+            link.textContent = demo.title;
+            item.appendChild(link);
+            list.appendChild(item);
+            this.navLinks[demo.id] = link;
+        }
+        nav.replaceChildren(list);
+    }
+
+    updateNav() {
+        for (const [id, link] of Object.entries(this.navLinks || {})) {
+            if (this.current && this.current.id === id) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        }
+    }
+
+    // The explanations live on the demo's hand-written page; borrow its info sections
+    async loadInfo(demo, generation) {
+        if (!demo.page) return;
+        try {
+            const response = await fetch(siteUrl(demo.page));
+            if (!response.ok) return;
+            const html = await response.text();
+            if (generation !== this.generation) return;
+
+            const page = new DOMParser().parseFromString(html, 'text/html');
+            const description = page.querySelector('.demo-header .demo-description');
+            if (description && this.options.header) {
+                this.options.header.appendChild(document.importNode(description, true));
+            }
+            const sections = [...page.querySelectorAll('.info-section')];
+            this.options.info.replaceChildren(...sections.map(section => document.importNode(section, true)));
+        } catch (error) {
+            // Offline or blocked: the demo still works without its write-up
+            console.warn(`Could not load the explanations for "${demo.id}":`, error);
+        }
+    }
+}
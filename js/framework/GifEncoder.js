@@ -0,0 +1,223 @@
+/**
+ * Minimal in-browser animated GIF encoder
+ * Frames are quantized and LZW-compressed as they are added, so only the
+ * encoded bytes are kept in memory while recording.
+ */
+export class GifEncoder {
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.delay = Math.round(100 / (options.fps || 15)); // GIF delays are in 1/100 s
+        this.loop = options.loop !== false;
+        this.chunks = [];
+        this.frameCount = 0;
+
+        this.writeHeader();
+    }
+
+    writeHeader() {
+        const bytes = new ByteWriter();
+        bytes.writeString('GIF89a');
+        bytes.writeShort(this.width);
+        bytes.writeShort(this.height);
+        bytes.writeByte(0x70); // No global color table, 8-bit color resolution
+        bytes.writeByte(0);
+        bytes.writeByte(0);
+
+        if (this.loop) {
+            // NETSCAPE2.0 extension: loop forever
+            bytes.writeBytes([0x21, 0xff, 0x0b]);
+            bytes.writeString('NETSCAPE2.0');
+            bytes.writeBytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+        }
+        this.chunks.push(bytes.toUint8Array());
+    }
+
+    /**
+     * Add a frame from RGBA pixel data (e.g. ctx.getImageData(...).data)
+     */
+    addFrame(rgba) {
+        const { palette, indices } = quantize(rgba, this.width * this.height);
+        const bytes = new ByteWriter();
+
+        // Graphic control extension with the frame delay
+        bytes.writeBytes([0x21, 0xf9, 0x04, 0x00]);
+        bytes.writeShort(this.delay);
+        bytes.writeBytes([0x00, 0x00]);
+
+        // Image descriptor with a full-size 256-color local color table
+        bytes.writeByte(0x2c);
+        bytes.writeShort(0);
+        bytes.writeShort(0);
+        bytes.writeShort(this.width);
+        bytes.writeShort(this.height);
+        bytes.writeByte(0x87);
+        for (let i = 0; i < 256; i++) {
+            const color = palette[i] || [0, 0, 0];
+            bytes.writeBytes(color);
+        }
+
+        bytes.writeByte(8); // LZW minimum code size
+        const data = lzwEncode(indices, 8);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            bytes.writeByte(block.length);
+            bytes.writeBytes(block);
+        }
+        bytes.writeByte(0);
+
+        this.chunks.push(bytes.toUint8Array());
+        this.frameCount++;
+    }
+
+    finish() {
+        this.chunks.push(new Uint8Array([0x3b]));
+        return new Blob(this.chunks, { type: 'image/gif' });
+    }
+}
+
+class ByteWriter {
+    constructor() {
+        this.bytes = [];
+    }
+
+    writeByte(value) {
+        this.bytes.push(value & 0xff);
+    }
+
+    writeShort(value) {
+        this.writeByte(value);
+        this.writeByte(value >> 8);
+    }
+
+    writeBytes(values) {
+        for (const value of values) {
+            this.bytes.push(value);
+        }
+    }
+
+    writeString(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.bytes.push(text.charCodeAt(i));
+        }
+    }
+
+    toUint8Array() {
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+/**
+ * Popularity quantizer over 15-bit colors: keep the 256 most used buckets and
+ * map every other bucket to its nearest kept color. Demos draw mostly flat
+ * colors, so this holds up well without dithering.
+ */
+function quantize(rgba, pixelCount) {
+    const counts = new Uint32Array(32768);
+    const colors = new Uint32Array(32768); // First exact color seen in each bucket
+    const keys = new Uint16Array(pixelCount);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const o = i * 4;
+        const key = ((rgba[o] >> 3) << 10) | ((rgba[o + 1] >> 3) << 5) | (rgba[o + 2] >> 3);
+        keys[i] = key;
+        if (counts[key]++ === 0) {
+            colors[key] = (rgba[o] << 16) | (rgba[o + 1] << 8) | rgba[o + 2];
+        }
+    }
+
+    const used = [];
+    for (let key = 0; key < 32768; key++) {
+        if (counts[key] > 0) used.push(key);
+    }
+    used.sort((a, b) => counts[b] - counts[a]);
+
+    const toColor = (key) => [(colors[key] >> 16) & 255, (colors[key] >> 8) & 255, colors[key] & 255];
+    const palette = used.slice(0, 256).map(toColor);
+
+    const lookup = new Int16Array(32768).fill(-1);
+    palette.forEach((color, index) => {
+        lookup[used[index]] = index;
+    });
+
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const key = keys[i];
+        if (lookup[key] === -1) {
+            const [r, g, b] = toColor(key);
+            let best = 0;
+            let bestDist = Infinity;
+            for (let p = 0; p < palette.length; p++) {
+                const dr = palette[p][0] - r;
+                const dg = palette[p][1] - g;
+                const db = palette[p][2] - b;
+                const dist = dr * dr + dg * dg + db * db;
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = p;
+                }
+            }
+            lookup[key] = best;
+        }
+        indices[i] = lookup[key];
+    }
+
+    return { palette, indices };
+}
+
+// Variable-width LZW as used by GIF, codes packed least significant bit first
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let dictionary = new Map();
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            output.push(bitBuffer & 0xff);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+
+    for (let i = 1; i < indices.length; i++) {
+        const pixel = indices[i];
+        const key = (prefix << 8) | pixel;
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode < 4096) {
+            dictionary.set(key, nextCode++);
+            if (nextCode > (1 << codeSize) && codeSize < 12) {
+                codeSize++;
+            }
+        } else {
+            // Table full: start over
+            emit(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = pixel;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+        output.push(bitBuffer & 0xff);
+    }
+    return Uint8Array.from(output);
+}
@@ -0,0 +1,208 @@
+import { DemoFramework } from './DemoFramework.js';
+
+// 2D context methods that only draw; calls are recorded instead of rasterized
+const DRAW_METHODS = [
+    'arc', 'arcTo', 'beginPath', 'bezierCurveTo', 'clearRect', 'clip', 'closePath',
+    'drawImage', 'ellipse', 'fill', 'fillRect', 'fillText', 'lineTo', 'moveTo',
+    'quadraticCurveTo', 'rect', 'resetTransform', 'restore', 'rotate', 'save',
+    'scale', 'setTransform', 'stroke', 'strokeRect', 'strokeText', 'transform', 'translate'
+];
+
+/**
+ * In-memory stand-in for CanvasRenderingContext2D.
+ * Style properties are plain fields; drawing calls are appended to `calls`
+ * as { method, args } so tests can assert on what a render produced.
+ */
+export class HeadlessContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.calls = [];
+        this.lineDash = [];
+
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this.globalCompositeOperation = 'source-over';
+
+        for (const method of DRAW_METHODS) {
+            this[method] = (...args) => {
+                this.calls.push({ method, args });
+            };
+        }
+    }
+
+    createImageData(width, height) {
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    getImageData(x, y, width, height) {
+        return this.createImageData(width, height);
+    }
+
+    putImageData(imageData, x, y) {
+        this.calls.push({ method: 'putImageData', args: [imageData, x, y] });
+    }
+
+    createLinearGradient() {
+        return { addColorStop() {} };
+    }
+
+    createRadialGradient() {
+        return { addColorStop() {} };
+    }
+
+    measureText(text) {
+        // Rough monospace estimate; there is no font engine to ask
+        const size = parseFloat(this.font) || 10;
+        return { width: String(text).length * size * 0.6 };
+    }
+
+    setLineDash(segments) {
+        this.lineDash = segments;
+    }
+
+    getLineDash() {
+        return this.lineDash;
+    }
+}
+
+/**
+ * In-memory stand-in for an HTMLCanvasElement. Listeners registered by demos
+ * can be triggered with dispatchEvent({ type: 'click', clientX, clientY }).
+ */
+export class HeadlessCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.style = {};
+        this.listeners = {};
+        this.context = null;
+    }
+
+    getContext(type) {
+        if (type !== '2d') return null;
+        if (!this.context) {
+            this.context = new HeadlessContext(this);
+        }
+        return this.context;
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        if (!this.listeners[type]) return;
+        this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    }
+
+    dispatchEvent(event) {
+        const e = { preventDefault() {}, stopPropagation() {}, ...event };
+        for (const listener of this.listeners[e.type] || []) {
+            listener(e);
+        }
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, right: this.width, bottom: this.height, width: this.width, height: this.height };
+    }
+}
+
+/**
+ * DemoFramework without a DOM, for running demos under Node.
+ *
+ * Exposes the same interface demos rely on (getParams, getSeed, on, getContext,
+ * getCanvas, defineParams, setParam, step, reset, ...) on top of an in-memory
+ * canvas. Nothing runs on its own: frames scheduled through requestFrame are
+ * queued until advance() is called, and now() reads a virtual clock, so a demo
+ * steps the same way every run.
+ *
+ *   const framework = new HeadlessFramework({ seed: 42, params: { density: 50 } });
+ *   const demo = new CellularAutomata(framework);
+ *   framework.step();
+ *   framework.advance(60);
+ */
+export class HeadlessFramework extends DemoFramework {
+    constructor(options = {}) {
+        super(null, {
+            showControls: false,
+            syncUrl: false,
+            presetKey: 'headless',
+            ...options
+        });
+
+        this.time = 0;
+        this.frameId = 0;
+        this.frameQueue = new Map();
+        this.lastCode = null;
+    }
+
+    init() {
+        this.createCanvas();
+    }
+
+    // options.canvas renders into a real canvas instead, e.g. for sweep thumbnails
+    createCanvas() {
+        this.canvas = this.options.canvas || new HeadlessCanvas(this.options.width, this.options.height);
+        this.ctx = this.canvas.getContext('2d');
+        this.resize(this.options.width, this.options.height);
+    }
+
+    drawImageData(imageData, x = 0, y = 0) {
+        if (!(this.ctx instanceof HeadlessContext)) {
+            super.drawImageData(imageData, x, y);
+            return;
+        }
+        this.ctx.putImageData(imageData, x, y);
+    }
+
+    showCodeView(code) {
+        this.lastCode = code;
+    }
+
+    hideCodeView() {}
+
+    requestFrame(callback) {
+        if (this.destroyed) return null;
+        this.frameId++;
+        this.frameQueue.set(this.frameId, callback);
+        return this.frameId;
+    }
+
+    cancelFrame(id) {
+        this.frameQueue.delete(id);
+    }
+
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Run `frames` animation frames, moving the virtual clock forward by
+     * `frameTime` ms before each. The draw-call log is cleared at the start of
+     * every frame so ctx.calls holds only the most recent one.
+     */
+    advance(frames = 1, frameTime = 1000 / 60) {
+        for (let i = 0; i < frames; i++) {
+            this.time += frameTime;
+            if (this.ctx instanceof HeadlessContext) {
+                this.ctx.calls = [];
+            }
+
+            const callbacks = [...this.frameQueue.values()];
+            this.frameQueue.clear();
+            for (const callback of callbacks) {
+                callback(this.time);
+            }
+        }
+    }
+}
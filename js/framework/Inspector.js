@@ -0,0 +1,197 @@
+const OFFSET = 12; // px between the probed point and its tooltip
+
+/**
+ * Shows what a demo knows about the point under the cursor.
+ *
+ * Demos opt in by implementing inspectAt(x, y), which receives logical canvas
+ * coordinates and returns { label: value } for whatever is there (or null for
+ * nothing). The hover tooltip follows the mouse; clicking pins a probe at
+ * that point, and pinned probes keep refreshing as the simulation runs.
+ * Clicks are captured while inspecting so they don't also reach the demo.
+ */
+export class Inspector {
+    constructor(framework) {
+        this.framework = framework;
+        this.enabled = false;
+        this.hover = null;
+        this.pins = [];
+        this.frameId = null;
+
+        this.handleMouseMove = (e) => {
+            const point = this.framework.toLogicalPoint(e);
+            if (!this.hover) {
+                this.hover = this.createProbe(false);
+            }
+            this.hover.x = point.x;
+            this.hover.y = point.y;
+            this.update(this.hover);
+        };
+        this.handleMouseLeave = () => this.removeProbe(this.hover);
+        this.handleClick = (e) => {
+            e.stopImmediatePropagation();
+            e.preventDefault();
+            const { x, y } = this.framework.toLogicalPoint(e);
+            this.pin(x, y);
+        };
+    }
+
+    static supports(demo) {
+        return !!demo && typeof demo.inspectAt === 'function';
+    }
+
+    enable() {
+        if (this.enabled) return;
+        if (!Inspector.supports(this.framework.demo)) {
+            throw new Error('Inspector needs an attached demo that implements inspectAt(x, y)');
+        }
+        this.enabled = true;
+        const canvas = this.framework.canvas;
+        canvas.addEventListener('mousemove', this.handleMouseMove);
+        canvas.addEventListener('mouseleave', this.handleMouseLeave);
+        // Capture phase so the demo's own click handlers don't run
+        canvas.addEventListener('click', this.handleClick, true);
+        canvas.style.cursor = 'crosshair';
+        this.frameId = this.framework.requestFrame(() => this.tick());
+    }
+
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        const canvas = this.framework.canvas;
+        canvas.removeEventListener('mousemove', this.handleMouseMove);
+        canvas.removeEventListener('mouseleave', this.handleMouseLeave);
+        canvas.removeEventListener('click', this.handleClick, true);
+        canvas.style.cursor = '';
+        this.framework.cancelFrame(this.frameId);
+        this.frameId = null;
+        this.clearPins();
+        this.removeProbe(this.hover);
+    }
+
+    pin(x, y) {
+        const probe = this.createProbe(true);
+        probe.x = x;
+        probe.y = y;
+        this.pins.push(probe);
+        this.update(probe);
+        return probe;
+    }
+
+    clearPins() {
+        for (const probe of [...this.pins]) {
+            this.removeProbe(probe);
+        }
+    }
+
+    // The simulation keeps running underneath, so re-read every probe each frame
+    tick() {
+        if (!this.enabled) return;
+        if (this.hover) {
+            this.update(this.hover);
+        }
+        this.pins.forEach(probe => this.update(probe));
+        this.frameId = this.framework.requestFrame(() => this.tick());
+    }
+
+    createProbe(pinned) {
+        const tooltip = document.createElement('div');
+        tooltip.className = pinned ? 'inspector-tooltip pinned' : 'inspector-tooltip';
+        const fields = document.createElement('dl');
+        tooltip.appendChild(fields);
+
+        const probe = { x: 0, y: 0, pinned, tooltip, fields, text: null };
+        if (pinned) {
+            const close = document.createElement('button');
+            close.className = 'inspector-close';
+            close.textContent = '×';
+            close.title = 'Remove probe';
+            close.addEventListener('click', () => this.removeProbe(probe));
+            tooltip.insertBefore(close, fields);
+
+            probe.marker = document.createElement('div');
+            probe.marker.className = 'inspector-marker';
+            this.framework.container.appendChild(probe.marker);
+        }
+        this.framework.container.appendChild(tooltip);
+        return probe;
+    }
+
+    removeProbe(probe) {
+        if (!probe) return;
+        probe.tooltip.remove();
+        if (probe.marker) {
+            probe.marker.remove();
+        }
+        if (probe === this.hover) {
+            this.hover = null;
+        }
+        this.pins = this.pins.filter(p => p !== probe);
+    }
+
+    update(probe) {
+        let fields;
+        try {
+            fields = this.framework.demo.inspectAt(probe.x, probe.y);
+        } catch (error) {
+            console.error('Error inspecting demo:', error);
+            fields = null;
+        }
+
+        const entries = Object.entries(fields || {});
+        const text = entries.map(([label, value]) => `${label}\t${this.format(value)}`).join('\n');
+        if (text !== probe.text) {
+            probe.text = text;
+            probe.fields.replaceChildren();
+            for (const [label, value] of entries) {
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const detail = document.createElement('dd');
+                detail.textContent = this.format(value);
+                probe.fields.append(term, detail);
+            }
+        }
+        // Hovering over nothing hides the tooltip; pins stay put and say so
+        if (entries.length === 0 && !probe.pinned) {
+            probe.tooltip.style.display = 'none';
+            return;
+        }
+        if (entries.length === 0) {
+            probe.fields.textContent = 'Nothing here';
+        }
+        probe.tooltip.style.display = '';
+        this.position(probe);
+    }
+
+    // Place the tooltip beside the probed point, flipping left near the right edge
+    position(probe) {
+        const canvasRect = this.framework.canvas.getBoundingClientRect();
+        const containerRect = this.framework.container.getBoundingClientRect();
+        const scale = canvasRect.width / (this.framework.width || 1);
+        const left = canvasRect.left - containerRect.left + probe.x * scale;
+        const top = canvasRect.top - containerRect.top + probe.y * scale;
+
+        const tooltip = probe.tooltip;
+        const flip = left + OFFSET + tooltip.offsetWidth > canvasRect.right - containerRect.left;
+        tooltip.style.left = `${flip ? left - OFFSET - tooltip.offsetWidth : left + OFFSET}px`;
+        tooltip.style.top = `${top + OFFSET}px`;
+        if (probe.marker) {
+            probe.marker.style.left = `${left}px`;
+            probe.marker.style.top = `${top}px`;
+        }
+    }
+
+    format(value) {
+        if (typeof value === 'number') {
+            if (value === Infinity) return '∞';
+            return Number.isInteger(value) ? String(value) : value.toFixed(3).replace(/\.?0+$/, '');
+        }
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        if (Array.isArray(value)) return value.length > 0 ? value.join(' ') : '(none)';
+        if (value === null || value === undefined) return '–';
+        return String(value);
+    }
+
+    destroy() {
+        this.disable();
+    }
+}
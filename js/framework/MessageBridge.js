@@ -0,0 +1,272 @@
+export const CHANNEL = 'promptsandmore';
+
+// Events a host page may subscribe to
+const EVENTS = ['onParamChange', 'onSeedChange', 'onPause', 'onStep', 'onReset', 'onRegenerate', 'onAction', 'onSpeedChange', 'onFinish'];
+
+// Results go out as plain JSON data (typed arrays in timeline state become
+// arrays), which also guarantees they survive structured cloning
+const toPlain = (value) => value === undefined ? undefined :
+    JSON.parse(JSON.stringify(value, (key, v) => ArrayBuffer.isView(v) ? Array.from(v) : v));
+
+/**
+ * Lets the page embedding a demo in an iframe drive it with postMessage.
+ *
+ * Requests look like { channel: 'promptsandmore', id, command, ...args } and
+ * are answered with { channel, id, result } or { channel, id, error }. Events
+ * the host subscribed to arrive as { channel, event, args }. Messages from
+ * origins not in `origins` are ignored ('*' accepts any origin). Without the
+ * option, a page lists the origins allowed to embed it in a space-separated
+ * attribute, <html data-message-origins="https://example.com">, and otherwise
+ * only accepts its own origin.
+ *
+ * Commands:
+ *   getState                      { seed, params, paused, speed, width, height, state? }
+ *   setSeed { seed }
+ *   setParams { params }          only the given params change; unknown names are an error
+ *   pause, play, step, reset
+ *   snapshot                      PNG data URL of the canvas
+ *   subscribe { events }          framework event names, e.g. ['onParamChange', 'onFinish']
+ *   unsubscribe { events }        omit events to drop every subscription
+ */
+export class MessageBridge {
+    constructor(framework, options = {}) {
+        this.framework = framework;
+        this.origins = options.origins || MessageBridge.pageOrigins() || [window.location.origin];
+        this.target = options.target || window.parent;
+        this.subscriptions = [];
+        this.handleMessage = (e) => this.receive(e);
+    }
+
+    start() {
+        window.addEventListener('message', this.handleMessage);
+        // Deferred so a demo constructed in the same task as its framework
+        // (pages load the demo class before creating either) is attached by
+        // the time the host hears 'ready'
+        queueMicrotask(() => {
+            if (this.framework.destroyed) return;
+            const demo = this.framework.demo;
+            this.announce({ demo: demo ? demo.constructor.name : null, events: EVENTS });
+        });
+    }
+
+    stop() {
+        window.removeEventListener('message', this.handleMessage);
+        this.unsubscribe();
+    }
+
+    // Origins from <html data-message-origins="...">, or null when not set
+    static pageOrigins() {
+        const attribute = document.documentElement.dataset.messageOrigins;
+        const origins = attribute ? attribute.split(/\s+/).filter(Boolean) : [];
+        return origins.length > 0 ? origins : null;
+    }
+
+    isAllowed(origin) {
+        return this.origins.includes('*') || this.origins.includes(origin);
+    }
+
+    // Post 'ready' to the parent; without a request there is no origin to
+    // reply to, so it goes to each allowed origin
+    announce(detail) {
+        const message = { channel: CHANNEL, event: 'ready', args: [toPlain(detail)] };
+        const targets = this.origins.includes('*') ? ['*'] : this.origins;
+        for (const origin of targets) {
+            this.target.postMessage(message, origin);
+        }
+    }
+
+    receive(e) {
+        const data = e.data;
+        if (!data || data.channel !== CHANNEL || !data.command) return;
+        if (!this.isAllowed(e.origin)) {
+            console.warn(`Ignoring demo message from disallowed origin ${e.origin}`);
+            return;
+        }
+
+        const reply = (message) => {
+            if (e.source) {
+                e.source.postMessage({ channel: CHANNEL, id: data.id, ...message }, e.origin);
+            }
+        };
+        try {
+            reply({ result: toPlain(this.run(data, e)) });
+        } catch (error) {
+            reply({ error: error.message });
+        }
+    }
+
+    run(data, e) {
+        const framework = this.framework;
+        switch (data.command) {
+            case 'getState':
+                return this.getState();
+            case 'setSeed':
+                if (!Number.isFinite(data.seed)) {
+                    throw new Error('setSeed needs a numeric seed');
+                }
+                framework.setSeed(Math.floor(data.seed));
+                return framework.getSeed();
+            case 'setParams': {
+                const params = data.params || {};
+                if (typeof params !== 'object' || Array.isArray(params)) {
+                    throw new Error('setParams needs a params object');
+                }
+                // Only declared params, so a host can't plant keys in the params or the URL
+                const unknown = Object.keys(params).filter(name => !(name in framework.schema));
+                if (unknown.length > 0) {
+                    throw new Error(`Unknown params: ${unknown.join(', ')}. Expected some of: ${Object.keys(framework.schema).join(', ')}`);
+                }
+                framework.applyState({ params });
+                return framework.getParams();
+            }
+            case 'pause':
+            case 'play':
+                if (framework.isPaused !== (data.command === 'pause')) {
+                    framework.togglePause();
+                }
+                return framework.isPaused;
+            case 'step':
+                framework.step();
+                return null;
+            case 'reset':
+                framework.reset();
+                return null;
+            case 'snapshot':
+                return framework.getCanvas().toDataURL('image/png');
+            case 'subscribe':
+                return this.subscribe(data.events || [], e.source, e.origin);
+            case 'unsubscribe':
+                return this.unsubscribe(data.events, e.source);
+            default:
+                throw new Error(`Unknown command "${data.command}"`);
+        }
+    }
+
+    getState() {
+        const framework = this.framework;
+        const demo = framework.demo;
+        const state = {
+            ...framework.getState(),
+            paused: framework.isPaused,
+            speed: framework.getSpeed(),
+            width: framework.width,
+            height: framework.height
+        };
+        // Demos with a timeline can also export their simulation state
+        if (demo && typeof demo.serializeState === 'function') {
+            state.state = demo.serializeState();
+        }
+        return state;
+    }
+
+    subscribe(events, source, origin) {
+        for (const event of events) {
+            if (!EVENTS.includes(event)) {
+                throw new Error(`Unknown event "${event}". Expected one of: ${EVENTS.join(', ')}`);
+            }
+        }
+        for (const event of events) {
+            if (this.subscriptions.some(s => s.event === event && s.source === source)) continue;
+            const off = this.framework.on(event, (...args) => {
+                source.postMessage({ channel: CHANNEL, event, args: toPlain(args) }, origin);
+            });
+            this.subscriptions.push({ event, source, off });
+        }
+        return this.subscriptions.filter(s => s.source === source).map(s => s.event);
+    }
+
+    unsubscribe(events, source) {
+        this.subscriptions = this.subscriptions.filter((s) => {
+            const match = (!source || s.source === source) && (!events || events.includes(s.event));
+            if (match) s.off();
+            return !match;
+        });
+        return this.subscriptions.filter(s => s.source === source).map(s => s.event);
+    }
+}
+
+/**
+ * Host-side helper for talking to a demo in an iframe. Create it before the
+ * iframe loads so `ready` sees the demo's announcement:
+ *
+ *   const demo = new MessageClient(iframe);
+ *   await demo.ready;
+ *   await demo.call('setParams', { params: { heuristicWeight: 2 } });
+ *   demo.on('onFinish', (result) => console.log(result.pathLength));
+ */
+export class MessageClient {
+    constructor(iframe, options = {}) {
+        this.iframe = iframe;
+        this.origin = options.origin || new URL(iframe.src, window.location.href).origin;
+        this.nextId = 0;
+        this.pending = new Map();
+        this.listeners = {};
+        this.ready = new Promise(resolve => this.once('ready', resolve));
+        this.handleMessage = (e) => this.receive(e);
+        window.addEventListener('message', this.handleMessage);
+    }
+
+    call(command, args = {}) {
+        const id = ++this.nextId;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.iframe.contentWindow.postMessage({ channel: CHANNEL, id, command, ...args }, this.origin);
+        });
+    }
+
+    /**
+     * Listen for a demo event; subscribes with the demo the first time, once
+     * it is ready (a message posted before its bridge starts would be lost).
+     * Returns an unsubscribe function.
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+            if (event !== 'ready') {
+                this.ready
+                    .then(() => this.call('subscribe', { events: [event] }))
+                    .catch((error) => {
+                        console.warn(`Could not subscribe to demo event "${event}":`, error);
+                    });
+            }
+        }
+        this.listeners[event].push(callback);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(l => l !== callback);
+        };
+    }
+
+    once(event, callback) {
+        const off = this.on(event, (...args) => {
+            off();
+            callback(...args);
+        });
+        return off;
+    }
+
+    receive(e) {
+        const data = e.data;
+        if (e.source !== this.iframe.contentWindow || e.origin !== this.origin) return;
+        if (!data || data.channel !== CHANNEL) return;
+
+        if (data.event) {
+            for (const callback of [...(this.listeners[data.event] || [])]) {
+                callback(...data.args);
+            }
+        } else if (this.pending.has(data.id)) {
+            const { resolve, reject } = this.pending.get(data.id);
+            this.pending.delete(data.id);
+            if (data.error) {
+                reject(new Error(data.error));
+            } else {
+                resolve(data.result);
+            }
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('message', this.handleMessage);
+        this.pending.clear();
+        this.listeners = {};
+    }
+}
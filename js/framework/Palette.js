@@ -0,0 +1,186 @@
+export const THEMES = ['dark', 'light'];
+export const PALETTES = ['default', 'colorblind', 'high-contrast'];
+
+const THEME_KEY = 'promptsandmore.theme';
+const PALETTE_KEY = 'promptsandmore.palette';
+
+// Values of the css/main.css variables in the default dark theme, used when
+// there is no stylesheet to read (headless runs, or before it has loaded)
+const DEFAULTS = {
+    '--canvas-bg': '#0a0a0a',
+    '--bg-tertiary': '#2a2a2a',
+    '--canvas-grid': '#333',
+    '--canvas-grid-faint': '#222',
+    '--canvas-ink': '#ffffff',
+    '--text-secondary': '#a0a0a0',
+    '--accent': '#4a9eff',
+    '--success': '#4ade80',
+    '--warning': '#fbbf24',
+    '--error': '#f87171',
+    '--series-1': '#4ade80',
+    '--series-2': '#4a9eff',
+    '--series-3': '#fbbf24',
+    '--series-4': '#f87171',
+    '--series-5': '#a78bfa',
+    '--series-6': '#fb7185',
+    '--series-7': '#34d399',
+    '--series-8': '#60a5fa',
+    '--series-9': '#f472b6',
+    '--series-10': '#818cf8',
+    '--terrain-deep-water': '#003264',
+    '--terrain-shallow-water': '#006496',
+    '--terrain-sand': '#c2b280',
+    '--terrain-grass': '#228b22',
+    '--terrain-rock': '#808080',
+    '--terrain-snow': '#ffffff'
+};
+
+const SERIES_LENGTH = 10;
+
+/**
+ * Named colors for canvas rendering, read from the CSS variables in effect at
+ * `element` (so a <pm-demo> with its own data-theme gets its own colors):
+ *
+ *   background, surface, grid, gridFaint, ink, muted   canvas basics
+ *   accent, positive, caution, negative                semantic highlights
+ *   series                                              categorical colors
+ *   terrain { deepWater, shallowWater, sand, grass, rock, snow }
+ */
+export function readPalette(element) {
+    let style = null;
+    if (typeof document !== 'undefined' && typeof getComputedStyle === 'function') {
+        style = getComputedStyle(element || document.documentElement);
+    }
+    const read = (name) => (style && style.getPropertyValue(name).trim()) || DEFAULTS[name];
+
+    const series = [];
+    for (let i = 1; i <= SERIES_LENGTH; i++) {
+        series.push(read(`--series-${i}`));
+    }
+
+    return {
+        theme: getTheme(),
+        name: getPaletteName(),
+        background: read('--canvas-bg'),
+        surface: read('--bg-tertiary'),
+        grid: read('--canvas-grid'),
+        gridFaint: read('--canvas-grid-faint'),
+        ink: read('--canvas-ink'),
+        muted: read('--text-secondary'),
+        accent: read('--accent'),
+        positive: read('--success'),
+        caution: read('--warning'),
+        negative: read('--error'),
+        series,
+        terrain: {
+            deepWater: read('--terrain-deep-water'),
+            shallowWater: read('--terrain-shallow-water'),
+            sand: read('--terrain-sand'),
+            grass: read('--terrain-grass'),
+            rock: read('--terrain-rock'),
+            snow: read('--terrain-snow')
+        }
+    };
+}
+
+/**
+ * Parse '#rgb', '#rrggbb' or 'rgb(r, g, b)' into [r, g, b]
+ */
+export function toRGB(color) {
+    const value = String(color).trim();
+    if (value[0] === '#') {
+        let hex = value.slice(1);
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        const n = parseInt(hex.slice(0, 6), 16);
+        return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+    }
+    const parts = value.match(/[\d.]+/g);
+    return parts ? parts.slice(0, 3).map(Number) : [0, 0, 0];
+}
+
+/**
+ * The color as an rgba() string with the given alpha
+ */
+export function withAlpha(color, alpha) {
+    const [r, g, b] = toRGB(color);
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+function hasDocument() {
+    return typeof document !== 'undefined' && !!document.documentElement;
+}
+
+function store(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (e) {
+        // Storage unavailable; the choice just won't persist
+    }
+}
+
+function stored(key, allowed) {
+    try {
+        const value = localStorage.getItem(key);
+        return allowed.includes(value) ? value : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+export function getTheme() {
+    if (!hasDocument()) return 'dark';
+    return document.documentElement.dataset.theme || 'dark';
+}
+
+export function getPaletteName() {
+    if (!hasDocument()) return 'default';
+    return document.documentElement.dataset.palette || 'default';
+}
+
+function apply(attribute, key, value, allowed, fallback) {
+    if (!allowed.includes(value)) {
+        throw new Error(`Unknown ${attribute} "${value}". Expected one of: ${allowed.join(', ')}`);
+    }
+    if (!hasDocument()) return;
+    const root = document.documentElement;
+    if (value === fallback) {
+        delete root.dataset[attribute];
+    } else {
+        root.dataset[attribute] = value;
+    }
+    store(key, value);
+    window.dispatchEvent(new CustomEvent('palettechange', {
+        detail: { theme: getTheme(), palette: getPaletteName() }
+    }));
+}
+
+/**
+ * Switch the page between the dark and light themes. Every framework
+ * re-renders its demo with the new colors.
+ */
+export function setTheme(theme) {
+    apply('theme', THEME_KEY, theme, THEMES, 'dark');
+}
+
+/**
+ * Switch the page to another palette: default, colorblind (Okabe-Ito colors)
+ * or high-contrast.
+ */
+export function setPalette(palette) {
+    apply('palette', PALETTE_KEY, palette, PALETTES, 'default');
+}
+
+// Restore the visitor's last choice as soon as any page loads the module
+if (hasDocument()) {
+    const root = document.documentElement;
+    const theme = stored(THEME_KEY, THEMES);
+    const palette = stored(PALETTE_KEY, PALETTES);
+    if (theme && theme !== 'dark' && !root.dataset.theme) {
+        root.dataset.theme = theme;
+    }
+    if (palette && palette !== 'default' && !root.dataset.palette) {
+        root.dataset.palette = palette;
+    }
+}
@@ -0,0 +1,267 @@
+import { withAlpha } from './Palette.js';
+
+const GRAPH_WIDTH = 180;
+const GRAPH_HEIGHT = 48;
+const GRAPH_MAX_MS = 50; // Top of the frame-time graph
+const MAX_SAMPLES = 3600; // About a minute at 60 fps
+
+/**
+ * Per-frame timing for a framework and its attached demo.
+ *
+ * Update and render times come from the framework's lifecycle events, so any
+ * demo registered with framework.attach() is measured without changes. Demos
+ * can add counters by implementing getMetrics(), returning { label: number }.
+ * Samples are kept while running and can be exported with toCSV().
+ */
+export class PerfMonitor {
+    constructor(framework) {
+        this.framework = framework;
+        this.samples = [];
+        this.running = false;
+        this.hud = null;
+        this.hudFrame = 0;
+        this.frameId = null;
+        this.unsubscribe = [];
+        this.resetFrame();
+    }
+
+    resetFrame() {
+        this.updateMs = 0;
+        this.renderMs = 0;
+        this.updates = 0;
+        this.updateDepth = 0;
+        this.renderDepth = 0;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.resetFrame();
+        this.startTime = this.framework.now();
+        this.lastFrame = this.startTime;
+
+        // Depth counters keep nested calls (a render inside an update) from
+        // being counted twice
+        const on = (event, callback) => this.unsubscribe.push(this.framework.on(event, callback));
+        on('beforeUpdate', () => {
+            if (this.updateDepth++ === 0) this.updateStart = this.framework.now();
+        });
+        on('afterUpdate', () => {
+            if (--this.updateDepth === 0) {
+                this.updateMs += this.framework.now() - this.updateStart;
+                this.updates++;
+            }
+        });
+        on('beforeRender', () => {
+            if (this.renderDepth++ === 0) this.renderStart = this.framework.now();
+        });
+        on('afterRender', () => {
+            if (--this.renderDepth === 0) this.renderMs += this.framework.now() - this.renderStart;
+        });
+
+        this.frameId = this.framework.requestFrame(() => this.tick());
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+        this.framework.cancelFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    tick() {
+        if (!this.running) return;
+        this.sample();
+        if (this.hud) {
+            this.renderHud();
+        }
+        this.frameId = this.framework.requestFrame(() => this.tick());
+    }
+
+    sample() {
+        const now = this.framework.now();
+        const demo = this.framework.demo;
+        const sample = {
+            time: now - this.startTime,
+            frame: now - this.lastFrame,
+            update: this.updateMs,
+            render: this.renderMs,
+            updates: this.updates,
+            speed: this.framework.getSpeed(),
+            metrics: demo && typeof demo.getMetrics === 'function' ? demo.getMetrics() : {}
+        };
+        this.lastFrame = now;
+        this.resetFrame();
+
+        this.samples.push(sample);
+        if (this.samples.length > MAX_SAMPLES) {
+            this.samples.shift();
+        }
+        return sample;
+    }
+
+    clear() {
+        this.samples = [];
+        this.startTime = this.framework.now();
+    }
+
+    /**
+     * Mean over the last `count` samples, for steadier readouts than a single frame
+     */
+    average(count = 30) {
+        const recent = this.samples.slice(-count);
+        const mean = (key) => recent.reduce((sum, s) => sum + s[key], 0) / (recent.length || 1);
+        const frame = mean('frame');
+        return {
+            fps: frame > 0 ? 1000 / frame : 0,
+            frame,
+            update: mean('update'),
+            render: mean('render')
+        };
+    }
+
+    toCSV() {
+        const metricNames = [];
+        for (const sample of this.samples) {
+            for (const name of Object.keys(sample.metrics)) {
+                if (!metricNames.includes(name)) metricNames.push(name);
+            }
+        }
+
+        const quote = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const rows = [['time_ms', 'frame_ms', 'update_ms', 'render_ms', 'updates', 'speed', ...metricNames].map(quote).join(',')];
+        for (const s of this.samples) {
+            rows.push([
+                s.time.toFixed(2), s.frame.toFixed(2), s.update.toFixed(3), s.render.toFixed(3), s.updates, s.speed,
+                ...metricNames.map(name => name in s.metrics ? s.metrics[name] : '')
+            ].join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+
+    exportCSV() {
+        const name = this.framework.getName();
+        const blob = new Blob([this.toCSV()], { type: 'text/csv' });
+        this.framework.downloadBlob(blob, `${name}-${this.framework.getSeed()}-perf.csv`);
+    }
+
+    show() {
+        if (!this.hud) {
+            this.createHud();
+        }
+        this.hud.style.display = 'block';
+        this.start();
+    }
+
+    hide() {
+        if (this.hud) {
+            this.hud.style.display = 'none';
+        }
+        this.stop();
+    }
+
+    isVisible() {
+        return !!this.hud && this.hud.style.display !== 'none';
+    }
+
+    createHud() {
+        const hud = document.createElement('div');
+        hud.className = 'perf-hud';
+
+        this.hudText = document.createElement('pre');
+        hud.appendChild(this.hudText);
+
+        const ratio = window.devicePixelRatio || 1;
+        this.graph = document.createElement('canvas');
+        this.graph.width = GRAPH_WIDTH * ratio;
+        this.graph.height = GRAPH_HEIGHT * ratio;
+        this.graph.style.width = `${GRAPH_WIDTH}px`;
+        this.graph.style.height = `${GRAPH_HEIGHT}px`;
+        this.graphCtx = this.graph.getContext('2d');
+        this.graphCtx.scale(ratio, ratio);
+        hud.appendChild(this.graph);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'perf-hud-buttons';
+        const addButton = (text, handler) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.addEventListener('click', handler);
+            buttons.appendChild(button);
+        };
+        addButton('Export CSV', () => this.exportCSV());
+        addButton('Clear', () => this.clear());
+        hud.appendChild(buttons);
+
+        this.framework.container.appendChild(hud);
+        this.hud = hud;
+    }
+
+    renderHud() {
+        // Text changes too fast to read every frame
+        if (this.hudFrame++ % 10 === 0) {
+            const avg = this.average();
+            const lines = [
+                `FPS     ${avg.fps.toFixed(1)}`,
+                `Frame   ${avg.frame.toFixed(2)} ms`,
+                `Update  ${avg.update.toFixed(2)} ms`,
+                `Render  ${avg.render.toFixed(2)} ms`
+            ];
+            const speed = this.framework.getSpeed();
+            if (speed !== 1) {
+                lines.push(`Speed   ${speed.toFixed(1)}×`);
+            }
+            const latest = this.samples[this.samples.length - 1];
+            for (const [name, value] of Object.entries(latest.metrics)) {
+                lines.push(`${name}: ${typeof value === 'number' ? value.toLocaleString() : value}`);
+            }
+            this.hudText.textContent = lines.join('\n');
+        }
+
+        this.drawGraph();
+    }
+
+    // Frame time per column, split into update (accent), render (positive) and the rest (muted)
+    drawGraph() {
+        const ctx = this.graphCtx;
+        const palette = this.framework.getPalette();
+        const recent = this.samples.slice(-GRAPH_WIDTH);
+        const scale = GRAPH_HEIGHT / GRAPH_MAX_MS;
+
+        ctx.clearRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+        ctx.fillStyle = withAlpha(palette.background, 0.4);
+        ctx.fillRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+
+        const x0 = GRAPH_WIDTH - recent.length;
+        recent.forEach((s, i) => {
+            const x = x0 + i;
+            const frame = Math.min(s.frame, GRAPH_MAX_MS) * scale;
+            const update = Math.min(s.update, GRAPH_MAX_MS) * scale;
+            const render = Math.min(s.render, GRAPH_MAX_MS - s.update) * scale;
+            ctx.fillStyle = withAlpha(palette.muted, 0.6);
+            ctx.fillRect(x, GRAPH_HEIGHT - frame, 1, frame);
+            ctx.fillStyle = palette.accent;
+            ctx.fillRect(x, GRAPH_HEIGHT - update, 1, update);
+            ctx.fillStyle = palette.positive;
+            ctx.fillRect(x, GRAPH_HEIGHT - update - Math.max(0, render), 1, Math.max(0, render));
+        });
+
+        // 60 fps budget line
+        const y = GRAPH_HEIGHT - (1000 / 60) * scale;
+        ctx.strokeStyle = palette.caution;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(GRAPH_WIDTH, y);
+        ctx.stroke();
+    }
+
+    destroy() {
+        this.stop();
+        if (this.hud && this.hud.parentNode) {
+            this.hud.parentNode.removeChild(this.hud);
+        }
+        this.hud = null;
+    }
+}
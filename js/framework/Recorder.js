@@ -0,0 +1,137 @@
+import { GifEncoder } from './GifEncoder.js';
+import { ZipWriter } from './ZipWriter.js';
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Captures a framework's canvas to an animated GIF, a WebM video or a zipped
+ * PNG sequence. Works with any demo since they all draw into getCanvas().
+ */
+export class Recorder {
+    constructor(framework) {
+        this.framework = framework;
+        this.isRecording = false;
+        this.frameCount = 0;
+        this.capturedCount = 0;
+    }
+
+    static isWebMSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            WEBM_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+    }
+
+    /**
+     * Start recording. Options:
+     *   format      'gif' | 'webm' | 'png'
+     *   every       capture every N animation frames (GIF and PNG)
+     *   fps         playback frame rate of the output
+     *   maxDuration stop automatically after this many seconds
+     * Resolves with the finished Blob once stop() is called or maxDuration elapses.
+     */
+    start(options = {}) {
+        if (this.isRecording) {
+            throw new Error('Recorder is already recording');
+        }
+
+        this.format = options.format || 'gif';
+        this.every = Math.max(1, Math.floor(options.every || 1));
+        this.fps = options.fps || 15;
+        this.maxDuration = options.maxDuration || 10;
+        this.canvas = this.framework.getCanvas();
+        this.frameCount = 0;
+        this.capturedCount = 0;
+        this.startTime = this.framework.now();
+        this.isRecording = true;
+
+        const done = new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+        });
+
+        if (this.format === 'webm') {
+            this.startWebM();
+        } else if (this.format === 'png') {
+            this.zip = new ZipWriter();
+            this.pngFrames = [];
+        } else {
+            this.encoder = new GifEncoder(this.canvas.width, this.canvas.height, { fps: this.fps });
+        }
+
+        this.frameId = this.framework.requestFrame(() => this.tick());
+        return done;
+    }
+
+    startWebM() {
+        const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const stream = this.canvas.captureStream(this.fps);
+        this.chunks = [];
+        this.mediaRecorder = new MediaRecorder(stream, { mimeType });
+        this.mediaRecorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) {
+                this.chunks.push(e.data);
+            }
+        });
+        this.mediaRecorder.addEventListener('stop', () => {
+            stream.getTracks().forEach(track => track.stop());
+            this.resolve(new Blob(this.chunks, { type: 'video/webm' }));
+        });
+        this.mediaRecorder.start();
+    }
+
+    tick() {
+        if (!this.isRecording) return;
+
+        if ((this.framework.now() - this.startTime) / 1000 >= this.maxDuration) {
+            this.stop();
+            return;
+        }
+
+        if (this.format !== 'webm' && this.frameCount % this.every === 0) {
+            try {
+                this.capture();
+            } catch (error) {
+                this.isRecording = false;
+                this.reject(error);
+                return;
+            }
+        }
+        this.frameCount++;
+        this.frameId = this.framework.requestFrame(() => this.tick());
+    }
+
+    capture() {
+        if (this.format === 'png') {
+            this.pngFrames.push(new Promise(resolve => this.canvas.toBlob(resolve, 'image/png')));
+        } else {
+            const { width, height } = this.canvas;
+            const pixels = this.canvas.getContext('2d').getImageData(0, 0, width, height);
+            this.encoder.addFrame(pixels.data);
+        }
+        this.capturedCount++;
+    }
+
+    stop() {
+        if (!this.isRecording) return;
+        this.isRecording = false;
+        this.framework.cancelFrame(this.frameId);
+
+        if (this.format === 'webm') {
+            this.mediaRecorder.stop();
+        } else if (this.format === 'png') {
+            this.finishPng().then(this.resolve, this.reject);
+        } else {
+            this.resolve(this.encoder.finish());
+        }
+    }
+
+    async finishPng() {
+        const blobs = await Promise.all(this.pngFrames);
+        for (let i = 0; i < blobs.length; i++) {
+            const data = new Uint8Array(await blobs[i].arrayBuffer());
+            this.zip.addFile(`frame-${String(i + 1).padStart(4, '0')}.png`, data);
+        }
+        return this.zip.finish();
+    }
+}
@@ -0,0 +1,144 @@
+export const MIN_SPEED = 0.1;
+export const MAX_SPEED = 10;
+
+/**
+ * Runs every demo loop from a single animation frame callback, so speed,
+ * pause and teardown apply to all of them at once.
+ *
+ * A loop is a plain object:
+ *   update(dt)  advance the simulation; dt is in seconds, scaled by the speed
+ *   render()    draw; called once per frame after at least one update ran
+ *   step        fixed timestep in seconds (or a function returning one). Updates
+ *               run as many times as the elapsed time allows; omit it for one
+ *               variable-dt update per frame
+ *   active()    optional; the loop idles while it returns false
+ *   frameSkip   when updates run over the frame budget, skip up to this many
+ *               renders to let them catch up (default 0: drop the backlog)
+ *
+ * Nothing runs while the framework is paused.
+ */
+export class Scheduler {
+    constructor(framework, options = {}) {
+        this.framework = framework;
+        this.loops = [];
+        this.speed = 1;
+        this.budget = options.budget || 12; // ms of update work per frame
+        this.maxDelta = options.maxDelta || 250; // Longer gaps (e.g. a background tab) are clamped
+        this.frameId = null;
+        this.lastTime = 0;
+        this.fps = 0;
+    }
+
+    /**
+     * Add a loop and start ticking. Returns a function that removes it.
+     * `owner` lets clear() remove one framework's loops from a shared scheduler.
+     */
+    add(loop, owner = null) {
+        const entry = { loop, owner, accumulator: 0, skipped: 0 };
+        this.loops.push(entry);
+        this.start();
+        return () => this.remove(entry);
+    }
+
+    remove(entry) {
+        const index = this.loops.indexOf(entry);
+        if (index !== -1) {
+            this.loops.splice(index, 1);
+        }
+        if (this.loops.length === 0) {
+            this.stop();
+        }
+    }
+
+    clear(owner) {
+        this.loops = owner === undefined ? [] : this.loops.filter(entry => entry.owner !== owner);
+        if (this.loops.length === 0) {
+            this.stop();
+        }
+    }
+
+    start() {
+        if (this.frameId !== null) return;
+        this.lastTime = this.framework.now();
+        this.frameId = this.framework.requestFrame(() => this.tick());
+    }
+
+    stop() {
+        if (this.frameId !== null) {
+            this.framework.cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, speed));
+        return this.speed;
+    }
+
+    tick() {
+        const now = this.framework.now();
+        const elapsed = Math.min(now - this.lastTime, this.maxDelta);
+        this.lastTime = now;
+        if (elapsed > 0) {
+            this.fps = this.fps ? this.fps * 0.9 + (1000 / elapsed) * 0.1 : 1000 / elapsed;
+        }
+
+        const dt = (elapsed / 1000) * this.speed;
+        const deadline = now + this.budget;
+        // Copy so loops can add or remove loops while running
+        for (const entry of [...this.loops]) {
+            if (this.loops.includes(entry)) {
+                this.run(entry, dt, deadline);
+            }
+        }
+
+        this.frameId = null;
+        if (this.loops.length > 0) {
+            this.frameId = this.framework.requestFrame(() => this.tick());
+        }
+    }
+
+    run(entry, dt, deadline) {
+        const { loop } = entry;
+        const idle = () => this.framework.isPaused || (loop.active && !loop.active());
+        if (idle()) {
+            entry.accumulator = 0;
+            return;
+        }
+
+        let updates = 0;
+        let overBudget = false;
+        const step = typeof loop.step === 'function' ? loop.step() : loop.step;
+
+        if (step > 0) {
+            entry.accumulator += dt;
+            // The tolerance keeps e.g. sixty 1/60 s frames from adding up to just under 1 s
+            while (entry.accumulator >= step - 1e-9 && !idle()) {
+                if (this.framework.now() > deadline) {
+                    overBudget = true;
+                    break;
+                }
+                loop.update(step);
+                entry.accumulator -= step;
+                updates++;
+            }
+        } else if (loop.update) {
+            loop.update(dt);
+            updates++;
+        }
+
+        if (overBudget && entry.skipped < (loop.frameSkip || 0)) {
+            // Keep the backlog and spend the next frame on updates instead of drawing
+            entry.skipped++;
+            return;
+        }
+        if (overBudget) {
+            entry.accumulator = 0;
+        }
+        entry.skipped = 0;
+
+        if (updates > 0 && loop.render) {
+            loop.render();
+        }
+    }
+}
@@ -0,0 +1,200 @@
+import { HeadlessFramework } from './HeadlessFramework.js';
+
+/**
+ * Values to try for a declared param: both states of a toggle, every option
+ * of a select, or `steps` evenly spaced numbers from min to max (snapped to
+ * the param's step).
+ */
+export function sweepValues(spec, min, max, steps) {
+    if (spec.type === 'toggle') return [false, true];
+    if (spec.type === 'select') {
+        return spec.options.map(option => typeof option === 'object' ? option.value : option);
+    }
+
+    steps = Math.max(1, Math.floor(steps));
+    const values = [];
+    for (let i = 0; i < steps; i++) {
+        let value = steps === 1 ? min : min + (max - min) * i / (steps - 1);
+        if (spec.step && Number.isFinite(spec.min)) {
+            // Snapped on the grid anchored at spec.min, as validateParam does,
+            // so every column is a value the control can take
+            value = Math.max(spec.min, Math.round((value - spec.min) / spec.step) * spec.step + spec.min);
+            if (Number.isFinite(spec.max)) {
+                value = Math.min(spec.max, value);
+            }
+            // Trim float noise like 0.30000000000000004
+            value = parseFloat(value.toFixed(10));
+        }
+        values.push(value);
+    }
+    return [...new Set(values)];
+}
+
+/**
+ * Renders a grid of thumbnails of the framework's attached demo across one or
+ * two params. Every cell is an independent HeadlessFramework run at the
+ * current seed and params (with the swept values substituted) on a real
+ * offscreen canvas, advanced `frames` virtual frames, so each thumbnail is
+ * reproducible. Clicking one loads its configuration into the main view.
+ *
+ *   new ParameterSweep(framework, {
+ *       x: { name: 'octaves', values: [1, 2, 4, 8] },
+ *       y: { name: 'persistence', values: [0.3, 0.5, 0.7] },
+ *       frames: 0
+ *   }).open();
+ */
+export class ParameterSweep {
+    constructor(framework, options) {
+        this.framework = framework;
+        this.x = options.x;
+        this.y = options.y || null;
+        this.frames = options.frames || 0;
+        this.thumbWidth = options.thumbWidth || 160;
+        this.frameId = null;
+    }
+
+    /**
+     * Render a single configuration and return its canvas at thumbnail size
+     */
+    renderThumbnail(overrides) {
+        const framework = this.framework;
+        const state = framework.getState();
+
+        // Render at the main view's logical size so layouts match, then shrink
+        const canvas = document.createElement('canvas');
+        const runner = new HeadlessFramework({
+            canvas,
+            width: framework.width,
+            height: framework.height,
+            pixelRatio: 1,
+            seed: state.seed,
+            params: { ...state.params, ...overrides }
+        });
+        new framework.demo.constructor(runner);
+        runner.advance(this.frames);
+
+        const thumb = document.createElement('canvas');
+        thumb.width = this.thumbWidth;
+        thumb.height = Math.round(this.thumbWidth * framework.height / framework.width);
+        thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+        runner.destroy();
+        return thumb;
+    }
+
+    open() {
+        if (!this.framework.demo) {
+            throw new Error('ParameterSweep needs a demo registered with framework.attach()');
+        }
+
+        const overlay = document.createElement('div');
+        overlay.className = 'sweep-overlay';
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.close();
+        });
+
+        const panel = document.createElement('div');
+        panel.className = 'sweep-panel';
+        overlay.appendChild(panel);
+
+        const header = document.createElement('div');
+        header.className = 'sweep-header';
+        const title = document.createElement('h3');
+        title.textContent = this.y ? `${this.label(this.x)} × ${this.label(this.y)}` : this.label(this.x);
+        header.appendChild(title);
+        this.status = document.createElement('span');
+        header.appendChild(this.status);
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', () => this.close());
+        header.appendChild(closeButton);
+        panel.appendChild(header);
+
+        const rows = this.y ? this.y.values : [undefined];
+        const grid = document.createElement('div');
+        grid.className = 'sweep-grid';
+        grid.style.gridTemplateColumns = `auto repeat(${this.x.values.length}, ${this.thumbWidth}px)`;
+
+        // Column headings, then one row per y value
+        grid.appendChild(this.heading(this.y ? `${this.label(this.y)} ↓ / ${this.label(this.x)} →` : ''));
+        for (const xValue of this.x.values) {
+            grid.appendChild(this.heading(this.format(xValue)));
+        }
+
+        const cells = [];
+        for (const yValue of rows) {
+            grid.appendChild(this.heading(this.y ? this.format(yValue) : ''));
+            for (const xValue of this.x.values) {
+                const overrides = { [this.x.name]: xValue };
+                if (this.y) {
+                    overrides[this.y.name] = yValue;
+                }
+                const cell = document.createElement('button');
+                cell.className = 'sweep-cell';
+                cell.title = Object.entries(overrides).map(([name, value]) => `${name} = ${this.format(value)}`).join(', ');
+                cell.style.height = `${Math.round(this.thumbWidth * this.framework.height / this.framework.width)}px`;
+                cell.addEventListener('click', () => {
+                    this.framework.applyState({ seed: this.framework.getSeed(), params: overrides });
+                    this.close();
+                });
+                grid.appendChild(cell);
+                cells.push({ cell, overrides });
+            }
+        }
+        panel.appendChild(grid);
+
+        this.framework.getOverlayRoot().appendChild(overlay);
+        this.overlay = overlay;
+        this.renderCells(cells);
+    }
+
+    // One thumbnail per animation frame so the page stays responsive
+    renderCells(cells) {
+        let index = 0;
+        const next = () => {
+            if (index >= cells.length) {
+                this.status.textContent = '';
+                this.frameId = null;
+                return;
+            }
+            this.status.textContent = `Rendering ${index + 1} / ${cells.length}`;
+            const { cell, overrides } = cells[index++];
+            try {
+                cell.appendChild(this.renderThumbnail(overrides));
+            } catch (error) {
+                console.error('Error rendering sweep thumbnail:', error);
+                cell.textContent = 'Error';
+            }
+            this.frameId = this.framework.requestFrame(next);
+        };
+        this.frameId = this.framework.requestFrame(next);
+    }
+
+    heading(text) {
+        const heading = document.createElement('div');
+        heading.className = 'sweep-heading';
+        heading.textContent = text;
+        return heading;
+    }
+
+    label(axis) {
+        const spec = this.framework.schema[axis.name];
+        return spec && spec.label ? spec.label : axis.name;
+    }
+
+    format(value) {
+        if (typeof value === 'number') return String(parseFloat(value.toFixed(4)));
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    close() {
+        if (this.frameId !== null) {
+            this.framework.cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
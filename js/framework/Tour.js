@@ -0,0 +1,266 @@
+/**
+ * Guided tour: a scripted walk through a demo, one narrated step at a time.
+ *
+ * A script is plain JSON (one per demo in tours/, listed in the registry):
+ *
+ *   {
+ *     "title": "How A* trades speed for optimality",
+ *     "steps": [
+ *       {
+ *         "text": "Raise Heuristic Weight above 1 and watch A* stop being optimal.",
+ *         "seed": 42,                            // optional
+ *         "preset": "Game of Life",              // optional built-in preset
+ *         "params": { "heuristicWeight": 1.5 },  // optional
+ *         "reset": true,                         // optional: press Reset first
+ *         "run": false,                          // optional: true plays, false pauses
+ *         "advance": 20,                         // optional: Step this many times
+ *         "highlight": { "control": "heuristicWeight" }
+ *       }
+ *     ]
+ *   }
+ *
+ * Seed, preset and params carry forward, so step N always shows the state of
+ * steps 0..N applied on top of the state the tour started from, whichever
+ * direction it was reached from. A highlight names a param control (or
+ * "seed", "pause", "step", "reset") or a canvas region given as fractions of
+ * the canvas: { "region": { "x": 0.5, "y": 0, "width": 0.5, "height": 0.5 } }.
+ */
+export class Tour {
+    constructor(framework, script) {
+        this.framework = framework;
+        this.script = Tour.validate(framework, script);
+        this.index = -1;
+        this.panel = null;
+        this.highlighted = null;
+        this.region = null;
+        this.unsubscribe = [];
+    }
+
+    /**
+     * Check a script's seeds, param names and values, presets and highlights
+     * against the framework; throws an Error naming the first problem.
+     * Returns the script.
+     */
+    static validate(framework, script) {
+        if (!script || !Array.isArray(script.steps) || script.steps.length === 0) {
+            throw new Error('A tour needs a non-empty "steps" array');
+        }
+        script.steps.forEach((step, i) => {
+            const where = `Tour step ${i + 1}`;
+            if (typeof step.text !== 'string' || !step.text) {
+                throw new Error(`${where} has no narration "text"`);
+            }
+            if (step.seed !== undefined && !Number.isInteger(step.seed)) {
+                throw new Error(`${where} has a seed that is not an integer`);
+            }
+            for (const [name, value] of Object.entries(step.params || {})) {
+                if (!(name in framework.params)) {
+                    throw new Error(`${where} sets unknown param "${name}"`);
+                }
+                // A value the param can't take would silently become something else
+                if (JSON.stringify(framework.validateParam(name, value)) !== JSON.stringify(value)) {
+                    throw new Error(`${where} sets "${name}" to ${JSON.stringify(value)}, which the param doesn't accept`);
+                }
+            }
+            if (step.preset && !framework.presets[step.preset]) {
+                throw new Error(`${where} uses unknown preset "${step.preset}"`);
+            }
+            const control = step.highlight && step.highlight.control;
+            if (control && !Tour.CONTROLS.includes(control) && !(control in framework.controls)) {
+                throw new Error(`${where} highlights unknown control "${control}"`);
+            }
+        });
+        return script;
+    }
+
+    static get CONTROLS() {
+        return ['seed', 'pause', 'step', 'reset'];
+    }
+
+    get length() {
+        return this.script.steps.length;
+    }
+
+    start() {
+        const framework = this.framework;
+        this.initial = framework.getState();
+        this.createPanel();
+        this.unsubscribe.push(framework.on('onDestroy', () => this.stop()));
+        this.unsubscribe.push(framework.on('onResize', () => this.positionRegion()));
+        this.goTo(0);
+        return this;
+    }
+
+    stop() {
+        if (!this.panel) return;
+        this.clearHighlight();
+        this.panel.remove();
+        this.panel = null;
+        this.unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.unsubscribe = [];
+        const index = this.index;
+        this.index = -1;
+        this.framework.emit('onTourEnd', this, index);
+    }
+
+    next() {
+        if (this.index < this.length - 1) {
+            this.goTo(this.index + 1);
+        } else {
+            this.stop();
+        }
+    }
+
+    previous() {
+        if (this.index > 0) {
+            this.goTo(this.index - 1);
+        }
+    }
+
+    goTo(index) {
+        index = Math.max(0, Math.min(this.length - 1, index));
+        const framework = this.framework;
+        const step = this.script.steps[index];
+        this.index = index;
+
+        framework.applyState(this.stateAt(index));
+        if (step.reset) {
+            framework.reset();
+        }
+        if (step.run !== undefined && framework.isPaused === Boolean(step.run)) {
+            framework.togglePause();
+        }
+        for (let i = 0; i < (step.advance || 0); i++) {
+            framework.step();
+        }
+
+        this.highlight(step.highlight);
+        this.renderStep(step);
+        framework.announce(step.text);
+        framework.emit('onTourStep', index, step);
+    }
+
+    // The tour's starting state with every step up to `index` applied in order
+    stateAt(index) {
+        const state = { seed: this.initial.seed, params: { ...this.initial.params } };
+        for (const step of this.script.steps.slice(0, index + 1)) {
+            if (step.seed !== undefined) {
+                state.seed = step.seed;
+            }
+            if (step.preset) {
+                const preset = this.framework.presets[step.preset];
+                if (preset.seed !== undefined) {
+                    state.seed = preset.seed;
+                }
+                Object.assign(state.params, preset.params);
+            }
+            Object.assign(state.params, step.params);
+        }
+        return state;
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'tour-panel';
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', 'Guided tour');
+
+        const header = document.createElement('div');
+        header.className = 'tour-header';
+        const title = document.createElement('strong');
+        title.textContent = this.script.title || 'Guided tour';
+        this.counter = document.createElement('span');
+        this.counter.className = 'tour-counter';
+        header.append(title, this.counter);
+
+        this.narration = document.createElement('p');
+        this.narration.className = 'tour-text';
+
+        const buttons = document.createElement('div');
+        buttons.className = 'control-buttons';
+        this.previousButton = document.createElement('button');
+        this.previousButton.textContent = 'Previous';
+        this.previousButton.addEventListener('click', () => this.previous());
+        this.nextButton = document.createElement('button');
+        this.nextButton.addEventListener('click', () => this.next());
+        const endButton = document.createElement('button');
+        endButton.textContent = 'End Tour';
+        endButton.addEventListener('click', () => this.stop());
+        buttons.append(this.previousButton, this.nextButton, endButton);
+
+        panel.append(header, this.narration, buttons);
+        this.framework.container.appendChild(panel);
+        this.panel = panel;
+    }
+
+    renderStep(step) {
+        this.counter.textContent = `${this.index + 1} / ${this.length}`;
+        this.narration.textContent = step.text;
+        this.previousButton.disabled = this.index === 0;
+        this.nextButton.textContent = this.index === this.length - 1 ? 'Finish' : 'Next';
+    }
+
+    highlight(target) {
+        this.clearHighlight();
+        if (!target) return;
+
+        if (target.control) {
+            const element = this.controlElement(target.control);
+            if (!element) return;
+            this.highlighted = element.closest('.control-item') || element;
+            this.highlighted.classList.add('tour-highlight');
+            if (typeof this.highlighted.scrollIntoView === 'function') {
+                this.highlighted.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            }
+        } else if (target.region) {
+            this.region = document.createElement('div');
+            this.region.className = 'tour-region';
+            this.regionBounds = target.region;
+            this.framework.container.appendChild(this.region);
+            this.positionRegion();
+        }
+    }
+
+    controlElement(name) {
+        const framework = this.framework;
+        const panel = framework.controlsPanel;
+        switch (name) {
+            case 'seed': return framework.seedInput;
+            case 'pause': return framework.pauseButton;
+            case 'step':
+            case 'reset': {
+                const label = name === 'step' ? 'Step' : 'Reset';
+                const buttons = panel ? [...panel.querySelectorAll('button')] : [];
+                return buttons.find(button => button.textContent === label) || null;
+            }
+            default: {
+                const control = framework.controls[name];
+                return control ? control.element : null;
+            }
+        }
+    }
+
+    // Regions are fractions of the canvas, so they follow it through resizes
+    positionRegion() {
+        if (!this.region) return;
+        const framework = this.framework;
+        const canvasRect = framework.canvas.getBoundingClientRect();
+        const containerRect = framework.container.getBoundingClientRect();
+        const { x = 0, y = 0, width = 1, height = 1 } = this.regionBounds;
+        this.region.style.left = `${canvasRect.left - containerRect.left + x * canvasRect.width}px`;
+        this.region.style.top = `${canvasRect.top - containerRect.top + y * canvasRect.height}px`;
+        this.region.style.width = `${width * canvasRect.width}px`;
+        this.region.style.height = `${height * canvasRect.height}px`;
+    }
+
+    clearHighlight() {
+        if (this.highlighted) {
+            this.highlighted.classList.remove('tour-highlight');
+            this.highlighted = null;
+        }
+        if (this.region) {
+            this.region.remove();
+            this.region = null;
+        }
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Minimal ZIP archive writer (stored entries, no compression)
+ * Used for PNG sequence exports, where the files are already compressed.
+ */
+export class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.chunks = [];
+        this.offset = 0;
+    }
+
+    /**
+     * Add a file from a Uint8Array of its contents
+     */
+    addFile(name, data) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(data);
+        const { time, date } = dosDateTime(new Date());
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // Local file header signature
+        header.setUint16(4, 20, true); // Version needed to extract
+        header.setUint16(6, 0x0800, true); // UTF-8 file names
+        header.setUint16(8, 0, true); // Stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.entries.push({ nameBytes, crc, size: data.length, offset: this.offset, time, date });
+        this.chunks.push(header, nameBytes, data);
+        this.offset += 30 + nameBytes.length + data.length;
+    }
+
+    finish() {
+        const directoryOffset = this.offset;
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true); // Central directory signature
+            header.setUint16(4, 20, true); // Version made by
+            header.setUint16(6, 20, true); // Version needed to extract
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, entry.time, true);
+            header.setUint16(14, entry.date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint32(42, entry.offset, true);
+
+            this.chunks.push(header, entry.nameBytes);
+            directorySize += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, directoryOffset, true);
+        this.chunks.push(end);
+
+        return new Blob(this.chunks, { type: 'application/zip' });
+    }
+}
+
+let crcTable = null;
+
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(d) {
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+        date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+}
@@ -0,0 +1,187 @@
+import { Random } from './random.js';
+
+/**
+ * Seeded gradient (Perlin) noise in 2, 3 and 4 dimensions, plus fractal
+ * Brownian motion (fBm) that sums octaves of it.
+ *
+ *   const noise = new Noise(seed);
+ *   noise.noise2D(x, y);                      // roughly -1..1, 0 at integer points
+ *   noise.fbm2D(x, y, { octaves: 6, persistence: 0.5, lacunarity: 2, scale: 0.01 });
+ *   noise.noise3D(x, y, time);                // animate a 2D field through time
+ *
+ * Like Random, the class only refers to itself and Random, so noiseSource()
+ * can paste it into generated code next to randomSource().
+ */
+export class Noise {
+    constructor(seed = 0) {
+        // Shuffled 0..255, doubled so lookups like perm[perm[x] + y] never wrap
+        const p = [];
+        for (let i = 0; i < 256; i++) {
+            p[i] = i;
+        }
+        new Random(seed).shuffle(p);
+        this.perm = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = p[i & 255];
+        }
+    }
+
+    // 6t^5 - 15t^4 + 10t^3: smooth interpolation with zero first and second derivatives at 0 and 1
+    static fade(t) {
+        return t * t * t * (t * (t * 6 - 15) + 10);
+    }
+
+    static lerp(a, b, t) {
+        return a + t * (b - a);
+    }
+
+    // Dot product of (x, y) with one of four diagonal gradients picked by hash
+    static grad2(hash, x, y) {
+        return ((hash & 1) ? -x : x) + ((hash & 2) ? -y : y);
+    }
+
+    // One of the 12 cube-edge gradients from Perlin's improved noise
+    static grad3(hash, x, y, z) {
+        const h = hash & 15;
+        const u = h < 8 ? x : y;
+        const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+        return ((h & 1) ? -u : u) + ((h & 2) ? -v : v);
+    }
+
+    // One of the 32 gradients with a zero component and the rest ±1
+    static grad4(hash, x, y, z, w) {
+        const h = hash & 31;
+        const a = h < 24 ? x : y;
+        const b = h < 16 ? y : z;
+        const c = h < 8 ? z : w;
+        return ((h & 1) ? -a : a) + ((h & 2) ? -b : b) + ((h & 4) ? -c : c);
+    }
+
+    noise2D(x, y) {
+        const p = this.perm;
+        const X = Math.floor(x);
+        const Y = Math.floor(y);
+        const xi = X & 255;
+        const yi = Y & 255;
+        x -= X;
+        y -= Y;
+        const u = Noise.fade(x);
+        const v = Noise.fade(y);
+
+        const a = p[xi] + yi;
+        const b = p[xi + 1] + yi;
+        return Noise.lerp(
+            Noise.lerp(Noise.grad2(p[a], x, y), Noise.grad2(p[b], x - 1, y), u),
+            Noise.lerp(Noise.grad2(p[a + 1], x, y - 1), Noise.grad2(p[b + 1], x - 1, y - 1), u),
+            v
+        );
+    }
+
+    noise3D(x, y, z) {
+        const p = this.perm;
+        const X = Math.floor(x);
+        const Y = Math.floor(y);
+        const Z = Math.floor(z);
+        const xi = X & 255;
+        const yi = Y & 255;
+        const zi = Z & 255;
+        x -= X;
+        y -= Y;
+        z -= Z;
+        const u = Noise.fade(x);
+        const v = Noise.fade(y);
+        const w = Noise.fade(z);
+
+        const A = p[xi] + yi;
+        const AA = p[A] + zi;
+        const AB = p[A + 1] + zi;
+        const B = p[xi + 1] + yi;
+        const BA = p[B] + zi;
+        const BB = p[B + 1] + zi;
+        const { lerp, grad3 } = Noise;
+        return lerp(
+            lerp(
+                lerp(grad3(p[AA], x, y, z), grad3(p[BA], x - 1, y, z), u),
+                lerp(grad3(p[AB], x, y - 1, z), grad3(p[BB], x - 1, y - 1, z), u),
+                v
+            ),
+            lerp(
+                lerp(grad3(p[AA + 1], x, y, z - 1), grad3(p[BA + 1], x - 1, y, z - 1), u),
+                lerp(grad3(p[AB + 1], x, y - 1, z - 1), grad3(p[BB + 1], x - 1, y - 1, z - 1), u),
+                v
+            ),
+            w
+        );
+    }
+
+    noise4D(x, y, z, w) {
+        const p = this.perm;
+        const X = Math.floor(x);
+        const Y = Math.floor(y);
+        const Z = Math.floor(z);
+        const W = Math.floor(w);
+        const xi = X & 255;
+        const yi = Y & 255;
+        const zi = Z & 255;
+        const wi = W & 255;
+        x -= X;
+        y -= Y;
+        z -= Z;
+        w -= W;
+        const fx = Noise.fade(x);
+        const fy = Noise.fade(y);
+        const fz = Noise.fade(z);
+        const fw = Noise.fade(w);
+
+        // Blend the 16 corners of the hypercube one axis at a time
+        const corner = (i, j, k, l) => Noise.grad4(
+            p[p[p[p[xi + i] + yi + j] + zi + k] + wi + l],
+            x - i, y - j, z - k, w - l
+        );
+        const alongX = (j, k, l) => Noise.lerp(corner(0, j, k, l), corner(1, j, k, l), fx);
+        const alongY = (k, l) => Noise.lerp(alongX(0, k, l), alongX(1, k, l), fy);
+        const alongZ = (l) => Noise.lerp(alongY(0, l), alongY(1, l), fz);
+        return Noise.lerp(alongZ(0), alongZ(1), fw);
+    }
+
+    /**
+     * Sum `octaves` layers of sample(frequency), each `lacunarity` times the
+     * frequency and `persistence` times the amplitude of the one before,
+     * starting at frequency `scale`. Normalized by the total amplitude, so
+     * the result stays in the range of a single layer.
+     */
+    fbm(sample, { octaves = 4, persistence = 0.5, lacunarity = 2, scale = 1 } = {}) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = scale;
+        let total = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            value += sample(frequency) * amplitude;
+            total += amplitude;
+            amplitude *= persistence;
+            frequency *= lacunarity;
+        }
+        return total > 0 ? value / total : 0;
+    }
+
+    fbm2D(x, y, options) {
+        return this.fbm(f => this.noise2D(x * f, y * f), options);
+    }
+
+    fbm3D(x, y, z, options) {
+        return this.fbm(f => this.noise3D(x * f, y * f, z * f), options);
+    }
+
+    fbm4D(x, y, z, w, options) {
+        return this.fbm(f => this.noise4D(x * f, y * f, z * f, w * f), options);
+    }
+}
+
+/**
+ * Source of the Noise class for generated code (it also needs randomSource()),
+ * with every line after the first indented by `indent`
+ */
+export function noiseSource(indent = '') {
+    return Noise.toString().split('\n').join(`\n${indent}`);
+}
@@ -0,0 +1,102 @@
+import { DemoFramework } from './DemoFramework.js';
+import { getDemo, getCategory, CATEGORIES, DEMOS, siteUrl, demoUrl, pageTitle, loadDemo } from './registry.js';
+
+/**
+ * Fill the landing page's demo list with a heading and card grid per category.
+ * index.html ships the same markup pre-rendered for crawlers and visitors
+ * without JavaScript; this rebuilds it so it always matches the registry.
+ */
+export function renderDemoGrid(container) {
+    container.replaceChildren();
+    for (const category of CATEGORIES) {
+        const demos = DEMOS.filter(demo => demo.category === category.id);
+        if (demos.length === 0) continue;
+
+        const group = document.createElement('div');
+        group.className = 'category-group';
+        group.dataset.category = category.id;
+        const heading = document.createElement('h3');
+        heading.className = 'category-title';
+        heading.textContent = category.title;
+        const grid = document.createElement('div');
+        grid.className = 'category-grid';
+
+        for (const demo of demos) {
+            const card = document.createElement('a');
+            card.className = 'category-card';
+            card.href = demoUrl(demo);
+
+            const title = document.createElement('h4');
+            title.textContent = demo.title;
+            const tags = document.createElement('p');
+            tags.textContent = demo.tags.join(', ');
+
+            card.append(title, tags);
+            grid.appendChild(card);
+        }
+        group.append(heading, grid);
+        container.appendChild(group);
+    }
+}
+
+/**
+ * Build the breadcrumb, heading and summary of a demo page from its registry
+ * entry. They go before anything the page already has in .demo-header (such
+ * as a longer description).
+ */
+export function renderDemoHeader(header, demo) {
+    const breadcrumb = document.createElement('div');
+    breadcrumb.className = 'breadcrumb';
+    const home = document.createElement('a');
+    home.href = siteUrl('index.html');
+    home.textContent = 'Home';
+    const category = getCategory(demo.category);
+    const trail = category ? [category.title, demo.title] : [demo.title];
+    breadcrumb.append(home, ` / ${trail.join(' / ')}`);
+
+    const heading = document.createElement('h1');
+    heading.textContent = demo.title;
+    const summary = document.createElement('p');
+    summary.textContent = demo.description;
+
+    header.prepend(breadcrumb, heading, summary);
+}
+
+/**
+ * Set up a demo page: title and header from the registry, then once the
+ * demo's module has loaded, the framework in #visualization with its controls
+ * in #controls-container and the demo itself. Resolves to { framework, demo }.
+ */
+export async function mountDemoPage(id, { visualization = 'visualization', controls = 'controls-container' } = {}) {
+    const demo = getDemo(id);
+    const header = document.querySelector('.demo-header');
+    if (!demo) {
+        document.title = 'Demo not found - promptsandmore.com';
+        if (header) {
+            const message = document.createElement('p');
+            message.className = 'demo-error';
+            message.textContent = `Unknown demo "${id}".`;
+            header.replaceChildren(message);
+        }
+        throw new Error(`Unknown demo "${id}". Expected one of: ${DEMOS.map(d => d.id).join(', ')}`);
+    }
+
+    document.title = pageTitle(demo);
+    if (header) {
+        renderDemoHeader(header, demo);
+    }
+
+    // Loaded before the framework exists, so the demo attaches in the same
+    // task and an embedding page's 'ready' already describes it
+    const DemoClass = await loadDemo(demo);
+    const framework = new DemoFramework(visualization, {
+        width: demo.width,
+        height: demo.height,
+        tour: demo.tour ? siteUrl(demo.tour) : undefined
+    });
+    const controlsContainer = document.getElementById(controls);
+    if (controlsContainer && framework.controlsPanel) {
+        controlsContainer.appendChild(framework.controlsPanel);
+    }
+    return { framework, demo: new DemoClass(framework) };
+}
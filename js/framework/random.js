@@ -0,0 +1,181 @@
+/**
+ * Seeded pseudo-random numbers shared by every demo and by generated code.
+ *
+ * xoshiro128** (period 2^128 - 1) with its state expanded from the seed by
+ * splitmix32. Seeds can be any mix of numbers and strings, and fork() derives
+ * independent named sub-streams, so a demo can keep layout, agents and
+ * per-step choices on separate streams that don't shift when one of them
+ * draws more numbers:
+ *
+ *   const random = new Random(seed);
+ *   const layout = random.fork('layout');
+ *   const choice = random.fork('collapse', x, y, step).pick(options);
+ *
+ * The class is self-contained so randomSource() can paste it into the
+ * standalone HTML that "Show Code" produces.
+ */
+export class Random {
+    constructor(...seed) {
+        this.seed = Random.hash(...seed);
+
+        // splitmix32 spreads the 32-bit seed over the 128-bit state
+        let s = this.seed;
+        this.state = new Uint32Array(4);
+        for (let i = 0; i < 4; i++) {
+            s = (s + 0x9e3779b9) | 0;
+            let z = s;
+            z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+            z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+            this.state[i] = z ^ (z >>> 16);
+        }
+    }
+
+    /**
+     * Mix numbers and strings into a 32-bit unsigned seed (FNV-1a plus a
+     * murmur3 finalizer). hash(42) and hash('42') are the same seed.
+     */
+    static hash(...parts) {
+        let h = 0x811c9dc5;
+        for (const part of parts) {
+            const text = String(part);
+            for (let i = 0; i < text.length; i++) {
+                h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+            }
+            // Separator, so ('ab', 'c') and ('a', 'bc') differ
+            h = Math.imul(h ^ 0xff, 0x01000193);
+        }
+        h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
+    /**
+     * Float in [0, 1)
+     */
+    next() {
+        const s = this.state;
+        const x = Math.imul(s[1], 5);
+        const result = Math.imul((x << 7) | (x >>> 25), 9) >>> 0;
+        const t = s[1] << 9;
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = (s[3] << 11) | (s[3] >>> 21);
+        return result / 4294967296;
+    }
+
+    /**
+     * Independent stream named by `names`, derived from this stream's seed
+     * (not its position), so the same names always give the same stream
+     */
+    fork(...names) {
+        return new Random(this.seed, ...names);
+    }
+
+    /**
+     * Integer in [min, max); int(n) is an integer in [0, n)
+     */
+    int(min, max) {
+        if (max === undefined) {
+            max = min;
+            min = 0;
+        }
+        return min + Math.floor(this.next() * (max - min));
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // True with the given probability
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Normally distributed value (Box-Muller)
+     */
+    gaussian(mean = 0, stdDev = 1) {
+        const u = 1 - this.next(); // (0, 1], so the log is finite
+        const v = this.next();
+        return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Fisher-Yates shuffle in place; returns the array
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Index chosen with probability proportional to its weight
+     */
+    weightedIndex(weights) {
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        let r = this.next() * total;
+        let last = 0;
+        for (let i = 0; i < weights.length; i++) {
+            if (weights[i] <= 0) continue;
+            r -= weights[i];
+            if (r < 0) return i;
+            last = i;
+        }
+        // Only reached through float rounding
+        return last;
+    }
+
+    /**
+     * One of `items`, chosen with probability proportional to `weights`
+     */
+    weightedPick(items, weights) {
+        return items[this.weightedIndex(weights)];
+    }
+
+    /**
+     * Uniformly distributed point in a circle of `radius` around the origin
+     */
+    pointInCircle(radius = 1) {
+        const r = radius * Math.sqrt(this.next());
+        const angle = this.next() * Math.PI * 2;
+        return { x: r * Math.cos(angle), y: r * Math.sin(angle) };
+    }
+
+    /**
+     * 2D vector of length 1 in a uniformly random direction
+     */
+    unitVector() {
+        const angle = this.next() * Math.PI * 2;
+        return { x: Math.cos(angle), y: Math.sin(angle) };
+    }
+
+    // For timelines and snapshots: resume the stream exactly where it was
+    getState() {
+        return Array.from(this.state);
+    }
+
+    setState(state) {
+        this.state.set(state);
+    }
+}
+
+/**
+ * Source of the Random class for generated code, with every line after the
+ * first indented by `indent` to sit inside a <script> block
+ */
+export function randomSource(indent = '') {
+    return Random.toString().split('\n').join(`\n${indent}`);
+}
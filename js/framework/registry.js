@@ -0,0 +1,212 @@
+/**
+ * Every demo on the site, in landing page order. The landing grid, demo page
+ * headers and titles, and <pm-demo> types are all generated from this list,
+ * so adding a demo means writing its class in js/demos/ and one entry here:
+ *
+ *   id           route in the demo shell (demos/demo.html#/<id>)
+ *   title        heading, card title and page title
+ *   category     one of CATEGORIES
+ *   tags         topics listed on the landing card
+ *   description  one-line summary under the heading
+ *   width, height  default logical canvas size
+ *   module       path of the demo's module from the site root
+ *   className    class the module exports
+ *   type         <pm-demo type="...">
+ *   page         optional hand-written page with longer explanations; it
+ *                keeps working for direct links, and the shell shows its
+ *                info sections
+ *   pageTitle    optional <title> override
+ *   tour         optional guided tour script (JSON, see Tour.js)
+ */
+export const CATEGORIES = [
+    { id: 'generation', title: 'Procedural Generation' },
+    { id: 'simulation', title: 'Simulation' },
+    { id: 'foundations', title: 'Foundations' }
+];
+
+export const DEMOS = [
+    {
+        id: 'noise-fields',
+        title: 'Noise & Fields',
+        category: 'generation',
+        tags: ['Perlin', 'Simplex', 'Voronoi', 'Flow fields', 'Terrain generation'],
+        description: 'Procedural noise generation for terrain, textures, and flow fields',
+        width: 800,
+        height: 600,
+        module: 'js/demos/NoiseTerrain.js',
+        className: 'NoiseTerrain',
+        type: 'noise-terrain',
+        page: 'demos/noise-fields.html',
+        pageTitle: 'Noise & Fields - Perlin Noise, Simplex, Voronoi Terrain Generation | Prompts & More',
+        tour: 'tours/noise-fields.json'
+    },
+    {
+        id: 'spatial-partitioning',
+        title: 'Spatial Partitioning',
+        category: 'generation',
+        tags: ['Voronoi', 'Delaunay', 'Lloyd relaxation', 'Biome generation'],
+        description: 'Voronoi diagrams, Delaunay triangulation, and Lloyd relaxation',
+        width: 800,
+        height: 600,
+        module: 'js/demos/SpatialPartitioning.js',
+        className: 'SpatialPartitioning',
+        type: 'spatial-partitioning',
+        page: 'demos/spatial-partitioning.html',
+        tour: 'tours/spatial-partitioning.json'
+    },
+    {
+        id: 'growth-forms',
+        title: 'Growth & Natural Forms',
+        category: 'generation',
+        tags: ['L-systems', 'Phyllotaxis', 'Procedural plants'],
+        description: 'L-systems, Phyllotaxis, and procedural plant generation',
+        width: 800,
+        height: 600,
+        module: 'js/demos/GrowthForms.js',
+        className: 'GrowthForms',
+        type: 'growth-forms',
+        page: 'demos/growth-forms.html',
+        tour: 'tours/growth-forms.json'
+    },
+    {
+        id: 'constraint-systems',
+        title: 'Constraint Systems',
+        category: 'generation',
+        tags: ['Wave Function Collapse', 'Entropy visualization'],
+        description: 'Wave Function Collapse with entropy visualization',
+        width: 800,
+        height: 600,
+        module: 'js/demos/WaveFunctionCollapse.js',
+        className: 'WaveFunctionCollapse',
+        type: 'wave-function-collapse',
+        page: 'demos/constraint-systems.html',
+        tour: 'tours/constraint-systems.json'
+    },
+    {
+        id: 'emergent-simulation',
+        title: 'Emergent Simulation',
+        category: 'simulation',
+        tags: ['Cellular automata', 'Reaction-diffusion', 'Cave generation'],
+        description: 'Cellular automata, Reaction-diffusion, and cave generation',
+        width: 800,
+        height: 600,
+        module: 'js/demos/CellularAutomata.js',
+        className: 'CellularAutomata',
+        type: 'cellular-automata',
+        page: 'demos/emergent-simulation.html',
+        tour: 'tours/emergent-simulation.json'
+    },
+    {
+        id: 'agent-systems',
+        title: 'Agent-Based Systems',
+        category: 'simulation',
+        tags: ['Boids', 'Flow-field following', 'Predator/prey'],
+        description: 'Boids, Flow-field following, and predator/prey simulations',
+        width: 800,
+        height: 600,
+        module: 'js/demos/Boids.js',
+        className: 'Boids',
+        type: 'boids',
+        page: 'demos/agent-systems.html',
+        tour: 'tours/agent-systems.json'
+    },
+    {
+        id: 'probability-randomness',
+        title: 'Probability & Randomness',
+        category: 'foundations',
+        tags: ['Weighted RNG', 'Poisson disk', 'Blue noise'],
+        description: 'Weighted RNG, Poisson disk sampling, and blue noise distributions',
+        width: 800,
+        height: 600,
+        module: 'js/demos/ProbabilityRandomness.js',
+        className: 'ProbabilityRandomness',
+        type: 'probability-randomness',
+        page: 'demos/probability-randomness.html',
+        tour: 'tours/probability-randomness.json'
+    },
+    {
+        id: 'graphs-topology',
+        title: 'Graphs & Topology',
+        category: 'foundations',
+        tags: ['Pathfinding', 'MSTs', 'Quest graphs'],
+        description: 'Pathfinding, MSTs, and quest graph generation',
+        width: 800,
+        height: 600,
+        module: 'js/demos/Pathfinding.js',
+        className: 'Pathfinding',
+        type: 'pathfinding',
+        page: 'demos/graphs-topology.html',
+        tour: 'tours/graphs-topology.json'
+    },
+    {
+        id: '3d-worlds',
+        title: '3D Generative Worlds',
+        category: 'generation',
+        tags: ['Heightfields', 'Voxels', 'SDFs', 'Planetary generation'],
+        description: 'Enhanced terrain visualization with interactive 3D rendering',
+        width: 800,
+        height: 600,
+        module: 'js/demos/World3D.js',
+        className: 'World3D',
+        type: 'world-3d',
+        page: 'demos/3d-worlds.html',
+        tour: 'tours/3d-worlds.json'
+    },
+    {
+        id: 'time-simulation',
+        title: 'Time & Simulation',
+        category: 'simulation',
+        tags: ['Fixed vs variable timestep', 'Event queues', 'Determinism'],
+        description: 'Fixed vs variable timestep, event queues, and determinism',
+        width: 800,
+        height: 600,
+        module: 'js/demos/TimeSimulation.js',
+        className: 'TimeSimulation',
+        type: 'time-simulation',
+        page: 'demos/time-simulation.html',
+        tour: 'tours/time-simulation.json'
+    }
+];
+
+// Site root, from this file's location in js/framework/
+const ROOT = new URL('../../', import.meta.url);
+
+/**
+ * The entry registered under `key`, which may be its id or its <pm-demo> type
+ */
+export function getDemo(key) {
+    return DEMOS.find(demo => demo.id === key || demo.type === key) || null;
+}
+
+export function getCategory(id) {
+    return CATEGORIES.find(category => category.id === id) || null;
+}
+
+/**
+ * Absolute URL of a path given from the site root, so links work from any
+ * page and under a subdirectory (GitHub Pages project sites)
+ */
+export function siteUrl(path = '') {
+    return new URL(path, ROOT).href;
+}
+
+// Where the landing page links: the demo's own page, else its route in the shell
+export function demoUrl(demo) {
+    return siteUrl(demo.page || `demos/demo.html#/${encodeURIComponent(demo.id)}`);
+}
+
+export function pageTitle(demo) {
+    return demo.pageTitle || `${demo.title} - promptsandmore.com`;
+}
+
+/**
+ * Import a demo's module and return its class
+ */
+export async function loadDemo(demo) {
+    const module = await import(siteUrl(demo.module));
+    const DemoClass = module[demo.className];
+    if (typeof DemoClass !== 'function') {
+        throw new Error(`${demo.module} does not export ${demo.className}`);
+    }
+    return DemoClass;
+}
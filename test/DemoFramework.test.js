@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessFramework } from '../js/framework/HeadlessFramework.js';
+
+const SCHEMA = {
+    count: { type: 'slider', min: 0, max: 100, default: 10, step: 5 },
+    ratio: { type: 'slider', min: 0.05, max: 1, default: 0.05, step: 0.1 },
+    mode: { type: 'select', options: ['a', 'b'], default: 'a' },
+    enabled: { type: 'toggle', default: false },
+    window: { type: 'range', min: 0, max: 8, default: { min: 2, max: 3 }, step: 1 },
+    offset: { type: 'vector2', min: -1, max: 1, default: { x: 0, y: 0 }, step: 0.5 },
+    tint: { type: 'color', default: '#112233' }
+};
+
+function createFramework(options = {}) {
+    const framework = new HeadlessFramework({ seed: 1, ...options });
+    framework.defineParams(SCHEMA);
+    return framework;
+}
+
+test('validateParam clamps numbers to the declared range', () => {
+    const framework = createFramework();
+    assert.equal(framework.validateParam('count', -20), 0);
+    assert.equal(framework.validateParam('count', 500), 100);
+    assert.equal(framework.validateParam('count', '35'), 35);
+});
+
+test('validateParam snaps to the step grid anchored at min', () => {
+    const framework = createFramework();
+    assert.equal(framework.validateParam('count', 23), 25);
+    assert.equal(framework.validateParam('ratio', 0.28), 0.25);
+    assert.equal(framework.validateParam('ratio', 1), 0.95);
+    assert.deepEqual(framework.validateParam('offset', { x: 0.3, y: -2 }), { x: 0.5, y: -1 });
+});
+
+test('validateParam falls back to the default for values of the wrong kind', () => {
+    const framework = createFramework();
+    assert.equal(framework.validateParam('count', 'lots'), 10);
+    assert.equal(framework.validateParam('mode', 'c'), 'a');
+    assert.equal(framework.validateParam('enabled', 'yes'), false);
+    assert.equal(framework.validateParam('tint', 'red'), '#112233');
+    assert.deepEqual(framework.validateParam('window', null), { min: 2, max: 3 });
+    // A reversed range is put back in order
+    assert.deepEqual(framework.validateParam('window', { min: 6, max: 4 }), { min: 4, max: 6 });
+});
+
+test('getParams supplies declared defaults, including a legitimate 0', () => {
+    const framework = createFramework({ params: { count: 0 } });
+    const params = framework.getParams();
+    assert.equal(params.count, 0);
+    assert.equal(params.mode, 'a');
+    assert.deepEqual(params.window, { min: 2, max: 3 });
+});
+
+test('params passed as options are validated and unknown names ignored', () => {
+    const framework = createFramework({ params: { count: 'lots', ratio: 0.28, injected: 1 } });
+    assert.equal(framework.getParams().count, 10);
+    assert.equal(framework.getParams().ratio, 0.25);
+    assert.equal('injected' in framework.params, false);
+});
+
+test('setParam changes within a second coalesce into one undo entry', () => {
+    const framework = createFramework();
+    framework.setParam('count', 20);
+    framework.time += 200;
+    framework.setParam('count', 30);
+    assert.equal(framework.undoStack.length, 1);
+
+    framework.time += 2000;
+    framework.setParam('count', 40);
+    assert.equal(framework.undoStack.length, 2);
+
+    framework.undo();
+    assert.equal(framework.getParams().count, 30);
+    framework.undo();
+    assert.equal(framework.getParams().count, 10);
+    framework.redo();
+    assert.equal(framework.getParams().count, 30);
+});
+
+test('applyState records one undo entry and is never merged', () => {
+    const framework = createFramework();
+    framework.applyState({ seed: 5, params: { count: 50, mode: 'b' } });
+    framework.applyState({ seed: 6, params: { count: 60, mode: 'b' } });
+    assert.equal(framework.undoStack.length, 2);
+
+    framework.undo();
+    assert.equal(framework.getSeed(), 5);
+    assert.equal(framework.getParams().count, 50);
+    framework.undo();
+    assert.equal(framework.getSeed(), 1);
+    assert.deepEqual({ count: framework.getParams().count, mode: framework.getParams().mode }, { count: 10, mode: 'a' });
+});
+
+test('re-applying identical range and vector2 values is not a change', () => {
+    const framework = createFramework();
+    let changes = 0;
+    framework.on('onParamChange', () => changes++);
+
+    framework.applyState({ params: { window: { min: 2, max: 3 }, offset: { x: 0, y: 0 } } });
+    assert.equal(changes, 0);
+    assert.equal(framework.undoStack.length, 0);
+
+    framework.applyState({ params: { window: { min: 1, max: 3 } } });
+    assert.equal(changes, 1);
+    assert.equal(framework.undoStack.length, 1);
+});
+
+test('applyState ignores param names the demo does not have', () => {
+    const framework = createFramework();
+    framework.applyState({ params: { injected: 'x' } });
+    assert.equal('injected' in framework.params, false);
+    assert.equal(framework.undoStack.length, 0);
+});
+
+test('imported presets keep only an integer seed and validated, declared params', () => {
+    const framework = createFramework();
+    const presets = framework.sanitizePresets({
+        good: { seed: 7, params: { count: 23, injected: 1 }, note: 'dropped' },
+        stringSeed: { seed: 'abc', params: { mode: 'b' } },
+        nullParams: { params: null },
+        arrayParams: { params: [1, 2] },
+        notAnObject: 'x'
+    });
+
+    assert.deepEqual(presets, {
+        good: { seed: 7, params: { count: 25 } },
+        stringSeed: { params: { mode: 'b' } }
+    });
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessFramework } from '../js/framework/HeadlessFramework.js';
+import { MessageBridge } from '../js/framework/MessageBridge.js';
+import { Pathfinding } from '../js/demos/Pathfinding.js';
+
+function createBridge() {
+    const framework = new HeadlessFramework({ seed: 1 });
+    new Pathfinding(framework);
+    return { framework, bridge: new MessageBridge(framework, { origins: ['*'], target: {} }) };
+}
+
+test('setParams changes declared params', () => {
+    const { framework, bridge } = createBridge();
+    const params = bridge.run({ command: 'setParams', params: { heuristicWeight: 2 } });
+    assert.equal(params.heuristicWeight, 2);
+    assert.equal(framework.getParams().heuristicWeight, 2);
+});
+
+test('setParams rejects unknown param names and changes nothing', () => {
+    const { framework, bridge } = createBridge();
+    const before = framework.getParams();
+    assert.throws(
+        () => bridge.run({ command: 'setParams', params: { heuristicWeight: 2, injected: 'x' } }),
+        /Unknown params: injected/
+    );
+    assert.deepEqual(framework.getParams(), before);
+    assert.equal('injected' in framework.params, false);
+});
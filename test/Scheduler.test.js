@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessFramework } from '../js/framework/HeadlessFramework.js';
+import { MIN_SPEED, MAX_SPEED } from '../js/framework/Scheduler.js';
+
+// A fixed 1/60 s loop counting its updates and renders
+function countingLoop(framework, extra = {}) {
+    const counts = { updates: 0, renders: 0 };
+    framework.addLoop({
+        step: 1 / 60,
+        update: () => counts.updates++,
+        render: () => counts.renders++,
+        ...extra
+    });
+    return counts;
+}
+
+test('a fixed-step loop updates once per 60 Hz frame at speed 1', () => {
+    const framework = new HeadlessFramework();
+    const counts = countingLoop(framework);
+    framework.advance(60);
+    assert.equal(counts.updates, 60);
+    assert.equal(counts.renders, 60);
+});
+
+test('speed scales the number of fixed updates per frame', () => {
+    const framework = new HeadlessFramework();
+    framework.setSpeed(2);
+    const fast = countingLoop(framework);
+    framework.advance(30);
+    assert.equal(fast.updates, 60);
+    // Still one render per frame
+    assert.equal(fast.renders, 30);
+
+    framework.setSpeed(0.5);
+    fast.updates = 0;
+    framework.advance(30);
+    assert.equal(fast.updates, 15);
+});
+
+test('speed is clamped to the supported range', () => {
+    const framework = new HeadlessFramework();
+    framework.setSpeed(100);
+    assert.equal(framework.getSpeed(), MAX_SPEED);
+    framework.setSpeed(0);
+    assert.equal(framework.getSpeed(), MIN_SPEED);
+});
+
+test('nothing runs while paused', () => {
+    const framework = new HeadlessFramework();
+    const counts = countingLoop(framework);
+    framework.togglePause();
+    framework.advance(10);
+    assert.equal(counts.updates, 0);
+    framework.togglePause();
+    framework.advance(10);
+    assert.equal(counts.updates, 10);
+});
+
+// Updates that take 10 ms of virtual time each, so a frame with several of
+// them runs past the 12 ms budget
+function slowLoop(framework, frameSkip) {
+    const counts = { updates: 0, renders: 0 };
+    framework.addLoop({
+        step: 1 / 60,
+        frameSkip,
+        update: () => {
+            counts.updates++;
+            framework.time += 10;
+        },
+        render: () => counts.renders++
+    });
+    return counts;
+}
+
+test('over budget without frameSkip, the backlog is dropped and the frame renders', () => {
+    const framework = new HeadlessFramework();
+    const counts = slowLoop(framework, 0);
+    // 100 ms frame: 6 updates due, only 2 fit in the budget
+    framework.advance(1, 100);
+    assert.equal(counts.updates, 2);
+    assert.equal(counts.renders, 1);
+});
+
+test('over budget with frameSkip, renders are skipped to catch up', () => {
+    const framework = new HeadlessFramework();
+    const counts = slowLoop(framework, 1);
+    framework.advance(1, 100);
+    assert.equal(counts.updates, 2);
+    assert.equal(counts.renders, 0);
+    // The kept backlog runs next frame, which renders since only one skip is allowed
+    framework.advance(1, 0);
+    assert.equal(counts.updates, 4);
+    assert.equal(counts.renders, 1);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessFramework } from '../js/framework/HeadlessFramework.js';
+import { Pathfinding } from '../js/demos/Pathfinding.js';
+import { WaveFunctionCollapse } from '../js/demos/WaveFunctionCollapse.js';
+
+// Step until the demo reports onFinish; returns the finish result
+function runToFinish(framework, maxSteps = 10000) {
+    let result = null;
+    framework.on('onFinish', (detail) => {
+        result = detail;
+    });
+    for (let i = 0; i < maxSteps && !result; i++) {
+        framework.step();
+    }
+    assert.ok(result, `no onFinish within ${maxSteps} steps`);
+    return result;
+}
+
+test('A* on an open grid finds a shortest path', () => {
+    const framework = new HeadlessFramework({ seed: 1, params: { obstacleDensity: 0 } });
+    const demo = new Pathfinding(framework);
+    const { start, goal } = demo;
+
+    const result = runToFinish(framework);
+
+    assert.equal(result.found, true);
+    // 4-connected moves: Manhattan distance steps, counting both ends
+    assert.equal(result.pathLength, Math.abs(goal.x - start.x) + Math.abs(goal.y - start.y) + 1);
+    assert.equal(demo.path[0], start);
+    assert.equal(demo.path[demo.path.length - 1], goal);
+});
+
+test('Pathfinding runs the same for the same seed and params', () => {
+    const run = () => {
+        const framework = new HeadlessFramework({ seed: 42, params: { obstacleDensity: 25, heuristicWeight: 1.5 } });
+        const demo = new Pathfinding(framework);
+        const result = runToFinish(framework);
+        return { result, state: demo.serializeState() };
+    };
+
+    assert.deepEqual(run(), run());
+});
+
+test('Wave Function Collapse fills the grid reproducibly', () => {
+    const run = () => {
+        const framework = new HeadlessFramework({ seed: 7, width: 200, height: 160 });
+        const demo = new WaveFunctionCollapse(framework);
+        const result = runToFinish(framework);
+        return { demo, result, state: demo.serializeState() };
+    };
+
+    const first = run();
+    const { demo } = first;
+    assert.equal(demo.collapsed, true);
+    assert.ok(demo.grid.flat().every(cell => cell.collapsed));
+    assert.equal(first.result.conflicts, demo.conflicts.length);
+
+    const second = run();
+    assert.deepEqual(second.result, first.result);
+    assert.deepEqual(second.state, first.state);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Noise, noiseSource } from '../js/framework/noise.js';
+import { randomSource } from '../js/framework/random.js';
+
+const FBM = { octaves: 5, persistence: 0.5, lacunarity: 2, scale: 0.05 };
+
+// A small grid of fbm samples
+const sample = (noise) => {
+    const values = [];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            values.push(noise.fbm2D(x * 3.7, y * 2.3, FBM));
+        }
+    }
+    return values;
+};
+
+test('the same seed gives the same field', () => {
+    assert.deepEqual(sample(new Noise(7)), sample(new Noise(7)));
+    assert.notDeepEqual(sample(new Noise(7)), sample(new Noise(8)));
+});
+
+test('noise is 0 at integer points and stays within -1..1', () => {
+    const noise = new Noise(3);
+    assert.equal(noise.noise2D(4, 5), 0);
+    for (let i = 0; i < 500; i++) {
+        const value = noise.noise3D(i * 0.37, i * 0.11, i * 0.053);
+        assert.ok(value >= -1 && value <= 1);
+    }
+});
+
+test('the source embedded in generated code reproduces the same field', () => {
+    const EmbeddedNoise = new Function(`${randomSource()}\n${noiseSource()}\nreturn Noise;`)();
+    assert.deepEqual(sample(new EmbeddedNoise(11)), sample(new Noise(11)));
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Random, randomSource } from '../js/framework/random.js';
+
+const draw = (random, n = 20) => Array.from({ length: n }, () => random.next());
+
+test('the same seed gives the same sequence', () => {
+    assert.deepEqual(draw(new Random(42)), draw(new Random(42)));
+    assert.deepEqual(draw(new Random('level', 3)), draw(new Random('level', 3)));
+    assert.notDeepEqual(draw(new Random(42)), draw(new Random(43)));
+});
+
+test('values stay in their documented ranges', () => {
+    const random = new Random(1);
+    for (let i = 0; i < 1000; i++) {
+        const value = random.next();
+        assert.ok(value >= 0 && value < 1);
+        const int = random.int(3, 7);
+        assert.ok(Number.isInteger(int) && int >= 3 && int < 7);
+    }
+});
+
+test('forks depend on the seed and names, not on how far the parent has drawn', () => {
+    const a = new Random(9);
+    const b = new Random(9);
+    draw(b, 100);
+    assert.deepEqual(draw(a.fork('step', 4)), draw(b.fork('step', 4)));
+    assert.notDeepEqual(draw(a.fork('step', 4)), draw(a.fork('step', 5)));
+});
+
+test('getState and setState resume a sequence', () => {
+    const random = new Random(5);
+    draw(random, 10);
+    const state = random.getState();
+    const expected = draw(random);
+    random.setState(state);
+    assert.deepEqual(draw(random), expected);
+});
+
+test('the source embedded in generated code reproduces the same numbers', () => {
+    const EmbeddedRandom = new Function(`${randomSource()}\nreturn Random;`)();
+    const random = new Random(1234);
+    const embedded = new EmbeddedRandom(1234);
+    assert.deepEqual(draw(embedded), draw(random));
+    assert.equal(embedded.int(0, 100), random.int(0, 100));
+    assert.equal(embedded.gaussian(), random.gaussian());
+});